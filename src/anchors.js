@@ -0,0 +1,149 @@
+// anchors.js
+const vscode = require('vscode');
+
+// How many lines above and below where a range should be its text is looked
+// for when it was edited; farther away it is likely another occurrence
+const SEARCH_LINES = 3;
+
+/**
+ * Ranges computed against a snapshot of a document, followed through the
+ * edits made after it.
+ *
+ * @typedef {Object} EditTracker
+ * @property {(line: number) => string} originalLine
+ *   text of a line in the snapshot ('' past the end)
+ * @property {(range: vscode.Range) => string} originalText
+ *   text of a snapshot range
+ * @property {(position: vscode.Position) => vscode.Position} mapPosition
+ *   where a snapshot position is now; text inserted right at it comes before
+ * @property {(range: vscode.Range, search?: boolean) => vscode.Range | null} locate
+ *   where the text of a snapshot range is now, or null if it was edited;
+ *   with `search`, edited text is looked for again (nearest match, within
+ *   `SEARCH_LINES` lines of where the range should be)
+ * @property {() => void} dispose
+ */
+
+/**
+ * Take a snapshot of `document` and record every edit made to it afterwards,
+ * so positions computed before an LLM request (wrapper ranges, insertion
+ * points) can be applied to the document as it is when the answer arrives.
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {EditTracker}
+ */
+function trackEdits(document) {
+  const text = document.getText();
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  // Edits in the order they happened: offset / length of the replaced text
+  // (in the document as it was then) and length of the new text
+  const changes = [];
+  const subscription = vscode.workspace.onDidChangeTextDocument((event) => {
+    if (event.document !== document) return;
+    // All ranges of one event refer to the text before it; going from the
+    // end of the document keeps that true while applying them one by one
+    const ordered = [...event.contentChanges].sort(
+      (a, b) => b.rangeOffset - a.rangeOffset
+    );
+    for (const change of ordered) {
+      changes.push({
+        offset: change.rangeOffset,
+        length: change.rangeLength,
+        textLength: change.text.length,
+      });
+    }
+  });
+
+  const originalLine = (line) => {
+    if (line < 0 || line >= lineStarts.length) return '';
+    const end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : text.length;
+    return text.slice(lineStarts[line], end).replace(/\r$/, '');
+  };
+
+  const originalOffset = (position) => {
+    const line = Math.min(position.line, lineStarts.length - 1);
+    return lineStarts[line] + Math.min(position.character, originalLine(line).length);
+  };
+
+  // `stickRight`: text inserted exactly at the offset goes before it
+  const mapOffset = (offset, stickRight) => {
+    for (const change of changes) {
+      const changeEnd = change.offset + change.length;
+      if (
+        changeEnd < offset ||
+        (changeEnd === offset && (change.length > 0 || stickRight))
+      ) {
+        offset += change.textLength - change.length;
+      } else if (change.offset < offset) {
+        // Inside replaced text: move to the edge of the new text
+        offset = stickRight ? change.offset + change.textLength : change.offset;
+      }
+    }
+    return offset;
+  };
+
+  const originalText = (range) =>
+    text.slice(originalOffset(range.start), originalOffset(range.end));
+
+  return {
+    originalLine,
+    originalText,
+
+    mapPosition(position) {
+      return document.positionAt(mapOffset(originalOffset(position), true));
+    },
+
+    locate(range, search = false) {
+      const expected = originalText(range);
+      const start = mapOffset(originalOffset(range.start), true);
+      const end = range.isEmpty
+        ? start
+        : Math.max(start, mapOffset(originalOffset(range.end), false));
+      const current = document.getText();
+      if (current.slice(start, end) === expected) {
+        return new vscode.Range(document.positionAt(start), document.positionAt(end));
+      }
+      if (!search || !expected) {
+        return null;
+      }
+
+      // Nearest occurrence of the original text around where it should be
+      const firstLine = Math.max(0, document.positionAt(start).line - SEARCH_LINES);
+      const lastLine = Math.min(
+        document.lineCount - 1,
+        document.positionAt(end).line + SEARCH_LINES
+      );
+      const windowStart = document.offsetAt(new vscode.Position(firstLine, 0));
+      const windowEnd = document.offsetAt(document.lineAt(lastLine).range.end);
+      let best = -1;
+      for (
+        let found = current.indexOf(expected, windowStart);
+        found !== -1 && found + expected.length <= windowEnd;
+        found = current.indexOf(expected, found + 1)
+      ) {
+        if (best === -1 || Math.abs(found - start) < Math.abs(best - start)) {
+          best = found;
+        }
+      }
+      return best === -1
+        ? null
+        : new vscode.Range(
+            document.positionAt(best),
+            document.positionAt(best + expected.length)
+          );
+    },
+
+    dispose() {
+      subscription.dispose();
+    },
+  };
+}
+
+module.exports = {
+  trackEdits,
+};
@@ -0,0 +1,197 @@
+// cache.js
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE_NAME = 'llm-cache.json';
+const SAVE_DELAY_MS = 1000;
+
+let cacheFilePath = null;
+/** @type {Map<string, { value: string, lastUsed: number }> | null} */
+let entries = null;
+let loadPromise = null;
+let saveTimer = null;
+
+/**
+ * Remember where the cache lives. Call once from `activate`.
+ * @param {vscode.ExtensionContext} context
+ */
+function initCache(context) {
+  cacheFilePath = path.join(context.globalStorageUri.fsPath, CACHE_FILE_NAME);
+}
+
+/**
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  return Boolean(cacheFilePath) && config.get('cache.enabled', true);
+}
+
+/**
+ * Load the cache file once (missing or corrupt files give an empty cache).
+ * @returns {Promise<Map<string, { value: string, lastUsed: number }>>}
+ */
+function loadEntries() {
+  if (entries) return Promise.resolve(entries);
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const loaded = new Map();
+      try {
+        const raw = await fs.promises.readFile(cacheFilePath, 'utf8');
+        const data = JSON.parse(raw);
+        for (const [key, entry] of Object.entries(data.entries || {})) {
+          if (entry && typeof entry.value === 'string') {
+            loaded.set(key, entry);
+          }
+        }
+      } catch (err) {
+        if (err && err.code !== 'ENOENT') {
+          console.error('[Lazy LaTeX] Failed to read LLM cache, starting empty:', err);
+        }
+      }
+      entries = loaded;
+      return entries;
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Write the cache to disk shortly after the last change.
+ */
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(async () => {
+    saveTimer = null;
+    if (!entries || !cacheFilePath) return;
+    try {
+      await fs.promises.mkdir(path.dirname(cacheFilePath), { recursive: true });
+      const data = { version: 1, entries: Object.fromEntries(entries) };
+      await fs.promises.writeFile(cacheFilePath, JSON.stringify(data), 'utf8');
+    } catch (err) {
+      console.error('[Lazy LaTeX] Failed to write LLM cache:', err);
+    }
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Whitespace differences (re-indented context, trailing spaces) should not
+ * cause a cache miss.
+ * @param {string} text
+ */
+function normalizePrompt(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Hash of the extra instruction sources, so editing `.lazy-latex.md`,
+ * `lazy-latex.prompt.extra` or the notation glossary invalidates earlier
+ * results.
+ *
+ * @param {{ fileExtra: string, settingExtra: string, glossary?: string }} [extras]
+ * @returns {string}
+ */
+function hashExtraInstructions(extras) {
+  const { fileExtra = '', settingExtra = '', glossary = '' } = extras || {};
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([fileExtra, settingExtra, glossary]))
+    .digest('hex');
+}
+
+/**
+ * Build the cache key for one LLM request.
+ *
+ * `format` distinguishes answers requested in different shapes (e.g. 'json'
+ * for structured output) for the same prompts.
+ *
+ * @param {{ provider: string, model: string, systemPrompt: string, userPrompt: string, extras?: { fileExtra: string, settingExtra: string, glossary?: string }, format?: string }} request
+ * @returns {string}
+ */
+function getCacheKey({ provider, model, systemPrompt, userPrompt, extras, format }) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify({
+        provider: (provider || '').toLowerCase(),
+        model: model || '',
+        extras: hashExtraInstructions(extras),
+        ...(format ? { format } : {}),
+        system: normalizePrompt(systemPrompt),
+        user: normalizePrompt(userPrompt),
+      })
+    )
+    .digest('hex');
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<string | undefined>}
+ */
+async function getCachedResult(key) {
+  if (!isCacheEnabled()) return undefined;
+  const map = await loadEntries();
+  const entry = map.get(key);
+  if (!entry) return undefined;
+
+  entry.lastUsed = Date.now();
+  scheduleSave();
+  return entry.value;
+}
+
+/**
+ * Store a result, evicting the least recently used entries beyond
+ * `lazy-latex.cache.maxEntries`.
+ *
+ * @param {string} key
+ * @param {string} value
+ */
+async function setCachedResult(key, value) {
+  if (!isCacheEnabled() || !value) return;
+  const map = await loadEntries();
+  map.set(key, { value, lastUsed: Date.now() });
+
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const maxEntries = Math.max(1, config.get('cache.maxEntries', 1000));
+  if (map.size > maxEntries) {
+    const oldestFirst = [...map.entries()].sort(
+      (a, b) => a[1].lastUsed - b[1].lastUsed
+    );
+    for (const [oldKey] of oldestFirst.slice(0, map.size - maxEntries)) {
+      map.delete(oldKey);
+    }
+  }
+
+  scheduleSave();
+}
+
+/**
+ * Drop every cached result (memory and disk).
+ * @returns {Promise<number>} number of entries removed
+ */
+async function clearCache() {
+  if (!cacheFilePath) return 0;
+  const map = await loadEntries();
+  const count = map.size;
+  map.clear();
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    await fs.promises.rm(cacheFilePath, { force: true });
+  } catch (err) {
+    console.error('[Lazy LaTeX] Failed to delete LLM cache file:', err);
+  }
+  return count;
+}
+
+module.exports = {
+  initCache,
+  getCacheKey,
+  getCachedResult,
+  setCachedResult,
+  clearCache,
+};
@@ -0,0 +1,94 @@
+// cancellation.js
+const vscode = require('vscode');
+
+// AbortControllers of all conversions currently waiting for the LLM
+const activeControllers = new Set();
+let statusItem = null;
+// Last value written to the `lazy-latex.conversionRunning` context key
+let contextRunning = false;
+
+/**
+ * Show (or hide) the status bar item that reports running conversions.
+ * Clicking it cancels them. Also keeps the `lazy-latex.conversionRunning`
+ * context key (used by the Escape binding) up to date.
+ *
+ * @param {string} [message]
+ */
+function updateStatus(message) {
+  const running = activeControllers.size > 0;
+  if (running !== contextRunning) {
+    contextRunning = running;
+    vscode.commands.executeCommand('setContext', 'lazy-latex.conversionRunning', running);
+  }
+
+  if (!running) {
+    if (statusItem) {
+      statusItem.hide();
+    }
+    return;
+  }
+
+  if (!statusItem) {
+    statusItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Left
+    );
+    statusItem.command = 'lazy-latex.abortConversion';
+    statusItem.tooltip = 'Click or press Escape to abort';
+  }
+
+  if (message) {
+    statusItem.text = `$(sync~spin) ${message}`;
+  }
+  statusItem.show();
+}
+
+/**
+ * Register a conversion that is about to call the LLM.
+ *
+ * The returned `signal` should be passed down to the provider call; it is
+ * aborted by `cancelAllConversions` or by `cancel` (this conversion only).
+ * Call `dispose` when the conversion is finished (it is safe to call more
+ * than once).
+ *
+ * @param {string} message  status bar text while the conversion runs
+ * @returns {{ signal: AbortSignal, cancel: () => void, dispose: () => void }}
+ */
+function beginConversion(message) {
+  const controller = new AbortController();
+  activeControllers.add(controller);
+  updateStatus(message);
+
+  return {
+    signal: controller.signal,
+    cancel() {
+      controller.abort();
+      if (activeControllers.delete(controller)) {
+        updateStatus();
+      }
+    },
+    dispose() {
+      if (activeControllers.delete(controller)) {
+        updateStatus();
+      }
+    },
+  };
+}
+
+/**
+ * Abort every running conversion.
+ * @returns {number} how many conversions were cancelled
+ */
+function cancelAllConversions() {
+  const count = activeControllers.size;
+  for (const controller of activeControllers) {
+    controller.abort();
+  }
+  activeControllers.clear();
+  updateStatus();
+  return count;
+}
+
+module.exports = {
+  beginConversion,
+  cancelAllConversions,
+};
@@ -0,0 +1,33 @@
+// concurrency.js
+
+/**
+ * Run `worker` on every item with at most `limit` calls in flight.
+ * Results keep the order of `items`. Stops starting new items once
+ * `signal` is aborted (items already running are awaited).
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array<R | undefined>>} undefined for items never started
+ */
+async function mapWithConcurrency(items, limit, worker, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runner = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const count = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: count }, runner));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
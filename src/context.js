@@ -1,39 +1,634 @@
 // context.js
+const fs = require('fs');
+const path = require('path');
 const vscode = require('vscode');
+const { getProjectFiles } = require('./project');
+const { getProfileNameForMode, resolveProfile } = require('./profiles');
+const { estimateTokens } = require('./tokens');
+const { getOutputChannel } = require('./logging');
+
+// Commands that define notation: macros, operators, environments, theorems
+const MACRO_DEFINITION =
+  /\\(?:(?:re)?newcommand|providecommand|DeclareMathOperator|DeclarePairedDelimiterX?|(?:New|Renew|Provide|Declare)DocumentCommand|(?:re)?newenvironment|newtheorem|def|let)(?![a-zA-Z])\*?/;
+
+// Sectioning commands, outermost first
+const LATEX_HEADINGS = ['part', 'chapter', 'section', 'subsection', 'subsubsection', 'paragraph'];
+const LATEX_HEADING = /\\(part|chapter|section|subsection|subsubsection|paragraph)\*?\s*[[{]/;
+const MARKDOWN_HEADING = /^(#{1,6})\s+\S/;
+
+// How far above the line to look for \label{...}, and how many to list
+const LABEL_SCAN_LINES = 200;
+const MAX_LABELS = 10;
+
+// Comment lines introducing each part of the context, in the document's
+// syntax: `%` starts a comment in LaTeX but is plain text in Markdown
+const HEADERS = {
+  latex: {
+    project: (label) => `% Macros from ${label}:`,
+    definitions: '% Macros defined earlier in the document:',
+    position: (text) => `% Current position: ${text}`,
+    labels: (text) => `% Nearby labels: ${text}`,
+    preceding: '% Preceding lines:',
+  },
+  markdown: {
+    project: (label) => `<!-- Macros from ${label}: -->`,
+    definitions: '<!-- Macros defined earlier in the document: -->',
+    position: (text) => `<!-- Current position: ${text} -->`,
+    labels: (text) => `<!-- Nearby labels: ${text} -->`,
+    preceding: '<!-- Preceding lines: -->',
+  },
+};
+
+// Notation glossary in the workspace root (written by glossary.js), and the
+// share of the context token budget it may take
+const GLOSSARY_FILE = '.lazy-latex-glossary.md';
+const GLOSSARY_SHARE = 0.5;
+
+// A definition whose braces do not close within this many lines is cut off
+const MAX_DEFINITION_LINES = 20;
 
 /**
- * Get context from previous N lines before a given line number.
- * N is read from `lazy-latex.context.lines`.
+ * Line text without its LaTeX comment (`%` not preceded by a backslash).
+ * @param {string} line
+ * @returns {string}
+ */
+function stripComment(line) {
+  return line.replace(/(^|[^\\])%.*$/, '$1');
+}
+
+/**
+ * Brace depth change of a piece of LaTeX (`\{` and `\}` do not count).
+ * @param {string} text
+ * @returns {number}
+ */
+function braceBalance(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}') {
+      depth--;
+    }
+  }
+  return depth;
+}
+
+/**
+ * Macro, operator, environment and theorem definitions in `lines`
+ * (`\newcommand`, `\DeclareMathOperator`, `\def`, `\newtheorem`, ...).
+ * A definition spanning several lines is returned as one entry.
  *
- * If contextLines = 0, returns an empty string.
- * If contextLines is large, this may include the entire file above the line.
+ * @param {string[]} lines
+ * @returns {Array<{ line: number, text: string }>} in document order
+ */
+function findMacroDefinitions(lines) {
+  const definitions = [];
+
+  for (let ln = 0; ln < lines.length; ln++) {
+    const code = stripComment(lines[ln]);
+    const match = MACRO_DEFINITION.exec(code);
+    if (!match) continue;
+
+    const parts = [code.slice(match.index).trim()];
+    let depth = braceBalance(parts[0]);
+    let end = ln;
+    while (depth > 0 && end + 1 < lines.length && end - ln < MAX_DEFINITION_LINES) {
+      end++;
+      const next = stripComment(lines[end]).trim();
+      parts.push(next);
+      depth += braceBalance(next);
+    }
+
+    definitions.push({ line: ln, text: parts.filter(Boolean).join('\n') });
+    ln = end;
+  }
+
+  return definitions;
+}
+
+/**
+ * Headings `lineNumber` is under, outermost first (e.g. the chapter, then
+ * the section, then the subsection).
  *
- * @param {vscode.TextDocument} document
+ * @param {string[]} lines
+ * @param {number} lineNumber
+ * @param {boolean} markdown
+ * @returns {string[]}
+ */
+function findHeadingsAbove(lines, lineNumber, markdown) {
+  const headings = [];
+  let level = Infinity;
+
+  for (let ln = lineNumber - 1; ln >= 0 && level > 0; ln--) {
+    let headingLevel = -1;
+    if (markdown) {
+      const match = MARKDOWN_HEADING.exec(lines[ln]);
+      headingLevel = match ? match[1].length - 1 : -1;
+    } else {
+      const match = LATEX_HEADING.exec(stripComment(lines[ln]));
+      headingLevel = match ? LATEX_HEADINGS.indexOf(match[1]) : -1;
+    }
+
+    if (headingLevel >= 0 && headingLevel < level) {
+      level = headingLevel;
+      headings.unshift(stripComment(lines[ln]).trim());
+    }
+  }
+
+  return headings;
+}
+
+/**
+ * Environments still open at `lineNumber` (e.g. the theorem or proof the
+ * line belongs to), outermost first, as their `\begin{...}` text. The
+ * `document` environment is left out.
+ *
+ * @param {string[]} lines
  * @param {number} lineNumber
+ * @returns {string[]}
+ */
+function findOpenEnvironments(lines, lineNumber) {
+  const open = [];
+  const pattern = /\\(begin|end)\s*\{([^}]+)\}/g;
+
+  for (let ln = 0; ln < lineNumber && ln < lines.length; ln++) {
+    const code = stripComment(lines[ln]);
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(code))) {
+      const name = match[2].trim();
+      if (match[1] === 'begin') {
+        open.push({ name, text: code.slice(match.index).trim().slice(0, 120) });
+      } else {
+        const idx = open.map((env) => env.name).lastIndexOf(name);
+        if (idx !== -1) {
+          open.splice(idx);
+        }
+      }
+    }
+  }
+
+  return open.filter((env) => env.name !== 'document').map((env) => env.text);
+}
+
+/**
+ * `\label` keys in the lines above `lineNumber`, nearest last.
+ *
+ * @param {string[]} lines
+ * @param {number} lineNumber
+ * @returns {string[]}
+ */
+function findLabelsAbove(lines, lineNumber) {
+  const labels = [];
+  const pattern = /\\label\s*\{([^}]+)\}/g;
+
+  for (let ln = lineNumber - 1; ln >= Math.max(0, lineNumber - LABEL_SCAN_LINES); ln--) {
+    const found = [...stripComment(lines[ln]).matchAll(pattern)].map((m) => m[1].trim());
+    for (const label of found.reverse()) {
+      if (!labels.includes(label)) {
+        labels.push(label);
+      }
+    }
+    if (labels.length >= MAX_LABELS) break;
+  }
+
+  return labels.slice(0, MAX_LABELS).reverse();
+}
+
+/**
+ * Name a definition defines: `\R` for `\newcommand{\R}{...}`, `theorem`
+ * for `\newtheorem{theorem}{Theorem}`.
+ *
+ * @param {string} definition
+ * @returns {string | null}
+ */
+function definedName(definition) {
+  const match = /^\\[A-Za-z]+\*?\s*\{?\s*(\\[A-Za-z@]+|[A-Za-z@*]+)/.exec(definition);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether `text` uses the macro / environment a definition defines.
+ *
+ * @param {string} definition
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isUsedIn(definition, text) {
+  const name = definedName(definition);
+  if (!name) return false;
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`${escaped}(?![A-Za-z@])`).test(text);
+}
+
+/**
+ * Everything the context can be built from.
+ *
+ * @typedef {Object} ContextParts
+ * @property {string[]} lines         document lines above the line
+ * @property {Array<{ label: string, definitions: string[] }>} projectDefinitions
+ * @property {Array<{ line: number, text: string }>} definitions  in this document
+ * @property {string[]} position      headings and open environments
+ * @property {string[]} labels
+ */
+
+/**
+ * What to send: the parts to keep and the first preceding line.
+ *
+ * @typedef {Object} ContextSelection
+ * @property {Array<{ label: string, definitions: string[] }>} projectDefinitions
+ * @property {Array<{ line: number, text: string }>} definitions
+ * @property {string[]} position
+ * @property {string[]} labels
+ * @property {number} startLine
+ */
+
+/**
+ * Line budget (`lazy-latex.context.lines`): headings, labels and
+ * definitions first, the preceding lines fill the rest but always get at
+ * least half of it.
+ *
+ * @param {ContextParts} parts
+ * @param {number} contextLines
+ * @returns {ContextSelection}
+ */
+function selectByLines(parts, contextLines) {
+  const countLines = (texts) =>
+    texts.reduce((sum, text) => sum + text.split('\n').length, 0);
+  const structureLines =
+    parts.projectDefinitions.reduce((sum, f) => sum + 1 + countLines(f.definitions), 0) +
+    countLines(parts.definitions.map((d) => d.text)) +
+    (parts.position.length ? 1 : 0) +
+    (parts.labels.length ? 1 : 0);
+  const precedingCount = Math.max(
+    contextLines - structureLines,
+    Math.ceil(contextLines / 2)
+  );
+
+  return { ...parts, startLine: Math.max(0, parts.lines.length - precedingCount) };
+}
+
+/**
+ * Token budget: the current position and labels first, then the nearest
+ * preceding lines up to half of what is left, then macro definitions (those
+ * used in the nearby text first, then from the nearest to the farthest), and
+ * whatever remains goes to more preceding lines. The far end (the top of the
+ * document, the first project files) is what gets trimmed.
+ *
+ * @param {ContextParts} parts
+ * @param {number} budget
+ * @param {typeof HEADERS.latex} [headers]  those `formatContext` will use
+ * @returns {ContextSelection}
+ */
+function selectByTokens(parts, budget, headers = HEADERS.latex) {
+  let remaining = budget;
+  // Each part also costs its line break
+  const take = (text) => {
+    const tokens = estimateTokens(text) + 1;
+    if (tokens > remaining) return false;
+    remaining -= tokens;
+    return true;
+  };
+
+  const position =
+    parts.position.length && take(headers.position(parts.position.join(' > ')))
+      ? parts.position
+      : [];
+  const labels =
+    parts.labels.length && take(headers.labels(parts.labels.join(', '))) ? parts.labels : [];
+  take(headers.preceding);
+
+  // Nearest lines first, stopping at the first one that does not fit
+  let startLine = parts.lines.length;
+  const addLines = (limit) => {
+    while (startLine > 0) {
+      const tokens = estimateTokens(parts.lines[startLine - 1]) + 1;
+      if (tokens > remaining || tokens > limit) break;
+      remaining -= tokens;
+      limit -= tokens;
+      startLine--;
+    }
+  };
+  addLines(Math.ceil(remaining / 2));
+
+  const nearby = [...position, ...parts.lines.slice(startLine)].join('\n');
+  const candidates = [
+    ...parts.definitions
+      .filter((d) => d.line < startLine)
+      .map((d) => ({ text: d.text, line: d.line, header: headers.definitions }))
+      .reverse(),
+    ...parts.projectDefinitions
+      .flatMap((file, fileIndex) =>
+        file.definitions.map((text, index) => ({
+          text,
+          fileIndex,
+          index,
+          header: headers.project(file.label),
+        }))
+      )
+      .reverse(),
+  ];
+  const ranked = [
+    ...candidates.filter((c) => isUsedIn(c.text, nearby)),
+    ...candidates.filter((c) => !isUsedIn(c.text, nearby)),
+  ];
+  const kept = new Set();
+  const headersTaken = new Set();
+  for (const candidate of ranked) {
+    const text = headersTaken.has(candidate.header)
+      ? candidate.text
+      : `${candidate.header}\n${candidate.text}`;
+    if (take(text)) {
+      kept.add(candidate);
+      headersTaken.add(candidate.header);
+    }
+  }
+
+  addLines(Infinity);
+
+  return {
+    lines: parts.lines,
+    projectDefinitions: parts.projectDefinitions
+      .map((file, fileIndex) => ({
+        label: file.label,
+        definitions: file.definitions.filter((text, index) =>
+          candidates.some((c) => kept.has(c) && c.fileIndex === fileIndex && c.index === index)
+        ),
+      }))
+      .filter((file) => file.definitions.length),
+    definitions: parts.definitions.filter((d) =>
+      candidates.some((c) => kept.has(c) && c.line === d.line)
+    ),
+    position,
+    labels,
+    startLine,
+  };
+}
+
+/**
+ * @param {ContextSelection} selection
+ * @param {string[]} lines
+ * @param {typeof HEADERS.latex} [headers]  `HEADERS.markdown` for Markdown documents
  * @returns {string}
  */
-function getContextBeforeLine(document, lineNumber) {
+function formatContext(selection, lines, headers = HEADERS.latex) {
+  const parts = [];
+
+  for (const file of selection.projectDefinitions) {
+    parts.push(`${headers.project(file.label)}\n` + file.definitions.join('\n'));
+  }
+
+  // Definitions inside the preceding lines are sent with them anyway
+  const earlierDefinitions = selection.definitions.filter(
+    (d) => d.line < selection.startLine
+  );
+  if (earlierDefinitions.length) {
+    parts.push(
+      `${headers.definitions}\n` +
+        earlierDefinitions.map((d) => d.text).join('\n')
+    );
+  }
+
+  if (selection.position.length) {
+    parts.push(headers.position(selection.position.join(' > ')));
+  }
+
+  if (selection.labels.length) {
+    parts.push(headers.labels(selection.labels.join(', ')));
+  }
+
+  const preceding = lines.slice(selection.startLine).join('\n');
+  if (parts.length && preceding.trim()) {
+    parts.push(`${headers.preceding}\n${preceding}`);
+  } else if (preceding.trim()) {
+    parts.push(preceding);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Context token budget of the profile `mode` uses: its `contextTokens`, or
+ * `lazy-latex.context.maxTokens`. 0 means the context is limited by
+ * `lazy-latex.context.lines` instead.
+ *
+ * @param {'inline' | 'display' | 'anything' | 'selection'} [mode]
+ * @returns {number}
+ */
+function getContextTokenBudget(mode) {
+  const llmConfig = resolveProfile(getProfileNameForMode(mode));
+  return typeof llmConfig.contextTokens === 'number'
+    ? llmConfig.contextTokens
+    : vscode.workspace.getConfiguration('lazy-latex').get('context.maxTokens', 1500);
+}
+
+/**
+ * The first lines of `glossary` that fit in `maxTokens`, with a note that the
+ * rest was left out. A code block cut in the middle is closed.
+ *
+ * @param {string} glossary
+ * @param {number} maxTokens
+ * @returns {string} '' if not even the first line fits
+ */
+function fitGlossary(glossary, maxTokens) {
+  if (estimateTokens(glossary) <= maxTokens) {
+    return glossary;
+  }
+  const note = '(The rest of the glossary was left out to fit the context budget.)';
+  const fence = '```';
+  let remaining = maxTokens - estimateTokens(`\n\n${note}`) - estimateTokens(`\n${fence}`);
+  const kept = [];
+  let inFence = false;
+  for (const line of glossary.split(/\r?\n/)) {
+    const cost = estimateTokens(line) + 1;
+    if (cost > remaining) break;
+    remaining -= cost;
+    kept.push(line);
+    if (line.trimStart().startsWith(fence)) inFence = !inFence;
+  }
+  if (!kept.some((line) => line.trim())) {
+    return '';
+  }
+  if (inFence) kept.push(fence);
+  return `${kept.join('\n').trimEnd()}\n\n${note}`;
+}
+
+/**
+ * The notation glossary (`.lazy-latex-glossary.md` in the first workspace
+ * folder; see glossary.js) as sent with requests for `mode`: it counts
+ * against that mode's context token budget and is cut to at most half of it.
+ * With no token budget (line mode) it is sent whole.
+ *
+ * @param {'inline' | 'display' | 'anything' | 'selection'} [mode]
+ * @returns {Promise<string>} '' if there is no glossary
+ */
+async function getGlossary(mode) {
+  const folders = vscode.workspace.workspaceFolders;
+  if (!folders || !folders.length) {
+    return '';
+  }
+  let glossary;
+  try {
+    glossary = (
+      await fs.promises.readFile(path.join(folders[0].uri.fsPath, GLOSSARY_FILE), 'utf8')
+    ).trim();
+  } catch (err) {
+    if (err && err.code !== 'ENOENT') {
+      console.error(`[Lazy LaTeX] Failed to read ${GLOSSARY_FILE}:`, err);
+    }
+    return '';
+  }
+  const tokenBudget = getContextTokenBudget(mode);
+  return tokenBudget > 0 ? fitGlossary(glossary, Math.floor(tokenBudget * GLOSSARY_SHARE)) : glossary;
+}
+
+/**
+ * Build the document context for a conversion at `lineNumber`.
+ *
+ * The context holds the lines above the line and, with
+ * `lazy-latex.context.documentStructure` on:
+ * - macro definitions from anywhere above those lines (the preamble's
+ *   `\newcommand`s, `\DeclareMathOperator`s, ...), so the model reuses them
+ * - with `lazy-latex.context.project` on, macro definitions from the other
+ *   files of a multi-file project (the root document's preamble, other
+ *   chapters; see project.js)
+ * - the section headings and open environments (e.g. a theorem) the line is in
+ * - nearby `\label`s
+ *
+ * Its size is limited by the token budget of the profile `mode` uses
+ * (`contextTokens`, default `lazy-latex.context.maxTokens`; see
+ * `selectByTokens`), less what the notation glossary sent with the request
+ * takes (see `getGlossary`), or by `lazy-latex.context.lines` when the budget
+ * is 0 (see `selectByLines`). When something had to be left out, how much
+ * was sent is reported in the "Lazy LaTeX" output channel.
+ *
+ * If the budget and `lazy-latex.context.lines` are both 0, returns an empty
+ * string.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {number} lineNumber
+ * @param {'inline' | 'display' | 'anything' | 'selection'} [mode]  selects the profile
+ * @returns {Promise<string>}
+ */
+async function getContextBeforeLine(document, lineNumber, mode) {
   const config = vscode.workspace.getConfiguration('lazy-latex');
   const contextLines = config.get('context.lines', 50);
+  const documentStructure = config.get('context.documentStructure', true);
+  const projectContext = config.get('context.project', true);
+  const llmConfig = resolveProfile(getProfileNameForMode(mode));
+  const fullBudget = getContextTokenBudget(mode);
 
-  if (!contextLines || contextLines <= 0) {
+  // The line limit only applies without a token budget
+  if (lineNumber <= 0 || (fullBudget <= 0 && !(contextLines > 0))) {
     return '';
   }
 
-  const startLine = Math.max(0, lineNumber - contextLines);
-  const endLine = lineNumber - 1;
+  const lines = [];
+  for (let ln = 0; ln < lineNumber; ln++) {
+    lines.push(document.lineAt(ln).text);
+  }
+
+  const markdown = document.languageId === 'markdown';
+  const headers = markdown ? HEADERS.markdown : HEADERS.latex;
+  /** @type {ContextParts} */
+  const parts = { lines, projectDefinitions: [], definitions: [], position: [], labels: [] };
+  if (documentStructure) {
+    if (projectContext && !markdown) {
+      try {
+        for (const file of await getProjectFiles(document)) {
+          const found = findMacroDefinitions(file.lines).map((d) => d.text);
+          if (found.length) {
+            parts.projectDefinitions.push({ label: file.label, definitions: found });
+          }
+        }
+      } catch (err) {
+        console.error('[Lazy LaTeX] Failed to read the project files:', err);
+      }
+    }
+    parts.definitions = findMacroDefinitions(lines);
+    parts.position = [
+      ...findHeadingsAbove(lines, lineNumber, markdown),
+      ...findOpenEnvironments(lines, lineNumber),
+    ];
+    parts.labels = findLabelsAbove(lines, lineNumber);
+  }
+
+  const glossaryTokens = fullBudget > 0 ? estimateTokens(await getGlossary(mode)) : 0;
+  // Never 0, which would mean line mode
+  const tokenBudget = fullBudget > 0 ? Math.max(1, fullBudget - glossaryTokens) : 0;
+  const selection =
+    tokenBudget > 0
+      ? selectByTokens(parts, tokenBudget, headers)
+      : selectByLines(parts, contextLines);
+  const context = formatContext(selection, lines, headers);
+
+  // Definitions among the preceding lines are sent with them
+  const sentDefinitions =
+    selection.projectDefinitions.reduce((sum, f) => sum + f.definitions.length, 0) +
+    parts.definitions.filter(
+      (d) => d.line >= selection.startLine || selection.definitions.includes(d)
+    ).length;
+  const allDefinitions =
+    parts.projectDefinitions.reduce((sum, f) => sum + f.definitions.length, 0) +
+    parts.definitions.length;
+  const positionLeftOut = parts.position.length > 0 && !selection.position.length;
+  const labelsLeftOut = parts.labels.length > 0 && !selection.labels.length;
+  if (
+    selection.startLine === 0 &&
+    sentDefinitions === allDefinitions &&
+    !positionLeftOut &&
+    !labelsLeftOut
+  ) {
+    return context;
+  }
+
+  getOutputChannel().appendLine(
+    `${new Date().toISOString()} Context for ${vscode.workspace.asRelativePath(document.uri)}:${lineNumber + 1} ` +
+      `(profile ${llmConfig.profile}): ~${estimateTokens(context)} tokens` +
+      (tokenBudget > 0 ? ` of ${tokenBudget}` : ` (limit ${contextLines} lines)`) +
+      (glossaryTokens ? ` (${fullBudget} less ~${glossaryTokens} for the notation glossary)` : '') +
+      `, ${lines.length - selection.startLine} of ${lines.length} preceding lines` +
+      `, ${sentDefinitions} of ${allDefinitions} macro definitions` +
+      (positionLeftOut ? ', position left out' : '') +
+      (labelsLeftOut ? ', labels left out' : '')
+  );
 
-  if (endLine < startLine) {
+  return context;
+}
+
+/**
+ * The `lazy-latex.context.followingLines` lines after `lineNumber`, for
+ * conversions in the middle of existing text (a step of a proof whose
+ * target equation comes later). Trailing blank lines are dropped.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {number} lineNumber  last line of the wrappers
+ * @returns {string} '' if the setting is 0 or nothing follows
+ */
+function getContextAfterLine(document, lineNumber) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const followingLines = config.get('context.followingLines', 0);
+  if (!followingLines || followingLines <= 0) {
     return '';
   }
 
   const lines = [];
-  for (let ln = startLine; ln <= endLine; ln++) {
+  const end = Math.min(document.lineCount, lineNumber + 1 + followingLines);
+  for (let ln = lineNumber + 1; ln < end; ln++) {
     lines.push(document.lineAt(ln).text);
   }
-  return lines.join('\n');
+  return lines.join('\n').trimEnd();
 }
 
 module.exports = {
+  GLOSSARY_FILE,
   getContextBeforeLine,
+  getContextAfterLine,
+  getGlossary,
+  findMacroDefinitions,
+  selectByTokens,
+  formatContext,
+  HEADERS,
 };
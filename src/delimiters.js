@@ -0,0 +1,223 @@
+// delimiters.js
+const vscode = require('vscode');
+
+/**
+ * Get output math delimiters for the given document.
+ *
+ * - LaTeX: configurable via settings
+ * - Markdown: fixed to $...$ and $$...$$
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {{ inline: { open: string, close: string }, display: { open: string, close: string } }}
+ */
+function getOutputDelimiters(document) {
+  const lang = document.languageId;
+
+  // Markdown: always $ / $$
+  if (lang === 'markdown') {
+    return {
+      inline: { open: '$', close: '$' },
+      display: { open: '$$', close: '$$' },
+    };
+  }
+
+  // Default: LaTeX
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const inlineStyle = config.get('output.latex.inlineStyle', 'dollar');
+  const displayStyle = config.get('output.latex.displayStyle', 'brackets');
+
+  const inline =
+    inlineStyle === 'paren'
+      ? { open: '\\(', close: '\\)' }
+      : { open: '$', close: '$' };
+
+  const display =
+    displayStyle === 'dollars'
+      ? { open: '$$', close: '$$' }
+      : { open: '\\[', close: '\\]' };
+
+  return { inline, display };
+}
+
+// Top-level math environments whose body can be regenerated
+const MATH_ENVIRONMENTS = new Set([
+  'equation', 'equation*',
+  'align', 'align*',
+  'alignat', 'alignat*',
+  'flalign', 'flalign*',
+  'gather', 'gather*',
+  'multline', 'multline*',
+  'eqnarray', 'eqnarray*',
+  'displaymath', 'math',
+]);
+
+/**
+ * Find the index of `needle` at or after `from`, skipping occurrences whose
+ * first character is escaped with a backslash (e.g. `\$`).
+ *
+ * @param {string} text
+ * @param {string} needle
+ * @param {number} from
+ * @returns {number} -1 if not found
+ */
+function indexOfUnescaped(text, needle, from) {
+  let idx = text.indexOf(needle, from);
+  while (idx !== -1) {
+    let backslashes = 0;
+    for (let k = idx - 1; k >= 0 && text[k] === '\\'; k--) {
+      backslashes++;
+    }
+    if (backslashes % 2 === 0) {
+      return idx;
+    }
+    idx = text.indexOf(needle, idx + 1);
+  }
+  return -1;
+}
+
+/**
+ * Find every math block in a document text: `$...$`, `\(...\)`, `\[...\]`,
+ * `$$...$$` and the environments in MATH_ENVIRONMENTS. These are the
+ * delimiters `getOutputDelimiters` can produce, plus the usual environments.
+ *
+ * LaTeX `%` comments and Markdown code fences are skipped. Blocks are not
+ * nested: an `aligned` inside `\[...\]` is part of the outer block's body.
+ *
+ * @param {string} text
+ * @param {string} languageId
+ * @returns {Array<{ kind: 'inline' | 'display' | 'environment', name?: string, start: number, end: number, bodyStart: number, bodyEnd: number }>}
+ *   offsets into `text`; start/end include the delimiters
+ */
+function findMathBlocks(text, languageId) {
+  const blocks = [];
+  const n = text.length;
+  let i = 0;
+
+  const push = (kind, start, bodyStart, bodyEnd, end, name) => {
+    blocks.push({ kind, name, start, end, bodyStart, bodyEnd });
+    i = end;
+  };
+
+  while (i < n) {
+    const ch = text[i];
+
+    // LaTeX comment: skip to end of line
+    if (languageId === 'latex' && ch === '%') {
+      const eol = text.indexOf('\n', i);
+      i = eol === -1 ? n : eol + 1;
+      continue;
+    }
+
+    // Markdown code fence: skip to the closing fence
+    if (
+      languageId === 'markdown' &&
+      text.startsWith('```', i) &&
+      (i === 0 || text[i - 1] === '\n')
+    ) {
+      const close = text.indexOf('\n```', i + 3);
+      i = close === -1 ? n : close + 4;
+      continue;
+    }
+
+    if (text.startsWith('\\begin{', i)) {
+      const nameEnd = text.indexOf('}', i + 7);
+      const name = nameEnd === -1 ? '' : text.slice(i + 7, nameEnd);
+      if (MATH_ENVIRONMENTS.has(name)) {
+        let bodyStart = nameEnd + 1;
+        // alignat{2}: the column count is not part of the body
+        if (name.startsWith('alignat') && text[bodyStart] === '{') {
+          const argEnd = text.indexOf('}', bodyStart);
+          if (argEnd !== -1) bodyStart = argEnd + 1;
+        }
+        const closer = `\\end{${name}}`;
+        const close = text.indexOf(closer, bodyStart);
+        if (close !== -1) {
+          push('environment', i, bodyStart, close, close + closer.length, name);
+          continue;
+        }
+      }
+      i = nameEnd === -1 ? n : nameEnd + 1;
+      continue;
+    }
+
+    if (text.startsWith('\\[', i) || text.startsWith('\\(', i)) {
+      const display = text[i + 1] === '[';
+      const closer = display ? '\\]' : '\\)';
+      const close = text.indexOf(closer, i + 2);
+      if (close !== -1) {
+        push(display ? 'display' : 'inline', i, i + 2, close, close + 2);
+        continue;
+      }
+      i += 2;
+      continue;
+    }
+
+    if (ch === '\\') {
+      // Escaped character (\$, \%, \\ ...)
+      i += 2;
+      continue;
+    }
+
+    if (text.startsWith('$$', i)) {
+      const close = indexOfUnescaped(text, '$$', i + 2);
+      if (close !== -1) {
+        push('display', i, i + 2, close, close + 2);
+        continue;
+      }
+      i += 2;
+      continue;
+    }
+
+    if (ch === '$') {
+      const close = indexOfUnescaped(text, '$', i + 1);
+      // Inline math never spans a blank line
+      if (close !== -1 && !/\n\s*\n/.test(text.slice(i + 1, close))) {
+        push('inline', i, i + 1, close, close + 1);
+        continue;
+      }
+      i += 1;
+      continue;
+    }
+
+    i++;
+  }
+
+  return blocks;
+}
+
+/**
+ * Find the math block (delimiters or math environment) containing `position`.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {{ kind: 'inline' | 'display' | 'environment', name?: string, range: vscode.Range, bodyRange: vscode.Range, body: string } | null}
+ */
+function findMathBlockAt(document, position) {
+  const text = document.getText();
+  const offset = document.offsetAt(position);
+
+  const block = findMathBlocks(text, document.languageId).find(
+    (b) => b.start <= offset && offset <= b.end
+  );
+  if (!block) return null;
+
+  return {
+    kind: block.kind,
+    name: block.name,
+    range: new vscode.Range(
+      document.positionAt(block.start),
+      document.positionAt(block.end)
+    ),
+    bodyRange: new vscode.Range(
+      document.positionAt(block.bodyStart),
+      document.positionAt(block.bodyEnd)
+    ),
+    body: text.slice(block.bodyStart, block.bodyEnd),
+  };
+}
+
+module.exports = {
+  getOutputDelimiters,
+  findMathBlocks,
+  findMathBlockAt,
+};
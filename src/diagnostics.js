@@ -0,0 +1,248 @@
+// diagnostics.js
+const vscode = require('vscode');
+const { scanWrappersInLines, findCodeLines } = require('./wrappers');
+
+const DIAGNOSTIC_SOURCE = 'Lazy LaTeX';
+const CODE_UNCONVERTED = 'unconverted-wrapper';
+const CODE_UNMATCHED = 'unmatched-delimiter';
+const UPDATE_DELAY_MS = 500;
+
+const WRAPPER_NAMES = {
+  inline: 'inline math',
+  display: 'display math',
+  anything: 'insert-anything',
+};
+
+/** @type {vscode.DiagnosticCollection | null} */
+let collection = null;
+// document uri string -> pending update timer
+const pendingUpdates = new Map();
+
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {boolean}
+ */
+function shouldCheck(document) {
+  const lang = document.languageId;
+  if (lang !== 'latex' && lang !== 'markdown') {
+    return false;
+  }
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  return config.get('diagnostics.enabled', true);
+}
+
+/**
+ * Single-line, shortened text for messages.
+ * @param {string} text
+ */
+function shorten(text) {
+  const flat = text.trim().replace(/\s+/g, ' ');
+  return flat.length > 60 ? flat.slice(0, 59) + '…' : flat;
+}
+
+/**
+ * Recompute the diagnostics of one document: every wrapper still in the text
+ * and every delimiter run without a closer, outside code blocks.
+ *
+ * @param {vscode.TextDocument} document
+ */
+function updateDiagnostics(document) {
+  if (!collection) return;
+  if (!shouldCheck(document)) {
+    collection.delete(document.uri);
+    return;
+  }
+
+  const lines = [];
+  for (let ln = 0; ln < document.lineCount; ln++) {
+    lines.push(document.lineAt(ln).text);
+  }
+  // Code blocks are scanned as blank lines, which also stops a wrapper
+  // from spanning into one
+  for (const ln of findCodeLines(lines, document.languageId)) {
+    lines[ln] = '';
+  }
+  const { wrappers, unmatched } = scanWrappersInLines(lines, document.languageId);
+
+  const diagnostics = [];
+
+  for (const w of wrappers) {
+    const diagnostic = new vscode.Diagnostic(
+      new vscode.Range(w.startLine, w.start, w.endLine, w.end),
+      `Unconverted ${WRAPPER_NAMES[w.type]} wrapper: ${shorten(w.inner)}`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = CODE_UNCONVERTED;
+    diagnostics.push(diagnostic);
+  }
+
+  for (const u of unmatched) {
+    const delimiter = ';'.repeat(u.count);
+    const diagnostic = new vscode.Diagnostic(
+      new vscode.Range(u.line, u.start, u.line, u.end),
+      `Unterminated ${delimiter} wrapper: no closing ${delimiter} found`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = CODE_UNMATCHED;
+    diagnostics.push(diagnostic);
+  }
+
+  collection.set(document.uri, diagnostics);
+}
+
+/**
+ * Update a document's diagnostics shortly after the last change, so typing
+ * a wrapper does not rescan the document on every keystroke.
+ *
+ * @param {vscode.TextDocument} document
+ */
+function scheduleUpdate(document) {
+  const key = document.uri.toString();
+  clearTimeout(pendingUpdates.get(key));
+  pendingUpdates.set(
+    key,
+    setTimeout(() => {
+      pendingUpdates.delete(key);
+      updateDiagnostics(document);
+    }, UPDATE_DELAY_MS)
+  );
+}
+
+/**
+ * Edit removing the opening and closing delimiter runs of a wrapper but
+ * keeping its content.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range  the whole wrapper, delimiters included
+ * @returns {vscode.WorkspaceEdit}
+ */
+function removeDelimitersEdit(document, range) {
+  const text = document.getText(range);
+  const count = text.match(/^;*/)[0].length;
+
+  const edit = new vscode.WorkspaceEdit();
+  edit.delete(document.uri, new vscode.Range(range.start, range.start.translate(0, count)));
+  edit.delete(document.uri, new vscode.Range(range.end.translate(0, -count), range.end));
+  return edit;
+}
+
+const codeActionProvider = {
+  /**
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Range} range
+   * @param {vscode.CodeActionContext} context
+   * @returns {vscode.CodeAction[]}
+   */
+  provideCodeActions(document, range, context) {
+    const actions = [];
+
+    for (const diagnostic of context.diagnostics) {
+      if (diagnostic.source !== DIAGNOSTIC_SOURCE) continue;
+
+      if (diagnostic.code === CODE_UNCONVERTED) {
+        const convert = new vscode.CodeAction(
+          'Convert this wrapper',
+          vscode.CodeActionKind.QuickFix
+        );
+        convert.command = {
+          command: 'lazy-latex.convertWrapperAt',
+          title: 'Convert this wrapper',
+          arguments: [document.uri, diagnostic.range],
+        };
+        convert.diagnostics = [diagnostic];
+        convert.isPreferred = true;
+
+        const remove = new vscode.CodeAction(
+          'Remove wrapper delimiters',
+          vscode.CodeActionKind.QuickFix
+        );
+        remove.edit = removeDelimitersEdit(document, diagnostic.range);
+        remove.diagnostics = [diagnostic];
+
+        actions.push(convert, remove);
+      } else if (diagnostic.code === CODE_UNMATCHED) {
+        const remove = new vscode.CodeAction(
+          'Remove unterminated delimiter',
+          vscode.CodeActionKind.QuickFix
+        );
+        remove.edit = new vscode.WorkspaceEdit();
+        remove.edit.delete(document.uri, diagnostic.range);
+        remove.diagnostics = [diagnostic];
+        actions.push(remove);
+      }
+    }
+
+    return actions;
+  },
+};
+
+/**
+ * Register the "Problems" diagnostics for leftover and unterminated wrappers
+ * and their quick fixes.
+ *
+ * @param {vscode.ExtensionContext} context
+ * @param {(document: vscode.TextDocument, wrapper: Object) => Promise<void>} convertWrapper
+ *   converts a single wrapper found by `findWrappersInLines`
+ */
+function registerDiagnostics(context, convertWrapper) {
+  collection = vscode.languages.createDiagnosticCollection('lazy-latex');
+
+  context.subscriptions.push(
+    collection,
+
+    vscode.languages.registerCodeActionsProvider(
+      [{ language: 'latex' }, { language: 'markdown' }],
+      codeActionProvider,
+      { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+    ),
+
+    vscode.commands.registerCommand(
+      'lazy-latex.convertWrapperAt',
+      async (uri, range) => {
+        const document = vscode.workspace.textDocuments.find(
+          (d) => d.uri.toString() === uri.toString()
+        );
+        if (!document) return;
+
+        const lines = [];
+        for (let ln = 0; ln < document.lineCount; ln++) {
+          lines.push(document.lineAt(ln).text);
+        }
+        const wrapper = scanWrappersInLines(lines, document.languageId).wrappers.find(
+          (w) => w.startLine === range.start.line && w.start === range.start.character
+        );
+        if (!wrapper) {
+          vscode.window.showInformationMessage(
+            'Lazy LaTeX: The wrapper is no longer there.'
+          );
+          return;
+        }
+        await convertWrapper(document, wrapper);
+      }
+    ),
+
+    vscode.workspace.onDidOpenTextDocument(updateDiagnostics),
+    vscode.workspace.onDidChangeTextDocument((event) =>
+      scheduleUpdate(event.document)
+    ),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      const key = document.uri.toString();
+      clearTimeout(pendingUpdates.get(key));
+      pendingUpdates.delete(key);
+      collection.delete(document.uri);
+    }),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration('lazy-latex.diagnostics')) {
+        vscode.workspace.textDocuments.forEach(updateDiagnostics);
+      }
+    })
+  );
+
+  vscode.workspace.textDocuments.forEach(updateDiagnostics);
+}
+
+module.exports = {
+  registerDiagnostics,
+};
@@ -0,0 +1,81 @@
+// edits.js
+const vscode = require('vscode');
+
+// Guard so our own edits don't re-trigger processing (e.g. the Enter handler)
+let applyingEdits = 0;
+
+/**
+ * Whether Lazy LaTeX is currently writing to a document.
+ * @returns {boolean}
+ */
+function isApplyingLazyLatexEdit() {
+  return applyingEdits > 0;
+}
+
+/**
+ * Apply non-overlapping text edits to one document in a single WorkspaceEdit
+ * and report where each edit's new text ended up afterwards.
+ *
+ * Ranges are relative to the document as it is now. Insertions (empty ranges)
+ * at the same offset as a replacement are placed before it. Line breaks in
+ * the new text are written with the document's end of line sequence, as VS
+ * Code would, so the returned ranges cover the text as it is in the document.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {Array<{ range: vscode.Range, text: string }>} edits
+ * @returns {Promise<vscode.Range[] | null>} new range of each edit's text, in
+ *   the order of `edits`, or null if VS Code rejected the edit
+ */
+async function applyTextEdits(document, edits) {
+  const eol = document.eol === vscode.EndOfLine.CRLF ? '\r\n' : '\n';
+  const items = edits.map((e, index) => ({
+    index,
+    text: e.text.replace(/\r?\n/g, eol),
+    startOffset: document.offsetAt(e.range.start),
+    endOffset: document.offsetAt(e.range.end),
+    range: e.range,
+  }));
+
+  const workspaceEdit = new vscode.WorkspaceEdit();
+  for (const item of items) {
+    workspaceEdit.replace(document.uri, item.range, item.text);
+  }
+
+  // Offset tracking: an edit moves by the size change of every edit before it
+  const ordered = [...items].sort(
+    (a, b) =>
+      a.startOffset - b.startOffset ||
+      a.endOffset - a.startOffset - (b.endOffset - b.startOffset)
+  );
+  const newStartOffsets = new Array(items.length);
+  let delta = 0;
+  for (const item of ordered) {
+    newStartOffsets[item.index] = item.startOffset + delta;
+    delta += item.text.length - (item.endOffset - item.startOffset);
+  }
+
+  applyingEdits++;
+  let applied;
+  try {
+    applied = await vscode.workspace.applyEdit(workspaceEdit);
+  } finally {
+    applyingEdits--;
+  }
+
+  if (!applied) {
+    return null;
+  }
+
+  return items.map(
+    (item) =>
+      new vscode.Range(
+        document.positionAt(newStartOffsets[item.index]),
+        document.positionAt(newStartOffsets[item.index] + item.text.length)
+      )
+  );
+}
+
+module.exports = {
+  applyTextEdits,
+  isApplyingLazyLatexEdit,
+};
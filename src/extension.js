@@ -1,95 +1,202 @@
 const vscode = require('vscode');
 const {
+  getLlmConfig,
   generateLatexFromText,
+  generateLatexCandidates,
+  regenerateLatexWithInstruction,
   generateLatexForBatch,
   generateAnythingFromInstruction,
 } = require('./llmClient');
-const { getContextBeforeLine } = require('./context');
-const { findWrappersInLine } = require('./wrappers');
-const { logLlmError, getFriendlyErrorMessage } = require('./logging');
+const { getContextBeforeLine, getContextAfterLine } = require('./context');
+const { findWrappersInLines, findWrappersAroundLine } = require('./wrappers');
+const { getOutputDelimiters, findMathBlockAt } = require('./delimiters');
+const {
+  logLlmError,
+  getFriendlyErrorMessage,
+  getOutputChannel,
+} = require('./logging');
+const { createStreamingPreview } = require('./streamingPreview');
+const { renderLatexPreview } = require('./latexPreview');
+const { applyTextEdits, isApplyingLazyLatexEdit } = require('./edits');
+const { trackEdits } = require('./anchors');
+const { recordConversion, registerHistory } = require('./history');
+const { registerDiagnostics } = require('./diagnostics');
+const { initCache, clearCache } = require('./cache');
+const { listOllamaModels } = require('./providers/ollama');
+const { registerProvider } = require('./providers');
+const { getActiveProfileName, updateProfile, registerProfiles } = require('./profiles');
+const { initSecrets } = require('./secrets');
+const { registerProject } = require('./project');
+const { registerGlossary } = require('./glossary');
+const { mapWithConcurrency } = require('./concurrency');
+const { beginConversion, cancelAllConversions } = require('./cancellation');
+const {
+  addPendingReview,
+  hasPendingReview,
+  registerReview,
+} = require('./review');
+
+// Guard to prevent infinite loops when saving after processing wrappers
+let isProcessingSave = false;
 
 /**
- * Get output math delimiters for the given document.
- *
- * - LaTeX: configurable via settings
- * - Markdown: fixed to $...$ and $$...$$
+ * Detect a wrapper followed by space(s) and a single semicolon (the user's
+ * actual punctuation, e.g. `;;x;; ;`) and return a replacement that removes
+ * the space(s) but keeps the semicolon.
  *
- * @param {vscode.TextDocument} document
- * @returns {{ inline: { open: string, close: string }, display: { open: string, close: string } }}
+ * @param {string} lineText  line on which the wrapper ends
+ * @param {number} end       index after the closing delimiters
+ * @returns {{ start: number, end: number, text: string } | null}
  */
-function getOutputDelimiters(document) {
-  const lang = document.languageId;
-
-  // Markdown: always $ / $$
-  if (lang === 'markdown') {
-    return {
-      inline: { open: '$', close: '$' },
-      display: { open: '$$', close: '$$' },
-    };
+function findSpaceBeforeSemicolon(lineText, end) {
+  const len = lineText.length;
+  let i = end;
+
+  // Skip whitespace after the wrapper
+  const spaceStart = i;
+  while (i < len && /\s/.test(lineText[i])) {
+    i++;
   }
 
-  // Default: LaTeX
-  const config = vscode.workspace.getConfiguration('lazy-latex');
-  const inlineStyle = config.get('output.latex.inlineStyle', 'dollar');
-  const displayStyle = config.get('output.latex.displayStyle', 'brackets');
-
-  const inline =
-    inlineStyle === 'paren'
-      ? { open: '\\(', close: '\\)' }
-      : { open: '$', close: '$' };
-
-  const display =
-    displayStyle === 'dollars'
-      ? { open: '$$', close: '$$' }
-      : { open: '\\[', close: '\\]' };
+  // Check if we have exactly one semicolon (not part of ;;, ;;;, or ;;;;)
+  if (i < len && lineText[i] === ';') {
+    // Check if it's just a single semicolon (not followed by another semicolon)
+    if (i + 1 >= len || lineText[i + 1] !== ';') {
+      // Remove the space(s) but keep the semicolon
+      if (i > spaceStart) {
+        return {
+          start: spaceStart,
+          end: i, // Remove up to (but not including) the semicolon
+          text: '',
+        };
+      }
+    }
+  }
 
-  return { inline, display };
+  return null;
 }
 
-
-// Guard so our own edits don't re-trigger processing
-let isApplyingLazyLatexEdit = false;
-// Guard to prevent infinite loops when saving after processing wrappers
-let isProcessingSave = false;
+/**
+ * Edits computed for one group of wrappers, ready to be written (or shown
+ * for review).
+ *
+ * @typedef {Object} LineChange
+ * @property {number} firstLine      first line touched by the conversion
+ * @property {number} lineNumber     line the wrappers close on
+ * @property {string} originalText   lines firstLine..lineNumber before conversion
+ * @property {string | null} commentText
+ * @property {Array<{ startLine: number, start: number, endLine: number, end: number, text: string, original?: string, movedText?: string, trailing?: boolean }>} replacements
+ *   `trailing`: whitespace / punctuation fix after the wrapper replacement before it;
+ *   `movedText`: text after the wrapper that the output took in (punctuation
+ *   moved into display math), removed by the trailing fix
+ * @property {string} [model]
+ * @property {string} [provider]
+ */
 
 /**
- * Given a document line and the detected wrappers, call the LLM in batch mode
- * and replace ;;...;; / ;;;...;;; with real LaTeX ($...$ or \[...\]).
+ * Given a group of wrappers that all end on `lineNumber`, call the LLM in batch
+ * mode and compute the replacements of ;;...;; / ;;;...;;; with real LaTeX
+ * ($...$ or \[...\]). The document is not modified.
+ *
+ * Wrappers from `findWrappersInLines` may start on an earlier line (multi-line
+ * ;;;...;;; / ;;;;...;;;;); their whole range is replaced. Wrappers without
+ * line information are treated as lying on `lineNumber`.
+ *
+ * Wrapper positions refer to the snapshot in `options.edits`, and so do the
+ * returned replacements; map them with `anchorChange` before writing.
+ *
+ * LLM errors are logged and passed to `options.onError` (default: an error
+ * notification); the remaining wrappers still proceed. Cancellation is
+ * rethrown as an error with `cancelled` set.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {number} lineNumber
+ * @param {Array<Object>} wrappers
+ * @param {{
+ *   edits: import('./anchors').EditTracker,
+ *   signal?: AbortSignal,
+ *   bypassCache?: boolean,
+ *   preview?: { update: Function, dispose: Function },
+ *   onError?: (err: Error) => void
+ * }} [options]
+ * @returns {Promise<LineChange | null>} null if nothing was generated
  */
-async function processLineForWrappers(document, lineNumber, wrappers) {
-  const editor = vscode.window.activeTextEditor;
-  if (!editor) return;
-  if (editor.document !== document) return;
-  if (!wrappers || wrappers.length === 0) return;
+async function computeLineChange(document, lineNumber, wrappers, options) {
+  if (!wrappers || wrappers.length === 0) return null;
 
-  const status = vscode.window.setStatusBarMessage(
-    'Lazy LaTeX: auto-generating LaTeX for this line...'
-  );
+  const preview = options.preview || { update() {}, dispose() {} };
+  const reportError =
+    options.onError ||
+    ((err) => vscode.window.showErrorMessage(getFriendlyErrorMessage(err)));
+
+  wrappers = wrappers.map((w) => ({
+    startLine: lineNumber,
+    endLine: lineNumber,
+    ...w,
+  }));
 
-  // Compute context once per line (previous lines only)
-  const previousContext = getContextBeforeLine(document, lineNumber);
+  // First line touched by this group (earlier than lineNumber for multi-line wrappers)
+  const firstLine = Math.min(lineNumber, ...wrappers.map((w) => w.startLine));
 
   // Read config for keeping original input as a comment
   const config = vscode.workspace.getConfiguration('lazy-latex');
   const keepOriginalComment = config.get('keepOriginalComment', false);
   const outputDelims = getOutputDelimiters(document);
 
-  // Capture the original line text before any edits (full current line)
-  let originalLineText = '';
-  try {
-    originalLineText = document.lineAt(lineNumber).text;
-  } catch {
-    originalLineText = '';
+  // The original text (all lines spanned by the wrappers), as the wrapper
+  // positions saw it; the document may have changed since
+  const originalLines = [];
+  for (let ln = firstLine; ln <= lineNumber; ln++) {
+    originalLines.push(options.edits.originalLine(ln));
   }
+  const originalLineText = originalLines.join('\n');
+  // The line the wrappers close on; trailing punctuation is looked up here
+  const endLineText = originalLines.length
+    ? originalLines[originalLines.length - 1]
+    : '';
+
+  // Source text of a wrapper, delimiters included (kept for the history)
+  const wrapperSource = (w) => {
+    const lines = originalLines.slice(w.startLine - firstLine, w.endLine - firstLine + 1);
+    if (lines.length === 1) {
+      return lines[0].slice(w.start, w.end);
+    }
+    lines[0] = lines[0].slice(w.start);
+    lines[lines.length - 1] = lines[lines.length - 1].slice(0, w.end);
+    return lines.join('\n');
+  };
 
   // Partition wrappers: math vs "anything"
   const mathWrappers = wrappers.filter(
     (w) => w.type === 'inline' || w.type === 'display'
   );
   const anythingWrappers = wrappers.filter((w) => w.type === 'anything');
+  // One request per line: display math gets the display profile, also for
+  // inline wrappers sharing the line
+  const mathMode = mathWrappers.some((w) => w.type === 'display') ? 'display' : 'inline';
+
+  const followingContext = getContextAfterLine(document, lineNumber);
+  // Context once per line and profile (previous lines only; the budget
+  // depends on the profile). Both are read together, from the document as
+  // it is now.
+  const [mathContext, anythingContext] = await Promise.all([
+    mathWrappers.length ? getContextBeforeLine(document, firstLine, mathMode) : null,
+    anythingWrappers.length ? getContextBeforeLine(document, firstLine, 'anything') : null,
+  ]);
 
   const replacements = [];
 
+  // Replacement on the closing line only (trailing whitespace / punctuation
+  // of the wrapper before it)
+  const onEndLine = (r) => ({
+    startLine: lineNumber,
+    start: r.start,
+    endLine: lineNumber,
+    end: r.end,
+    text: r.text,
+    trailing: true,
+  });
+
   // 1) Handle math wrappers via batch call (same as before, but only math)
   if (mathWrappers.length > 0) {
     const mathDescriptions = mathWrappers.map((w) => (w.inner || '').trim());
@@ -98,18 +205,41 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
     try {
       latexList = await generateLatexForBatch(
         mathDescriptions,
-        previousContext,
-        originalLineText
+        mathContext,
+        originalLineText,
+        followingContext,
+        {
+          mode: mathMode,
+          signal: options.signal,
+          bypassCache: options.bypassCache,
+          // Line i of the streamed answer belongs to wrapper i
+          onProgress: (textSoFar) => {
+            const lines = textSoFar
+              .split(/\r?\n/)
+              .map((l) => l.trim())
+              .filter((l) => l.length > 0);
+            mathWrappers.forEach((w, idx) => {
+              if (lines[idx]) {
+                preview.update(
+                  `${lineNumber}-math-${idx}`,
+                  options.edits.mapPosition(new vscode.Position(w.endLine, w.end)),
+                  lines[idx]
+                );
+              }
+            });
+          },
+        }
       );
     } catch (err) {
-      status.dispose();
+      if (err && err.cancelled) {
+        throw err;
+      }
       console.error('[Lazy LaTeX] Batch LLM error for line', lineNumber, err);
       logLlmError(
         err,
         `Error in auto math conversion on line ${lineNumber}.`
       );
-      const msg = getFriendlyErrorMessage(err);
-      vscode.window.showErrorMessage(msg);
+      reportError(err);
       // We still allow "anything" wrappers (if any) to proceed
       latexList = [];
     }
@@ -121,41 +251,17 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
       if (!latex) continue;
 
       // Check for space + single semicolon after wrapper (user's actual punctuation)
-      // Pattern: wrapper + space + ; (where ; is not part of another wrapper)
-      let spaceBeforeSemicolonReplacement = null;
-      if (typeof originalLineText === 'string') {
-        const line = originalLineText;
-        const len = line.length;
-        let i = w.end;
-
-        // Skip whitespace after the wrapper
-        let spaceStart = i;
-        while (i < len && /\s/.test(line[i])) {
-          i++;
-        }
-
-        // Check if we have exactly one semicolon (not part of ;;, ;;;, or ;;;;)
-        if (i < len && line[i] === ';') {
-          // Check if it's just a single semicolon (not followed by another semicolon)
-          if (i + 1 >= len || line[i + 1] !== ';') {
-            // This is the pattern: wrapper + space(s) + single semicolon
-            // Remove the space(s) but keep the semicolon
-            if (i > spaceStart) {
-              spaceBeforeSemicolonReplacement = {
-                start: spaceStart,
-                end: i, // Remove up to (but not including) the semicolon
-                text: '',
-              };
-            }
-          }
-        }
-      }
+      const spaceBeforeSemicolonReplacement = findSpaceBeforeSemicolon(
+        endLineText,
+        w.end
+      );
 
       // Optional extra replacement to delete trailing punctuation after the wrapper
       let extraReplacement = null;
+      let movedText;
 
-      if (w.type === 'display' && typeof originalLineText === 'string') {
-        const line = originalLineText;
+      if (w.type === 'display') {
+        const line = endLineText;
         const len = line.length;
         let i = w.end;
 
@@ -183,6 +289,7 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
             end: j,
             text: '',
           };
+          movedText = line.slice(i, j);
         }
       }
 
@@ -193,7 +300,8 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
         // Display math: ensure it's on its own line if needed
         let displayBlock = `${outputDelims.display.open}\n${latex}\n${outputDelims.display.close}\n`;
 
-        const prefix = (originalLineText || '').slice(0, w.start);
+        const startLineText = originalLines[w.startLine - firstLine] || '';
+        const prefix = startLineText.slice(0, w.start);
         if (prefix.trim().length > 0) {
           displayBlock = '\n' + displayBlock;
         }
@@ -203,26 +311,31 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
 
       // Replace the wrapper itself
       replacements.push({
+        startLine: w.startLine,
         start: w.start,
+        endLine: w.endLine,
         end: w.end,
         text: wrappedText,
+        original: wrapperSource(w),
+        movedText,
       });
 
       // Remove space before single semicolon if found
       if (spaceBeforeSemicolonReplacement) {
-        replacements.push(spaceBeforeSemicolonReplacement);
+        replacements.push(onEndLine(spaceBeforeSemicolonReplacement));
       }
 
       // Also delete the punctuation if we found one
       if (extraReplacement) {
-        replacements.push(extraReplacement);
+        replacements.push(onEndLine(extraReplacement));
       }
     }
   }
 
   // 2) Handle "anything" wrappers one by one
   if (anythingWrappers.length > 0) {
-    for (const w of anythingWrappers) {
+    for (let idx = 0; idx < anythingWrappers.length; idx++) {
+      const w = anythingWrappers[idx];
       const instruction = (w.inner || '').trim();
       if (!instruction) continue;
 
@@ -230,12 +343,25 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
       try {
         generated = await generateAnythingFromInstruction(
           instruction,
-          previousContext,
+          anythingContext,
           originalLineText,
-          document.languageId
+          followingContext,
+          document.languageId,
+          {
+            signal: options.signal,
+            bypassCache: options.bypassCache,
+            onProgress: (textSoFar) =>
+              preview.update(
+                `${lineNumber}-anything-${idx}`,
+                options.edits.mapPosition(new vscode.Position(w.endLine, w.end)),
+                textSoFar
+              ),
+          }
         );
       } catch (err) {
-        status.dispose();
+        if (err && err.cancelled) {
+          throw err;
+        }
         console.error(
           '[Lazy LaTeX] LLM error in insert-anything mode on line',
           lineNumber,
@@ -245,8 +371,7 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
           err,
           `Error in insert-anything mode (;;;;...;;;;) on line ${lineNumber}.`
         );
-        const msg = getFriendlyErrorMessage(err);
-        vscode.window.showErrorMessage(msg);
+        reportError(err);
         continue;
       }
 
@@ -255,88 +380,422 @@ async function processLineForWrappers(document, lineNumber, wrappers) {
       if (!text) continue;
 
       // Check for space + single semicolon after wrapper (user's actual punctuation)
-      let spaceBeforeSemicolonReplacement = null;
-      if (typeof originalLineText === 'string') {
-        const line = originalLineText;
-        const len = line.length;
-        let i = w.end;
-
-        // Skip whitespace after the wrapper
-        let spaceStart = i;
-        while (i < len && /\s/.test(line[i])) {
-          i++;
-        }
-
-        // Check if we have exactly one semicolon (not part of ;;, ;;;, or ;;;;)
-        if (i < len && line[i] === ';') {
-          // Check if it's just a single semicolon (not followed by another semicolon)
-          if (i + 1 >= len || line[i + 1] !== ';') {
-            // This is the pattern: wrapper + space(s) + single semicolon
-            // Remove the space(s) but keep the semicolon
-            if (i > spaceStart) {
-              spaceBeforeSemicolonReplacement = {
-                start: spaceStart,
-                end: i, // Remove up to (but not including) the semicolon
-                text: '',
-              };
-            }
-          }
-        }
-      }
+      const spaceBeforeSemicolonReplacement = findSpaceBeforeSemicolon(
+        endLineText,
+        w.end
+      );
 
       replacements.push({
+        startLine: w.startLine,
         start: w.start,
+        endLine: w.endLine,
         end: w.end,
         text,
+        original: wrapperSource(w),
       });
 
       // Remove space before single semicolon if found
       if (spaceBeforeSemicolonReplacement) {
-        replacements.push(spaceBeforeSemicolonReplacement);
+        replacements.push(onEndLine(spaceBeforeSemicolonReplacement));
       }
     }
   }
 
-  if (!replacements.length) return;
+  if (!replacements.length) {
+    return null;
+  }
 
-  isApplyingLazyLatexEdit = true;
-  try {
-    await editor.edit((editBuilder) => {
-      // Optionally insert the original line as a comment above
-      if (
-        keepOriginalComment &&
-        typeof originalLineText === 'string' &&
-        originalLineText.trim().length > 0
-      ) {
-        let commentText;
-        if (document.languageId === 'markdown') {
-          // HTML-style comment for Markdown
-          commentText = `<!-- [lazy-latex input] ${originalLineText} -->`;
-        } else {
-          // LaTeX-style comment (default)
-          commentText = `% [lazy-latex input] ${originalLineText}`;
-        }
-        const insertPos = new vscode.Position(lineNumber, 0);
-        editBuilder.insert(insertPos, commentText + '\n');
-      }
+  // Optionally insert the original line(s) as a comment above
+  let commentText = null;
+  if (keepOriginalComment && originalLineText.trim().length > 0) {
+    commentText = originalLines
+      .map((line) =>
+        document.languageId === 'markdown'
+          ? // HTML-style comment for Markdown
+            `<!-- [lazy-latex input] ${line} -->`
+          : // LaTeX-style comment (default)
+            `% [lazy-latex input] ${line}`
+      )
+      .join('\n');
+  }
 
-      // Apply replacements from right to left so indices remain valid
-      const sorted = replacements.sort((a, b) => b.start - a.start);
-      for (const r of sorted) {
-        const range = new vscode.Range(lineNumber, r.start, lineNumber, r.end);
-        editBuilder.replace(range, r.text);
-      }
+  const { model, provider } = getLlmConfig(
+    mathWrappers.length ? mathMode : 'anything'
+  );
+  return {
+    firstLine,
+    lineNumber,
+    originalText: originalLineText,
+    commentText,
+    replacements,
+    model,
+    provider,
+  };
+}
+
+/**
+ * Convert a group of wrappers that all end on `lineNumber` and write the
+ * result (or queue it for review when `lazy-latex.applyMode` is "review").
+ *
+ * The request can be aborted ("Abort conversion", Escape). Edits made to
+ * the document in the meantime are followed; wrappers whose text was changed
+ * are skipped (see `anchorChange`).
+ *
+ * @param {vscode.TextDocument} document
+ * @param {number} lineNumber
+ * @param {Array<Object>} wrappers
+ * @param {{ bypassCache?: boolean, edits?: import('./anchors').EditTracker }} [options]
+ *   `edits`: snapshot the wrapper positions refer to, if taken earlier than
+ *   this call (default: the document as it is now)
+ */
+async function processLineForWrappers(document, lineNumber, wrappers, options = {}) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) return;
+  if (editor.document !== document) return;
+  if (!wrappers || wrappers.length === 0) return;
+
+  const edits = options.edits || trackEdits(document);
+  const status = beginConversion(
+    'Lazy LaTeX: auto-generating LaTeX for this line...'
+  );
+  // Ghost text showing the output while it streams in
+  const preview = createStreamingPreview(editor);
+
+  let change;
+  try {
+    const computed = await computeLineChange(document, lineNumber, wrappers, {
+      edits,
+      signal: status.signal,
+      bypassCache: options.bypassCache,
+      preview,
     });
+    // The user may have kept typing while the LLM was working
+    change = computed && anchorChange(document, computed, edits);
+    if (computed && !change) {
+      vscode.window.setStatusBarMessage(
+        `Lazy LaTeX: line ${lineNumber + 1} changed while converting; result dropped.`,
+        5000
+      );
+    }
+  } catch (err) {
+    status.dispose();
+    if (err && err.cancelled) {
+      console.log('[Lazy LaTeX] Conversion cancelled on line', lineNumber);
+      return;
+    }
+    throw err;
+  } finally {
+    // The response is complete: drop the ghost text before committing the edit
+    preview.dispose();
+    if (edits !== options.edits) {
+      edits.dispose();
+    }
+  }
+
+  if (!change) {
+    status.dispose();
+    return;
+  }
+
+  // Review mode: show the candidate and let the user accept it later
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  if (config.get('applyMode', 'replace') === 'review') {
+    status.dispose();
+    queueForReview(document, change);
+    return;
+  }
+
+  try {
+    await applyLineChanges(document, [change]);
   } finally {
     status.dispose();
-    isApplyingLazyLatexEdit = false;
   }
 }
 
 /**
- * Process all lines with wrappers in a document.
- * Uses multiple passes to handle line number shifts when display math is inserted.
- * 
+ * Show a computed conversion with Accept / Reject / Regenerate actions.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {LineChange} change
+ */
+function queueForReview(document, change) {
+  addPendingReview(document, {
+    ...change,
+    apply: (item) => applyLineChanges(document, [item]),
+    regenerate: (item) => regenerateLine(document, item.lineNumber),
+  });
+}
+
+/**
+ * Move a change computed against the snapshot in `edits` to where its text
+ * is now. Each wrapper must still read as it did; a wrapper that was edited
+ * at its place is looked for again nearby and skipped if it is gone, together
+ * with its trailing whitespace / punctuation fixes.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {LineChange} change
+ * @param {import('./anchors').EditTracker} edits
+ * @returns {LineChange | null} null if no wrapper was found
+ */
+function anchorChange(document, change, edits) {
+  const replacements = [];
+  let wrapperFound = false;
+
+  for (const r of change.replacements) {
+    if (r.trailing && !wrapperFound) continue;
+
+    const range = edits.locate(
+      new vscode.Range(r.startLine, r.start, r.endLine, r.end),
+      !r.trailing
+    );
+    if (!r.trailing) {
+      wrapperFound = Boolean(range);
+    }
+    if (!range) continue;
+
+    replacements.push({
+      ...r,
+      startLine: range.start.line,
+      start: range.start.character,
+      endLine: range.end.line,
+      end: range.end.character,
+    });
+  }
+
+  const wrappers = replacements.filter((r) => !r.trailing);
+  if (!wrappers.length) {
+    console.warn('[Lazy LaTeX] Line', change.lineNumber, 'was edited during conversion; result dropped.');
+    return null;
+  }
+  if (wrappers.length < change.replacements.filter((r) => !r.trailing).length) {
+    console.warn('[Lazy LaTeX] Skipped wrapper(s) on line', change.lineNumber, 'edited during conversion.');
+  }
+
+  const firstLine = Math.min(...wrappers.map((r) => r.startLine));
+  const lineNumber = Math.max(...wrappers.map((r) => r.endLine));
+  return {
+    ...change,
+    firstLine,
+    lineNumber,
+    originalText: document.getText(
+      new vscode.Range(firstLine, 0, lineNumber, document.lineAt(lineNumber).text.length)
+    ),
+    replacements,
+  };
+}
+
+/**
+ * Write computed line conversions into the document in a single edit and
+ * record each converted wrapper in the conversion history.
+ *
+ * All changes must have been computed against the current document text.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {LineChange[]} changes
+ * @returns {Promise<boolean>} whether the edit was applied
+ */
+async function applyLineChanges(document, changes) {
+  const edits = [];
+
+  for (const change of changes) {
+    if (change.commentText) {
+      const insertPos = new vscode.Position(change.firstLine, 0);
+      edits.push({
+        range: new vscode.Range(insertPos, insertPos),
+        text: change.commentText + '\n',
+      });
+    }
+
+    for (const r of change.replacements) {
+      edits.push({
+        range: new vscode.Range(r.startLine, r.start, r.endLine, r.end),
+        text: r.text,
+        replacement: r,
+        change,
+      });
+    }
+  }
+
+  if (!edits.length) {
+    return false;
+  }
+
+  const newRanges = await applyTextEdits(document, edits);
+  if (!newRanges) {
+    return false;
+  }
+
+  // Only wrapper replacements carry the original text; trailing
+  // whitespace / punctuation fixes are not worth restoring
+  edits.forEach((e, idx) => {
+    if (e.replacement && e.replacement.original) {
+      recordConversion(document, {
+        original: e.replacement.original,
+        movedText: e.replacement.movedText,
+        // As written, with the document's line breaks
+        output: document.getText(newRanges[idx]),
+        range: newRanges[idx],
+        model: e.change.model,
+        provider: e.change.provider,
+      });
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Convert the wrappers that close on `lineNumber` again (used by
+ * "Regenerate" in review mode).
+ *
+ * @param {vscode.TextDocument} document
+ * @param {number} lineNumber
+ */
+async function regenerateLine(document, lineNumber) {
+  if (lineNumber >= document.lineCount) return;
+
+  const wrappers = findWrappersAroundLine(
+    document,
+    lineNumber,
+    document.languageId
+  ).filter((w) => w.endLine === lineNumber);
+
+  if (!wrappers.length) {
+    vscode.window.showInformationMessage(
+      'Lazy LaTeX: The wrappers on this line are gone; nothing to regenerate.'
+    );
+    return;
+  }
+
+  // The user asked for a new answer, so never reuse a cached one
+  await processLineForWrappers(document, lineNumber, wrappers, {
+    bypassCache: true,
+  });
+}
+
+/**
+ * Find the wrapper groups of a document: one group per line the wrappers
+ * close on. Review mode leaves the wrappers in place, so lines already
+ * waiting for review are skipped.
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {{ wrappers: Array<Object>, endLines: number[] }}
+ */
+function collectWrapperGroups(document) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const reviewMode = config.get('applyMode', 'replace') === 'review';
+
+  const lines = [];
+  for (let ln = 0; ln < document.lineCount; ln++) {
+    lines.push(document.lineAt(ln).text);
+  }
+  const wrappers = findWrappersInLines(lines, document.languageId);
+
+  const endLines = [...new Set(wrappers.map((w) => w.endLine))]
+    .sort((a, b) => a - b)
+    .filter((endLine) => !reviewMode || !hasPendingReview(document, endLine));
+
+  return { wrappers, endLines };
+}
+
+/**
+ * Convert the given wrapper groups of a document and write the results in a
+ * single edit (or queue them for review when `lazy-latex.applyMode` is
+ * "review").
+ *
+ * The groups are sent to the LLM with at most
+ * `lazy-latex.maxConcurrentRequests` requests in flight. Each group only sees
+ * the unconverted text above it as context. If `signal` is aborted, nothing
+ * is written.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {{ wrappers: Array<Object>, endLines: number[] }} groups
+ * @param {{
+ *   signal: AbortSignal,
+ *   preview?: { update: Function, dispose: Function },
+ *   onLineDone?: () => void
+ * }} options
+ * @returns {Promise<{ converted: number, queued: number, skipped: number, errors: Error[] }>}
+ *   `converted` / `queued` count wrapper lines; `skipped` counts lines
+ *   edited while the LLM was working
+ */
+async function convertWrapperGroups(document, { wrappers, endLines }, options) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const reviewMode = config.get('applyMode', 'replace') === 'review';
+  const maxConcurrent = Math.max(1, config.get('maxConcurrentRequests', 4));
+  const result = { converted: 0, queued: 0, skipped: 0, errors: [] };
+  // The wrappers were collected from the document as it is now
+  const edits = trackEdits(document);
+
+  let current;
+  try {
+    const changes = await mapWithConcurrency(
+      endLines,
+      maxConcurrent,
+      async (lineNumber) => {
+        try {
+          return await computeLineChange(
+            document,
+            lineNumber,
+            wrappers.filter((w) => w.endLine === lineNumber),
+            {
+              edits,
+              signal: options.signal,
+              preview: options.preview,
+              onError: (err) => result.errors.push(err),
+            }
+          );
+        } catch (err) {
+          if (!(err && err.cancelled)) {
+            console.error(`[Lazy LaTeX] Error processing line ${lineNumber}:`, err);
+            result.errors.push(err);
+          }
+          return null;
+        } finally {
+          if (options.onLineDone) {
+            options.onLineDone();
+          }
+        }
+      },
+      options.signal
+    );
+
+    if (options.signal.aborted) {
+      return result;
+    }
+
+    // Follow edits made while the LLM was working; lines whose wrappers were
+    // edited are dropped
+    const ready = changes.filter(Boolean);
+    current = ready.map((c) => anchorChange(document, c, edits)).filter(Boolean);
+    result.skipped = ready.length - current.length;
+  } finally {
+    edits.dispose();
+  }
+
+  if (result.skipped) {
+    console.warn(
+      `[Lazy LaTeX] Skipped ${result.skipped} line(s) edited during conversion.`
+    );
+  }
+
+  if (reviewMode) {
+    current.forEach((change) => queueForReview(document, change));
+    result.queued = current.length;
+  } else if (current.length && (await applyLineChanges(document, current))) {
+    result.converted = current.length;
+  }
+
+  return result;
+}
+
+/**
+ * Convert every wrapper in a document.
+ *
+ * All wrapper groups are collected up front, converted concurrently and
+ * written in a single edit (see `convertWrapperGroups`). Progress is shown in
+ * a cancellable notification; cancelling writes nothing.
+ *
  * @param {vscode.TextDocument} document
  * @returns {Promise<boolean>} True if any conversions were made, false otherwise
  */
@@ -351,60 +810,334 @@ async function processAllWrappersInDocument(document) {
     return false;
   }
 
-  let anyConversions = false;
-  const maxPasses = 10; // Prevent infinite loops
-  let pass = 0;
+  const groups = collectWrapperGroups(document);
+  const total = groups.endLines.length;
+  if (!total) {
+    return false;
+  }
+
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: 'Lazy LaTeX: converting wrappers',
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const status = beginConversion(
+        `Lazy LaTeX: converting ${total} line(s)...`
+      );
+      const cancelSubscription = token.onCancellationRequested(() =>
+        status.cancel()
+      );
+      const preview = createStreamingPreview(editor);
+      let done = 0;
 
-  // Use multiple passes to handle cases where processing one line
-  // changes the document structure (e.g., display math adds newlines)
-  while (pass < maxPasses) {
-    pass++;
-    let foundWrappers = false;
-    const lineCount = document.lineCount;
+      progress.report({ message: `0/${total} lines` });
 
-    // Process lines from top to bottom
-    // This ensures context includes already-converted lines above
-    for (let lineNumber = 0; lineNumber < lineCount; lineNumber++) {
+      let result;
       try {
-        // Re-read line in case document changed
-        const lineText = document.lineAt(lineNumber).text;
-        const wrappers = findWrappersInLine(lineText, lang);
-
-        if (wrappers.length > 0) {
-          foundWrappers = true;
-          await processLineForWrappers(document, lineNumber, wrappers);
-          anyConversions = true;
-          
-          // After processing, the document structure may have changed
-          // Break and do another pass to catch any remaining wrappers
-          break;
-        }
-      } catch (e) {
-        console.error(`[Lazy LaTeX] Error processing line ${lineNumber}:`, e);
-        // Continue with next line
+        result = await convertWrapperGroups(document, groups, {
+          signal: status.signal,
+          preview,
+          onLineDone: () => {
+            done++;
+            progress.report({
+              increment: 100 / total,
+              message: `${done}/${total} lines`,
+            });
+          },
+        });
+      } finally {
+        preview.dispose();
+        cancelSubscription.dispose();
+        status.dispose();
+      }
+
+      if (status.signal.aborted) {
+        console.log('[Lazy LaTeX] Document conversion cancelled.');
+        return false;
+      }
+
+      if (result.errors.length) {
+        const failed =
+          result.errors.length > 1
+            ? ` (${result.errors.length} requests failed)`
+            : '';
+        vscode.window.showErrorMessage(
+          getFriendlyErrorMessage(result.errors[0]) + failed
+        );
       }
+
+      return result.converted > 0;
     }
+  );
+}
 
-    // If no wrappers were found in this pass, we're done
-    if (!foundWrappers) {
-      break;
+/**
+ * Find the `.tex` / `.md` files of the workspace that contain wrappers.
+ * Open documents are read from memory (unsaved edits included), other files
+ * from disk.
+ *
+ * @returns {Promise<Array<{ uri: vscode.Uri, count: number }>>} sorted by path
+ */
+async function findWorkspaceFilesWithWrappers() {
+  const uris = await vscode.workspace.findFiles(
+    '**/*.{tex,md}',
+    '**/node_modules/**'
+  );
+  const decoder = new TextDecoder('utf-8');
+  const files = [];
+
+  for (const uri of uris) {
+    try {
+      const open = vscode.workspace.textDocuments.find(
+        (d) => d.uri.toString() === uri.toString()
+      );
+      const text = open
+        ? open.getText()
+        : decoder.decode(await vscode.workspace.fs.readFile(uri));
+      const languageId = uri.path.endsWith('.md') ? 'markdown' : 'latex';
+      const count = findWrappersInLines(text.split(/\r?\n/), languageId).length;
+      if (count > 0) {
+        files.push({ uri, count });
+      }
+    } catch (err) {
+      console.error('[Lazy LaTeX] Failed to scan', uri.toString(), err);
+    }
+  }
+
+  return files.sort((a, b) => a.uri.path.localeCompare(b.uri.path));
+}
+
+/**
+ * Command: list the workspace files containing wrappers and convert the
+ * chosen ones without showing them in an editor. Files that had no unsaved
+ * changes are saved afterwards. Per-file results go to the "Lazy LaTeX"
+ * output channel.
+ */
+async function convertWorkspace() {
+  if (!vscode.workspace.workspaceFolders) {
+    vscode.window.showInformationMessage('Lazy LaTeX: No folder is open.');
+    return;
+  }
+
+  const files = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Window,
+      title: 'Lazy LaTeX: scanning workspace for wrappers',
+    },
+    findWorkspaceFilesWithWrappers
+  );
+
+  if (!files.length) {
+    vscode.window.showInformationMessage(
+      'Lazy LaTeX: No wrappers found in .tex / .md files of this workspace.'
+    );
+    return;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    files.map((f) => ({
+      label: vscode.workspace.asRelativePath(f.uri),
+      description: `${f.count} wrapper${f.count === 1 ? '' : 's'}`,
+      picked: true,
+      file: f,
+    })),
+    {
+      title: 'Lazy LaTeX: convert wrappers in which files?',
+      canPickMany: true,
+    }
+  );
+  if (!picked || !picked.length) return;
+
+  const channel = getOutputChannel();
+  channel.appendLine('----------------------------------------');
+  channel.appendLine(
+    `${new Date().toISOString()} Converting wrappers in ${picked.length} file(s)`
+  );
+
+  let failedFiles = 0;
+  let cancelled = false;
+
+  await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: 'Lazy LaTeX: converting workspace',
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const status = beginConversion(
+        `Lazy LaTeX: converting ${picked.length} file(s)...`
+      );
+      const cancelSubscription = token.onCancellationRequested(() =>
+        status.cancel()
+      );
+
+      try {
+        for (let i = 0; i < picked.length; i++) {
+          if (status.signal.aborted) break;
+
+          const { uri } = picked[i].file;
+          const label = picked[i].label;
+          progress.report({
+            increment: i === 0 ? 0 : 100 / picked.length,
+            message: `${label} (${i + 1}/${picked.length})`,
+          });
+
+          try {
+            const document = await vscode.workspace.openTextDocument(uri);
+            const lang = document.languageId;
+            if (lang !== 'latex' && lang !== 'markdown') {
+              channel.appendLine(`  ${label}: skipped (language "${lang}")`);
+              continue;
+            }
+
+            const wasDirty = document.isDirty;
+            const groups = collectWrapperGroups(document);
+            const result = await convertWrapperGroups(document, groups, {
+              signal: status.signal,
+            });
+
+            if (status.signal.aborted) {
+              channel.appendLine(`  ${label}: cancelled, nothing written`);
+              break;
+            }
+
+            if (result.converted && !wasDirty) {
+              await document.save();
+            }
+
+            const parts = [];
+            if (result.converted) parts.push(`${result.converted} line(s) converted`);
+            if (result.queued) parts.push(`${result.queued} line(s) waiting for review`);
+            if (result.skipped) parts.push(`${result.skipped} line(s) skipped (edited meanwhile)`);
+            if (result.errors.length) {
+              failedFiles++;
+              parts.push(
+                `${result.errors.length} request(s) failed: ` +
+                  result.errors.map((e) => e.message || String(e)).join('; ')
+              );
+            }
+            channel.appendLine(
+              `  ${label}: ${result.errors.length ? 'FAILED' : 'OK'} — ${parts.join(', ') || 'nothing converted'}`
+            );
+          } catch (err) {
+            failedFiles++;
+            console.error('[Lazy LaTeX] Failed to convert', uri.toString(), err);
+            channel.appendLine(`  ${label}: FAILED — ${err.message || err}`);
+          }
+        }
+      } finally {
+        cancelled = status.signal.aborted;
+        cancelSubscription.dispose();
+        status.dispose();
+      }
     }
+  );
+
+  if (cancelled) {
+    channel.appendLine('  Cancelled.');
+    vscode.window.showInformationMessage(
+      'Lazy LaTeX: Workspace conversion cancelled. Files finished before cancelling keep their conversions.'
+    );
+    return;
+  }
+
+  const summary = failedFiles
+    ? `Lazy LaTeX: ${failedFiles} of ${picked.length} file(s) had errors.`
+    : `Lazy LaTeX: Converted wrappers in ${picked.length} file(s).`;
+  const show = failedFiles
+    ? vscode.window.showWarningMessage(summary, 'Show output')
+    : vscode.window.showInformationMessage(summary, 'Show output');
+  if ((await show) === 'Show output') {
+    channel.show(true);
   }
+}
 
-  if (pass >= maxPasses) {
-    console.warn('[Lazy LaTeX] Reached max passes while processing document wrappers.');
+/**
+ * Command: pick one of the models installed on the Ollama server and store
+ * it in the active model profile (`lazy-latex.llm.model` for the default
+ * profile), switching the provider to Ollama if needed.
+ */
+async function selectOllamaModel() {
+  const profileName = getActiveProfileName();
+  const { endpoint, provider, model: currentModel } = getLlmConfig();
+  // Another provider's endpoint says nothing about where Ollama runs
+  const ollamaEndpoint = provider === 'ollama' ? endpoint : '';
+
+  let models;
+  try {
+    models = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Window,
+        title: 'Lazy LaTeX: listing Ollama models',
+      },
+      () => listOllamaModels(ollamaEndpoint)
+    );
+  } catch (err) {
+    console.error('[Lazy LaTeX] Failed to list Ollama models:', err);
+    logLlmError(err, 'Error listing Ollama models (/api/tags).', {
+      provider: 'ollama',
+      endpoint: ollamaEndpoint,
+    });
+    vscode.window.showErrorMessage(getFriendlyErrorMessage(err));
+    return;
   }
 
-  return anyConversions;
+  if (!models.length) {
+    vscode.window.showInformationMessage(
+      'Lazy LaTeX: No models are installed in Ollama. Pull one first, e.g. "ollama pull qwen2.5:7b".'
+    );
+    return;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    models.map((m) => ({
+      label: m.name,
+      description: [
+        m.name === currentModel && provider === 'ollama' ? 'current' : '',
+        m.parameterSize,
+        m.quantization,
+      ]
+        .filter(Boolean)
+        .join(' · '),
+      detail:
+        typeof m.size === 'number'
+          ? `${(m.size / 1e9).toFixed(1)} GB`
+          : undefined,
+      model: m,
+    })),
+    { title: 'Lazy LaTeX: Ollama model to use' }
+  );
+  if (!picked) return;
+
+  await updateProfile(
+    profileName,
+    provider !== 'ollama'
+      ? { model: picked.model.name, provider: 'ollama' }
+      : { model: picked.model.name }
+  );
+
+  vscode.window.showInformationMessage(
+    `Lazy LaTeX: Using Ollama model "${picked.model.name}" (profile "${profileName}").`
+  );
 }
 
 /**
  * This function is called when your extension is activated.
  * @param {vscode.ExtensionContext} context
+ * @returns {{ registerProvider: typeof registerProvider }} API for other
+ *   extensions (`vscode.extensions.getExtension(...).exports`)
  */
 function activate(context) {
   console.log('Lazy LaTeX extension is now active.');
 
+  // Persistent LLM result cache in the extension's global storage
+  initCache(context);
+
+  // API keys in SecretStorage (moves keys left in settings there)
+  initSecrets(context);
+
   // Manual command: convert current selection (single expression mode)
   const commandDisposable = vscode.commands.registerCommand(
     'lazy-latex.mathToLatex',
@@ -426,17 +1159,26 @@ function activate(context) {
 
       const selectedText = editor.document.getText(selection);
 
-      // Context based on the start line of the selection (previous lines only)
-      const contextText = getContextBeforeLine(editor.document, selection.start.line);
-
-      const status = vscode.window.setStatusBarMessage(
-        'Lazy LaTeX: generating LaTeX with LLM...'
-      );
+      const status = beginConversion('Lazy LaTeX: generating LaTeX with LLM...');
+      const preview = createStreamingPreview(editor);
 
       let latex;
       try {
-        latex = await generateLatexFromText(selectedText, contextText);
+        // Context based on the start line of the selection (previous lines only)
+        const contextText = await getContextBeforeLine(
+          editor.document,
+          selection.start.line,
+          'selection'
+        );
+        latex = await generateLatexFromText(selectedText, contextText, {
+          signal: status.signal,
+          onProgress: (textSoFar) =>
+            preview.update('selection', selection.end, textSoFar),
+        });
       } catch (err) {
+        if (err && err.cancelled) {
+          return;
+        }
         console.error('Lazy LaTeX: LLM error', err);
         logLlmError(
           err,
@@ -447,6 +1189,7 @@ function activate(context) {
         vscode.window.showErrorMessage(msg);
         return;
       } finally {
+        preview.dispose();
         status.dispose();
       }
 
@@ -467,6 +1210,176 @@ function activate(context) {
 
   context.subscriptions.push(commandDisposable);
 
+  // Manual command: convert current selection, choosing among alternatives
+  const chooseCommandDisposable = vscode.commands.registerCommand(
+    'lazy-latex.mathToLatexChoose',
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) {
+        vscode.window.showInformationMessage('No active editor.');
+        return;
+      }
+
+      const selection = editor.selection;
+
+      if (selection.isEmpty) {
+        vscode.window.showInformationMessage(
+          'Lazy LaTeX: select some math or natural language math text first.'
+        );
+        return;
+      }
+
+      const selectedText = editor.document.getText(selection);
+
+      const status = beginConversion('Lazy LaTeX: generating alternatives...');
+
+      let candidates;
+      try {
+        const contextText = await getContextBeforeLine(
+          editor.document,
+          selection.start.line,
+          'selection'
+        );
+        candidates = await generateLatexCandidates(
+          selectedText,
+          contextText,
+          undefined,
+          { signal: status.signal }
+        );
+      } catch (err) {
+        if (err && err.cancelled) {
+          return;
+        }
+        console.error('Lazy LaTeX: LLM error', err);
+        logLlmError(
+          err,
+          'Error in manual conversion command (Lazy LaTeX: Convert selection to math, choose from alternatives).'
+        );
+
+        const msg = getFriendlyErrorMessage(err);
+        vscode.window.showErrorMessage(msg);
+        return;
+      } finally {
+        status.dispose();
+      }
+
+      if (!candidates.length) {
+        vscode.window.showErrorMessage(
+          'Lazy LaTeX: LLM returned empty result.'
+        );
+        return;
+      }
+
+      const picked = await vscode.window.showQuickPick(
+        candidates.map((latex) => ({
+          label: renderLatexPreview(latex) || latex,
+          detail: latex,
+          latex,
+        })),
+        {
+          title: 'Lazy LaTeX: choose a rendering',
+          placeHolder: selectedText.replace(/\s+/g, ' ').slice(0, 100),
+          matchOnDetail: true,
+        }
+      );
+
+      if (!picked) return;
+
+      await editor.edit((editBuilder) => {
+        editBuilder.replace(selection, picked.latex);
+      });
+    }
+  );
+
+  context.subscriptions.push(chooseCommandDisposable);
+
+  // Command: regenerate / tweak the existing math block under the cursor
+  const regenerateMathDisposable = vscode.commands.registerCommand(
+    'lazy-latex.regenerateMath',
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) {
+        vscode.window.showInformationMessage('No active editor.');
+        return;
+      }
+
+      const document = editor.document;
+      const block = findMathBlockAt(document, editor.selection.active);
+      if (!block) {
+        vscode.window.showInformationMessage(
+          'Lazy LaTeX: Put the cursor inside a math block ($...$, \\(...\\), \\[...\\], $$...$$ or a math environment) first.'
+        );
+        return;
+      }
+
+      const instruction = await vscode.window.showInputBox({
+        title: 'Lazy LaTeX: regenerate math',
+        prompt: 'How should this math be changed? Leave empty to simply regenerate it.',
+        placeHolder: 'e.g. make it aligned, use bold vectors',
+      });
+      if (instruction === undefined) return; // Escape
+
+      const environment =
+        block.kind === 'environment'
+          ? `the ${block.name} environment`
+          : `${block.kind} math`;
+
+      const status = beginConversion('Lazy LaTeX: regenerating math...');
+      const preview = createStreamingPreview(editor);
+
+      let latex;
+      try {
+        const contextText = await getContextBeforeLine(
+          document,
+          block.range.start.line,
+          'selection'
+        );
+        latex = await regenerateLatexWithInstruction(
+          block.body.trim(),
+          instruction,
+          contextText,
+          environment,
+          {
+            signal: status.signal,
+            bypassCache: true,
+            onProgress: (textSoFar) =>
+              preview.update('regenerate', block.range.end, textSoFar),
+          }
+        );
+      } catch (err) {
+        if (err && err.cancelled) {
+          return;
+        }
+        console.error('Lazy LaTeX: LLM error', err);
+        logLlmError(err, 'Error in regenerate math command (Lazy LaTeX: Regenerate math under cursor).');
+        vscode.window.showErrorMessage(getFriendlyErrorMessage(err));
+        return;
+      } finally {
+        preview.dispose();
+        status.dispose();
+      }
+
+      if (!latex) {
+        vscode.window.showErrorMessage('Lazy LaTeX: LLM returned empty result.');
+        return;
+      }
+
+      if (document.getText(block.bodyRange) !== block.body) {
+        vscode.window.showWarningMessage(
+          'Lazy LaTeX: The math changed while regenerating, so the result was not applied.'
+        );
+        return;
+      }
+
+      // Keep the body's own line layout for display blocks and environments
+      const multiline = block.body.includes('\n');
+      const newBody = multiline ? `\n${latex}\n` : latex;
+      await applyTextEdits(document, [{ range: block.bodyRange, text: newBody }]);
+    }
+  );
+
+  context.subscriptions.push(regenerateMathDisposable);
+
   // Command: convert wrappers on current line
   const convertCurrentLineDisposable = vscode.commands.registerCommand(
     'lazy-latex.convertCurrentLine',
@@ -492,8 +1405,10 @@ function activate(context) {
       const lineNumber = editor.selection.active.line;
       
       try {
-        const lineText = document.lineAt(lineNumber).text;
-        const wrappers = findWrappersInLine(lineText, lang);
+        // Wrappers on this line, including multi-line wrappers passing through it
+        const wrappers = findWrappersAroundLine(document, lineNumber, lang).filter(
+          (w) => w.startLine <= lineNumber && lineNumber <= w.endLine
+        );
 
         if (!wrappers.length) {
           vscode.window.showInformationMessage(
@@ -509,7 +1424,24 @@ function activate(context) {
           wrappers.map((w) => w.type + ':' + w.inner)
         );
 
-        await processLineForWrappers(document, lineNumber, wrappers);
+        // One group per closing line; all wrapper positions refer to this
+        // snapshot, which follows the edits of the groups before
+        const endLines = [...new Set(wrappers.map((w) => w.endLine))].sort(
+          (a, b) => b - a
+        );
+        const edits = trackEdits(document);
+        try {
+          for (const endLine of endLines) {
+            await processLineForWrappers(
+              document,
+              endLine,
+              wrappers.filter((w) => w.endLine === endLine),
+              { edits }
+            );
+          }
+        } finally {
+          edits.dispose();
+        }
       } catch (e) {
         console.error('[Lazy LaTeX] Failed to process current line:', e);
         vscode.window.showErrorMessage(
@@ -521,12 +1453,79 @@ function activate(context) {
 
   context.subscriptions.push(convertCurrentLineDisposable);
 
+  // Command: abort conversions that are waiting for / streaming from the LLM
+  // (also bound to Escape while one runs)
+  const abortConversionDisposable = vscode.commands.registerCommand(
+    'lazy-latex.abortConversion',
+    () => {
+      const cancelled = cancelAllConversions();
+      if (!cancelled) {
+        vscode.window.showInformationMessage(
+          'Lazy LaTeX: No conversion in progress.'
+        );
+      }
+    }
+  );
+
+  context.subscriptions.push(abortConversionDisposable);
+
+  // Command: clear the persistent LLM result cache
+  const clearCacheDisposable = vscode.commands.registerCommand(
+    'lazy-latex.clearCache',
+    async () => {
+      const count = await clearCache();
+      vscode.window.showInformationMessage(
+        `Lazy LaTeX: Cleared ${count} cached LLM result${count === 1 ? '' : 's'}.`
+      );
+    }
+  );
+
+  context.subscriptions.push(clearCacheDisposable);
+
+  // Command: convert wrappers in chosen files across the workspace
+  const convertWorkspaceDisposable = vscode.commands.registerCommand(
+    'lazy-latex.convertWorkspace',
+    convertWorkspace
+  );
+
+  context.subscriptions.push(convertWorkspaceDisposable);
+
+  // Command: choose among the models installed in Ollama
+  const selectOllamaModelDisposable = vscode.commands.registerCommand(
+    'lazy-latex.selectOllamaModel',
+    selectOllamaModel
+  );
+
+  context.subscriptions.push(selectOllamaModelDisposable);
+
+  // Review mode: CodeLens Accept / Reject / Regenerate for pending conversions
+  registerReview(context);
+
+  // Conversion history view and "Restore original wrapper"
+  registerHistory(context);
+
+  // Model profiles: "Select model profile" and its status bar item
+  registerProfiles(context);
+
+  // Multi-file LaTeX projects: forget cached root documents when files change
+  registerProject(context);
+
+  // "Build notation glossary" from the workspace's .tex files and the history
+  registerGlossary(context);
+
+  // Problems-panel warnings for leftover / unterminated wrappers, with quick fixes
+  registerDiagnostics(context, (document, wrapper) =>
+    processLineForWrappers(document, wrapper.endLine, [wrapper]).catch((err) =>
+      console.error('[Lazy LaTeX] Error processing line:', err)
+    )
+  );
+
   // Auto-processing on Enter
   const changeDisposable = vscode.workspace.onDidChangeTextDocument((event) => {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return;
     if (event.document !== editor.document) return;
-    if (isApplyingLazyLatexEdit) return;
+    if (isApplyingLazyLatexEdit()) return;
     const lang = editor.document.languageId;
     if (lang !== 'latex' && lang !== 'markdown') {
       return;
@@ -543,8 +1542,12 @@ function activate(context) {
       if (change.text.includes('\n')) {
         const lineNumber = change.range.start.line; // line just finished
         try {
-          const lineText = event.document.lineAt(lineNumber).text;
-          const wrappers = findWrappersInLine(lineText, editor.document.languageId);
+          // Wrappers closing on this line (possibly opened on an earlier line)
+          const wrappers = findWrappersAroundLine(
+            event.document,
+            lineNumber,
+            editor.document.languageId
+          ).filter((w) => w.endLine === lineNumber);
 
           if (!wrappers.length) {
             console.log(
@@ -578,7 +1581,7 @@ function activate(context) {
     const document = event.document;
     const editor = vscode.window.activeTextEditor;
     if (!editor || editor.document !== document) return;
-    if (isApplyingLazyLatexEdit) return;
+    if (isApplyingLazyLatexEdit()) return;
     if (isProcessingSave) return; // Prevent infinite loops
 
     const lang = document.languageId;
@@ -624,7 +1627,7 @@ function activate(context) {
   const didSaveDisposable = vscode.workspace.onDidSaveTextDocument(async (document) => {
     const editor = vscode.window.activeTextEditor;
     if (!editor || editor.document !== document) return;
-    if (isApplyingLazyLatexEdit) return;
+    if (isApplyingLazyLatexEdit()) return;
     if (isProcessingSave) return; // Prevent infinite loops
 
     const lang = document.languageId;
@@ -663,6 +1666,10 @@ function activate(context) {
   });
 
   context.subscriptions.push(didSaveDisposable);
+
+  return {
+    registerProvider,
+  };
 }
 
 function deactivate() { }
@@ -670,4 +1677,6 @@ function deactivate() { }
 module.exports = {
   activate,
   deactivate,
+  collectWrapperGroups,
+  findWorkspaceFilesWithWrappers,
 };
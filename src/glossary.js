@@ -0,0 +1,260 @@
+// glossary.js
+const vscode = require('vscode');
+const { GLOSSARY_FILE, findMacroDefinitions } = require('./context');
+const { getEntries } = require('./history');
+const { getOutputChannel } = require('./logging');
+
+/**
+ * Notation glossary: a Markdown file in the workspace root, generated from
+ * the manuscript, that is sent with every request (see `getGlossary` in
+ * context.js, which fits it into the context token budget) so new
+ * conversions use the notation the document already uses. It can be edited
+ * by hand, and is overwritten when the glossary is built again. The earlier
+ * conversions it lists are those in the history when it was built: new
+ * conversions do not change it until the command is run again.
+ */
+
+// Limits so a large manuscript does not turn into a huge prompt
+const MAX_FILES = 500;
+const MAX_DEFINITIONS = 150;
+const MAX_PATTERNS = 15;
+const MAX_CONVERSIONS = 30;
+
+// Symbol patterns worth keeping consistent, with the glossary heading for each
+const SYMBOL_PATTERNS = [
+  {
+    title: 'Bold vectors and matrices',
+    regex: /\\(?:mathbf|boldsymbol|bm|vec)\s*(?:\{[^{}\n]{1,20}\}|[A-Za-z])/g,
+  },
+  {
+    title: 'Number sets and blackboard bold',
+    regex: /\\mathbb\s*(?:\{[^{}\n]{1,10}\}|[A-Za-z])/g,
+  },
+  {
+    title: 'Operator names',
+    regex: /\\operatorname\*?\s*\{[^{}\n]{1,30}\}/g,
+  },
+  {
+    title: 'Calligraphic letters',
+    regex: /\\mathcal\s*(?:\{[^{}\n]{1,10}\}|[A-Za-z])/g,
+  },
+];
+
+/**
+ * Text of a workspace file: from memory if it is open (unsaved edits
+ * included), otherwise from disk.
+ *
+ * @param {vscode.Uri} uri
+ * @param {TextDecoder} decoder
+ * @returns {Promise<string>}
+ */
+async function readWorkspaceFile(uri, decoder) {
+  const open = vscode.workspace.textDocuments.find(
+    (d) => d.uri.toString() === uri.toString()
+  );
+  return open ? open.getText() : decoder.decode(await vscode.workspace.fs.readFile(uri));
+}
+
+/**
+ * Most frequent matches of `regex` across `texts`, written the same way
+ * (`\mathbb R` and `\mathbb{ R }` both count as `\mathbb{R}`).
+ *
+ * @param {string[]} texts  file texts without comments
+ * @param {RegExp} regex    global
+ * @returns {Array<{ text: string, count: number }>} most frequent first
+ */
+function countMatches(texts, regex) {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const match of text.matchAll(regex)) {
+      const key = match[0].replace(
+        /^(\\[A-Za-z]+\*?)\s*(?:\{\s*([^{}]*?)\s*\}|([A-Za-z]))$/,
+        (all, command, braced, bare) => `${command}{${braced !== undefined ? braced : bare}}`
+      );
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([key, count]) => ({ text: key, count }))
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+    .slice(0, MAX_PATTERNS);
+}
+
+// Wrapper kind by delimiter length, as written in the glossary
+const WRAPPER_KINDS = { 2: 'inline', 3: 'display', 4: 'anything' };
+
+/**
+ * Wrapper / output pairs from the conversion history, newest first, one per
+ * distinct wrapper. The wrapper is given by its kind and text without the
+ * semicolons: written out, `;;x;;` would be a wrapper again in the glossary
+ * file (converted on Enter, flagged as unconverted, picked up by "convert
+ * workspace").
+ *
+ * @returns {Array<{ kind: string, input: string, output: string }>}
+ */
+function recentConversions() {
+  const seen = new Set();
+  const pairs = [];
+  for (const entry of getEntries()) {
+    const original = entry.original.trim();
+    const output = entry.output.trim();
+    const wrapper = /^(;{2,4})([\s\S]*?)\1$/.exec(original);
+    if (!wrapper || !output || output.length > 300 || seen.has(original)) continue;
+    const input = wrapper[2].trim();
+    if (!input || /;;/.test(input + output)) continue;
+    seen.add(original);
+    pairs.push({ kind: WRAPPER_KINDS[wrapper[1].length], input, output });
+    if (pairs.length >= MAX_CONVERSIONS) break;
+  }
+  return pairs;
+}
+
+/**
+ * Inline code span that survives backticks in `text`.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function code(text) {
+  const flat = text.replace(/\s*\r?\n\s*/g, ' ');
+  return flat.includes('`') ? `\`\` ${flat} \`\`` : `\`${flat}\``;
+}
+
+/**
+ * Scan the workspace `.tex` files and the conversion history and write the
+ * glossary as Markdown.
+ *
+ * @returns {Promise<{ markdown: string, files: number, definitions: number, conversions: number }>}
+ */
+async function collectGlossary() {
+  const uris = await vscode.workspace.findFiles('**/*.tex', '**/node_modules/**', MAX_FILES);
+  uris.sort((a, b) => a.path.localeCompare(b.path));
+
+  const decoder = new TextDecoder('utf-8');
+  const definitions = [];
+  const seenDefinitions = new Set();
+  const texts = [];
+
+  for (const uri of uris) {
+    let text;
+    try {
+      text = await readWorkspaceFile(uri, decoder);
+    } catch (err) {
+      console.error('[Lazy LaTeX] Failed to read', uri.toString(), err);
+      continue;
+    }
+    const lines = text.split(/\r?\n/);
+    texts.push(lines.map((line) => line.replace(/(^|[^\\])%.*$/, '$1')).join('\n'));
+
+    for (const { text: definition } of findMacroDefinitions(lines)) {
+      const key = definition.replace(/\s+/g, '');
+      if (seenDefinitions.has(key)) continue;
+      seenDefinitions.add(key);
+      definitions.push(definition);
+    }
+  }
+
+  const sections = [
+    '# Notation glossary',
+    `Generated by "Lazy LaTeX: Build notation glossary" on ${new Date().toISOString().slice(0, 10)} ` +
+      `from ${uris.length} .tex file(s). Use this notation in new LaTeX; prefer the macros below ` +
+      'over spelling out what they stand for.',
+  ];
+
+  if (definitions.length) {
+    sections.push(
+      '## Macros',
+      '```latex\n' + definitions.slice(0, MAX_DEFINITIONS).join('\n') + '\n```'
+    );
+  }
+
+  for (const { title, regex } of SYMBOL_PATTERNS) {
+    const found = countMatches(texts, regex);
+    if (found.length) {
+      sections.push(
+        `## ${title}`,
+        found.map((f) => `- ${code(f.text)} (${f.count}×)`).join('\n')
+      );
+    }
+  }
+
+  const conversions = recentConversions();
+  if (conversions.length) {
+    sections.push(
+      '## Earlier conversions',
+      'Wrapper contents converted before in this workspace (inline, display or "anything" ' +
+        'wrapper), and what they became:',
+      conversions.map((c) => `- ${c.kind}: ${code(c.input)} → ${code(c.output)}`).join('\n')
+    );
+  }
+
+  return {
+    markdown: sections.join('\n\n') + '\n',
+    files: uris.length,
+    definitions: definitions.length,
+    conversions: conversions.length,
+  };
+}
+
+/**
+ * Command: build the notation glossary and write it to
+ * `.lazy-latex-glossary.md` in the first workspace folder.
+ */
+async function buildGlossary() {
+  const folders = vscode.workspace.workspaceFolders;
+  if (!folders || !folders.length) {
+    vscode.window.showInformationMessage('Lazy LaTeX: No folder is open.');
+    return;
+  }
+
+  const uri = vscode.Uri.joinPath(folders[0].uri, GLOSSARY_FILE);
+  let glossary;
+  try {
+    glossary = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Window,
+        title: 'Lazy LaTeX: building notation glossary',
+      },
+      collectGlossary
+    );
+    await vscode.workspace.fs.writeFile(uri, new TextEncoder().encode(glossary.markdown));
+  } catch (err) {
+    console.error('[Lazy LaTeX] Failed to build the notation glossary:', err);
+    vscode.window.showErrorMessage(
+      `Lazy LaTeX: Failed to build the notation glossary: ${err.message || err}`
+    );
+    return;
+  }
+
+  getOutputChannel().appendLine(
+    `${new Date().toISOString()} Notation glossary written to ${GLOSSARY_FILE}: ` +
+      `${glossary.files} .tex file(s), ${glossary.definitions} macro definition(s), ` +
+      `${glossary.conversions} earlier conversion(s).`
+  );
+
+  const choice = await vscode.window.showInformationMessage(
+    `Lazy LaTeX: Notation glossary written to ${GLOSSARY_FILE} ` +
+      `(${glossary.definitions} macro definition(s), ${glossary.conversions} earlier conversion(s)). ` +
+      'It is now sent with every conversion.',
+    'Open'
+  );
+  if (choice === 'Open') {
+    await vscode.window.showTextDocument(uri);
+  }
+}
+
+/**
+ * Register "Build notation glossary".
+ * @param {vscode.ExtensionContext} context
+ */
+function registerGlossary(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand('lazy-latex.buildGlossary', buildGlossary)
+  );
+}
+
+module.exports = {
+  GLOSSARY_FILE,
+  collectGlossary,
+  registerGlossary,
+};
@@ -0,0 +1,320 @@
+// history.js
+const vscode = require('vscode');
+const path = require('path');
+const { applyTextEdits } = require('./edits');
+
+const STORAGE_KEY = 'lazy-latex.history';
+
+/**
+ * One converted wrapper.
+ *
+ * `range` is where `output` was written; it is only a hint, since the
+ * document may have been edited since (see `locateOutput`).
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} uri        document uri
+ * @property {string} original   wrapper text, delimiters included
+ * @property {string} output     text that replaced the wrapper
+ * @property {string} [movedText] text that followed the wrapper and was moved
+ *   into `output` (punctuation after display math); restored after it
+ * @property {string} [model]
+ * @property {string} [provider]
+ * @property {string} timestamp  ISO date
+ * @property {{ start: { line: number, character: number }, end: { line: number, character: number } }} range
+ */
+
+/** @type {vscode.Memento | null} */
+let workspaceState = null;
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * @returns {HistoryEntry[]} newest first
+ */
+function getEntries() {
+  return workspaceState ? workspaceState.get(STORAGE_KEY, []) : [];
+}
+
+/**
+ * @param {HistoryEntry[]} entries
+ */
+async function setEntries(entries) {
+  if (!workspaceState) return;
+  await workspaceState.update(STORAGE_KEY, entries);
+  changeEmitter.fire();
+}
+
+/**
+ * Record a converted wrapper. Does nothing when history is disabled
+ * (`lazy-latex.history.maxEntries` = 0).
+ *
+ * @param {vscode.TextDocument} document
+ * @param {{ original: string, output: string, movedText?: string, range: vscode.Range, model?: string, provider?: string }} conversion
+ */
+function recordConversion(document, conversion) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const maxEntries = config.get('history.maxEntries', 200);
+  if (!workspaceState || !maxEntries || maxEntries <= 0) return;
+
+  const { start, end } = conversion.range;
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    uri: document.uri.toString(),
+    original: conversion.original,
+    output: conversion.output,
+    movedText: conversion.movedText || undefined,
+    model: conversion.model,
+    provider: conversion.provider,
+    timestamp: new Date().toISOString(),
+    range: {
+      start: { line: start.line, character: start.character },
+      end: { line: end.line, character: end.character },
+    },
+  };
+
+  setEntries([entry, ...getEntries()].slice(0, maxEntries)).catch((err) =>
+    console.error('[Lazy LaTeX] Failed to save conversion history:', err)
+  );
+}
+
+/**
+ * Find the converted text of an entry in the document. Uses the recorded
+ * range if it still holds the output, otherwise the occurrence of the output
+ * closest to where it was written.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {HistoryEntry} entry
+ * @returns {vscode.Range | null}
+ */
+function locateOutput(document, entry) {
+  const recorded = document.validateRange(
+    new vscode.Range(
+      entry.range.start.line,
+      entry.range.start.character,
+      entry.range.end.line,
+      entry.range.end.character
+    )
+  );
+  if (document.getText(recorded) === entry.output) {
+    return recorded;
+  }
+
+  if (!entry.output) return null;
+
+  const text = document.getText();
+  const expected = document.offsetAt(recorded.start);
+  let best = -1;
+  let idx = text.indexOf(entry.output);
+  while (idx !== -1) {
+    if (best === -1 || Math.abs(idx - expected) < Math.abs(best - expected)) {
+      best = idx;
+    }
+    idx = text.indexOf(entry.output, idx + 1);
+  }
+
+  if (best === -1) return null;
+  return new vscode.Range(
+    document.positionAt(best),
+    document.positionAt(best + entry.output.length)
+  );
+}
+
+/**
+ * Single-line, shortened text for labels.
+ * @param {string} text
+ * @param {number} max
+ */
+function shorten(text, max) {
+  const flat = text.trim().replace(/\s+/g, ' ');
+  return flat.length > max ? flat.slice(0, max - 1) + '…' : flat;
+}
+
+/**
+ * Resolve a command argument (tree node, entry or nothing) to an entry.
+ * Without an argument, the entry under the cursor in the active editor is
+ * used, or the user picks one of the active document's entries.
+ *
+ * @param {any} arg
+ * @returns {Promise<HistoryEntry | undefined>}
+ */
+async function resolveEntry(arg) {
+  if (arg && arg.entry) return arg.entry;
+  if (arg && arg.id && arg.original !== undefined) return arg;
+
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    vscode.window.showInformationMessage('No active editor.');
+    return undefined;
+  }
+
+  const document = editor.document;
+  const located = getEntries()
+    .filter((e) => e.uri === document.uri.toString())
+    .map((entry) => ({ entry, range: locateOutput(document, entry) }))
+    .filter((x) => x.range);
+
+  if (!located.length) {
+    vscode.window.showInformationMessage(
+      'Lazy LaTeX: No converted wrappers from the history were found in this file.'
+    );
+    return undefined;
+  }
+
+  const atCursor = located.filter((x) => x.range.contains(editor.selection.active));
+  if (atCursor.length === 1) {
+    return atCursor[0].entry;
+  }
+
+  const picked = await vscode.window.showQuickPick(
+    located.map((x) => ({
+      label: shorten(x.entry.original, 80),
+      description: `line ${x.range.start.line + 1}`,
+      detail: shorten(x.entry.output, 120),
+      entry: x.entry,
+    })),
+    { title: 'Lazy LaTeX: restore which wrapper?' }
+  );
+  return picked && picked.entry;
+}
+
+/**
+ * Turn a converted span back into its original wrapper.
+ * @param {any} arg  tree node or entry (optional)
+ */
+async function restoreOriginal(arg) {
+  const entry = await resolveEntry(arg);
+  if (!entry) return;
+
+  const document = await vscode.workspace.openTextDocument(
+    vscode.Uri.parse(entry.uri)
+  );
+  const range = locateOutput(document, entry);
+  if (!range) {
+    vscode.window.showWarningMessage(
+      'Lazy LaTeX: The converted text was edited or removed, so the original wrapper cannot be restored automatically.'
+    );
+    return;
+  }
+
+  const newRanges = await applyTextEdits(document, [
+    { range, text: entry.original + (entry.movedText || '') },
+  ]);
+  if (!newRanges) return;
+
+  await setEntries(getEntries().filter((e) => e.id !== entry.id));
+
+  const choice = await vscode.window.showInformationMessage(
+    'Lazy LaTeX: Restored the original wrapper.',
+    'Convert again'
+  );
+  if (choice === 'Convert again') {
+    const editor = await vscode.window.showTextDocument(document);
+    editor.selection = new vscode.Selection(newRanges[0].end, newRanges[0].end);
+    await vscode.commands.executeCommand('lazy-latex.convertCurrentLine');
+  }
+}
+
+/**
+ * Open the document of an entry and select its converted text.
+ * @param {HistoryEntry} entry
+ */
+async function revealEntry(entry) {
+  const document = await vscode.workspace.openTextDocument(
+    vscode.Uri.parse(entry.uri)
+  );
+  const editor = await vscode.window.showTextDocument(document);
+  const range = locateOutput(document, entry);
+  if (!range) {
+    vscode.window.showInformationMessage(
+      'Lazy LaTeX: The converted text is no longer in this file.'
+    );
+    return;
+  }
+  editor.selection = new vscode.Selection(range.start, range.end);
+  editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+}
+
+/**
+ * Tree: one node per file, with its conversions (newest first) below.
+ */
+const treeDataProvider = {
+  onDidChangeTreeData: changeEmitter.event,
+
+  getChildren(node) {
+    const entries = getEntries();
+
+    if (!node) {
+      const uris = [...new Set(entries.map((e) => e.uri))];
+      return uris.map((uri) => ({
+        uri,
+        count: entries.filter((e) => e.uri === uri).length,
+      }));
+    }
+
+    if (node.entry) return [];
+    return entries.filter((e) => e.uri === node.uri).map((entry) => ({ entry }));
+  },
+
+  getTreeItem(node) {
+    if (node.entry) {
+      const { entry } = node;
+      const item = new vscode.TreeItem(
+        shorten(entry.original, 60),
+        vscode.TreeItemCollapsibleState.None
+      );
+      item.description = shorten(entry.output, 60);
+      item.tooltip = new vscode.MarkdownString(
+        [
+          `**Original:** \`${entry.original}\``,
+          `**Output:** \`${shorten(entry.output, 300)}\``,
+          `**Model:** ${entry.model || '?'} (${entry.provider || '?'})`,
+          `**When:** ${new Date(entry.timestamp).toLocaleString()}`,
+          `**Line:** ${entry.range.start.line + 1}`,
+        ].join('\n\n')
+      );
+      item.contextValue = 'lazy-latex.historyEntry';
+      item.command = {
+        command: 'lazy-latex.history.reveal',
+        title: 'Show converted text',
+        arguments: [entry],
+      };
+      return item;
+    }
+
+    const uri = vscode.Uri.parse(node.uri);
+    const label = vscode.workspace.asRelativePath(uri, false) || path.basename(uri.fsPath);
+    const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Expanded);
+    item.description = `${node.count}`;
+    item.resourceUri = uri;
+    item.iconPath = vscode.ThemeIcon.File;
+    return item;
+  },
+};
+
+/**
+ * Register the history view and its commands.
+ * @param {vscode.ExtensionContext} context
+ */
+function registerHistory(context) {
+  workspaceState = context.workspaceState;
+
+  context.subscriptions.push(
+    vscode.window.createTreeView('lazy-latex.history', { treeDataProvider }),
+    vscode.commands.registerCommand('lazy-latex.history.restore', restoreOriginal),
+    vscode.commands.registerCommand('lazy-latex.history.reveal', revealEntry),
+    vscode.commands.registerCommand('lazy-latex.history.delete', async (node) => {
+      if (!node || !node.entry) return;
+      await setEntries(getEntries().filter((e) => e.id !== node.entry.id));
+    }),
+    vscode.commands.registerCommand('lazy-latex.history.clear', async () => {
+      await setEntries([]);
+    }),
+    changeEmitter
+  );
+}
+
+module.exports = {
+  getEntries,
+  recordConversion,
+  registerHistory,
+};
@@ -0,0 +1,149 @@
+// latexPreview.js
+
+/**
+ * Rough plain-text rendering of LaTeX math for places that cannot show real
+ * math (QuickPick labels, hovers in plain text). It is meant to make
+ * alternatives easy to tell apart, not to be a faithful renderer.
+ */
+
+const SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+  zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+  lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ',
+  tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+  Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+  leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⇔', implies: '⇒',
+  mapsto: '↦', hookrightarrow: '↪', infty: '∞', partial: '∂', nabla: '∇',
+  sum: '∑', prod: '∏', int: '∫', iint: '∬', oint: '∮', sqrt: '√',
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', neq: '≠', ne: '≠', approx: '≈',
+  equiv: '≡', cong: '≅', sim: '∼', simeq: '≃', propto: '∝',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃',
+  supseteq: '⊇', cup: '∪', cap: '∩', bigcup: '⋃', bigcap: '⋂', emptyset: '∅',
+  varnothing: '∅', setminus: '∖', forall: '∀', exists: '∃', neg: '¬',
+  land: '∧', wedge: '∧', lor: '∨', vee: '∨', times: '×', cdot: '·', circ: '∘',
+  otimes: '⊗', oplus: '⊕', pm: '±', mp: '∓', div: '÷', ast: '∗',
+  cdots: '⋯', ldots: '…', dots: '…', vdots: '⋮', ddots: '⋱',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+  mid: '|', vert: '|', Vert: '‖', perp: '⊥', parallel: '∥', ell: 'ℓ',
+  hbar: 'ℏ', aleph: 'ℵ', deg: '°', quad: '  ', qquad: '    ',
+};
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', T: 'ᵀ',
+};
+
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', a: 'ₐ', e: 'ₑ', i: 'ᵢ',
+  j: 'ⱼ', k: 'ₖ', n: 'ₙ', m: 'ₘ', x: 'ₓ',
+};
+
+const DOUBLE_STRUCK = {
+  C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ',
+  A: '𝔸', B: '𝔹', D: '𝔻', E: '𝔼', F: '𝔽', G: '𝔾', K: '𝕂', S: '𝕊', T: '𝕋',
+};
+
+/**
+ * Map every character through `table`; return null if one is missing
+ * (so the caller can fall back to ^(...) / _(...)).
+ */
+function mapAll(text, table) {
+  let out = '';
+  for (const ch of text) {
+    if (!(ch in table)) return null;
+    out += table[ch];
+  }
+  return out;
+}
+
+/** Bold Unicode letters/digits (Mathematical Bold block). */
+function toBold(text) {
+  let out = '';
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    if (ch >= 'A' && ch <= 'Z') out += String.fromCodePoint(0x1d400 + code - 65);
+    else if (ch >= 'a' && ch <= 'z') out += String.fromCodePoint(0x1d41a + code - 97);
+    else if (ch >= '0' && ch <= '9') out += String.fromCodePoint(0x1d7ce + code - 48);
+    else out += ch;
+  }
+  return out;
+}
+
+/**
+ * Replace `\name{arg}` (innermost first) using `fn(arg)`.
+ */
+function replaceCommand(text, name, fn) {
+  const re = new RegExp(`\\\\${name}\\s*\\{([^{}]*)\\}`, 'g');
+  let prev;
+  do {
+    prev = text;
+    text = text.replace(re, (_, arg) => fn(arg));
+  } while (text !== prev);
+  return text;
+}
+
+/**
+ * Render LaTeX math as approximate Unicode text, e.g.
+ *   `\mathbb{R}^{n} \to \mathbf{v}_{i}` → `ℝⁿ → 𝐯ᵢ`
+ *
+ * @param {string} latex
+ * @returns {string}
+ */
+function renderLatexPreview(latex) {
+  let text = latex || '';
+
+  text = text.replace(/\\(left|right|big|Big|bigg|Bigg)(?![a-zA-Z])/g, '');
+  text = text.replace(/\\begin\{[^}]*\}(\{[^}]*\})?|\\end\{[^}]*\}/g, ' ');
+  text = text.replace(/\\\\/g, ' ; ');
+  text = text.replace(/\\[,;:!]/g, ' ');
+  text = text.replace(/&/g, '');
+
+  text = replaceCommand(text, 'mathbb', (arg) => mapAll(arg, DOUBLE_STRUCK) || arg);
+  text = replaceCommand(text, '(?:mathbf|boldsymbol|bm)', toBold);
+  text = replaceCommand(text, '(?:vec|overrightarrow)', (arg) => `${arg}⃗`);
+  text = replaceCommand(text, '(?:hat|widehat)', (arg) => `${arg}̂`);
+  text = replaceCommand(text, '(?:bar|overline)', (arg) => `${arg}̅`);
+  text = replaceCommand(text, 'tilde', (arg) => `${arg}̃`);
+  text = replaceCommand(text, 'sqrt', (arg) => `√(${arg})`);
+  text = replaceCommand(
+    text,
+    '(?:mathrm|mathit|mathcal|mathsf|mathfrak|operatorname|text|textrm|textbf)',
+    (arg) => arg
+  );
+
+  // \frac{a}{b} → (a)/(b), innermost first
+  let prev;
+  do {
+    prev = text;
+    text = text.replace(
+      /\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g,
+      (_, num, den) => {
+        const wrap = (s) => (/^[\w.]+$/.test(s) ? s : `(${s})`);
+        return `${wrap(num)}/${wrap(den)}`;
+      }
+    );
+  } while (text !== prev);
+
+  text = text.replace(/\\([a-zA-Z]+)/g, (match, name) =>
+    name in SYMBOLS ? SYMBOLS[name] : name
+  );
+
+  // Superscripts and subscripts: ^{...}, ^x, _{...}, _x
+  text = text.replace(/([\^_])\{([^{}]*)\}|([\^_])(\S)/g, (match, op1, group, op2, single) => {
+    const op = op1 || op2;
+    const body = op1 ? group : single;
+    const mapped = mapAll(body, op === '^' ? SUPERSCRIPTS : SUBSCRIPTS);
+    if (mapped !== null) return mapped;
+    return body.length > 1 ? `${op}(${body})` : `${op}${body}`;
+  });
+
+  text = text.replace(/[{}]/g, '');
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  renderLatexPreview,
+};
@@ -0,0 +1,170 @@
+// latexValidation.js
+
+/**
+ * Checks and light clean-up for LaTeX math produced by the LLM, before it is
+ * written into the document. Everything here works on a math *body*: the
+ * text that goes between delimiters Lazy LaTeX adds itself.
+ */
+
+/**
+ * Remove wrappers models like to add around an answer: markdown code fences,
+ * inline backticks and math delimiters ($...$, $$...$$, \[...\], \(...\)).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanLatexOutput(text) {
+  let result = (text || '').trim();
+  let prev;
+
+  do {
+    prev = result;
+
+    const fence = result.match(/^```[\w-]*[ \t]*\r?\n?([\s\S]*?)\r?\n?```$/);
+    if (fence) {
+      result = fence[1].trim();
+    }
+
+    if (/^`[^`]+`$/.test(result)) {
+      result = result.slice(1, -1).trim();
+    }
+
+    if (result.length > 4 && result.startsWith('$$') && result.endsWith('$$')) {
+      result = result.slice(2, -2).trim();
+    } else if (
+      result.length > 2 &&
+      result.startsWith('$') &&
+      result.endsWith('$') &&
+      !/(^|[^\\])\$/.test(result.slice(1, -1))
+    ) {
+      result = result.slice(1, -1).trim();
+    } else if (
+      (result.startsWith('\\[') && result.endsWith('\\]')) ||
+      (result.startsWith('\\(') && result.endsWith('\\)'))
+    ) {
+      result = result.slice(2, -2).trim();
+    }
+  } while (result !== prev);
+
+  return result;
+}
+
+// Commands whose argument is text, where $...$ and \(...\) start math again
+const TEXT_COMMANDS = new Set([
+  'text', 'mbox', 'hbox', 'textrm', 'textnormal', 'textit', 'textbf', 'textsf', 'texttt',
+]);
+
+/**
+ * Find structural problems in a LaTeX math body: unbalanced braces,
+ * \begin / \end mismatches, unbalanced \left / \right and math delimiters
+ * that must not appear inside math. Delimiters inside the argument of
+ * `\text{...}` and similar commands are fine (`\text{if $x>0$}`).
+ *
+ * @param {string} latex
+ * @returns {string[]} human-readable problems (empty if none were found)
+ */
+function findLatexProblems(latex) {
+  const problems = [];
+  const text = latex || '';
+
+  let depth = 0;
+  let unexpectedClose = false;
+  let leftCount = 0;
+  let rightCount = 0;
+  const forbidden = new Set();
+  // Brace depths at which a text argument was opened
+  const textDepths = [];
+  let textArgumentNext = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const inText = textDepths.length > 0;
+
+    if (ch === '\\') {
+      const next = text[i + 1];
+      if (!inText && (next === '[' || next === ']' || next === '(' || next === ')')) {
+        forbidden.add(`\\${next}`);
+      }
+
+      // Control words: \left / \right are counted, the rest skipped
+      const word = text.slice(i + 1).match(/^[a-zA-Z]+/);
+      textArgumentNext = Boolean(word && TEXT_COMMANDS.has(word[0]));
+      if (word) {
+        if (word[0] === 'left') leftCount++;
+        if (word[0] === 'right') rightCount++;
+        i += word[0].length;
+      } else {
+        // Escaped character (\{, \$, \\, ...)
+        i++;
+      }
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      continue;
+    }
+    if (ch === '{') {
+      depth++;
+      if (textArgumentNext) {
+        textDepths.push(depth);
+      }
+    } else if (ch === '}') {
+      if (depth === 0) {
+        unexpectedClose = true;
+      } else {
+        if (textDepths[textDepths.length - 1] === depth) {
+          textDepths.pop();
+        }
+        depth--;
+      }
+    } else if (ch === '$' && !inText) {
+      forbidden.add('$');
+    }
+    textArgumentNext = false;
+  }
+
+  if (unexpectedClose) {
+    problems.push('unbalanced braces: a } has no matching {');
+  }
+  if (depth > 0) {
+    problems.push(`unbalanced braces: ${depth} { not closed`);
+  }
+  if (leftCount !== rightCount) {
+    problems.push(`\\left and \\right do not match (${leftCount} \\left, ${rightCount} \\right)`);
+  }
+  if (forbidden.size) {
+    problems.push(
+      `contains math delimiters (${[...forbidden].join(' ')}); output only the math body`
+    );
+  }
+
+  // \begin{...} / \end{...} must nest properly
+  const stack = [];
+  const envRe = /\\(begin|end)\s*\{([^{}]*)\}/g;
+  let match;
+  while ((match = envRe.exec(text)) !== null) {
+    const [, kind, name] = match;
+    if (kind === 'begin') {
+      stack.push(name);
+    } else if (stack.length && stack[stack.length - 1] === name) {
+      stack.pop();
+    } else {
+      problems.push(
+        stack.length
+          ? `\\end{${name}} does not match \\begin{${stack[stack.length - 1]}}`
+          : `\\end{${name}} without \\begin{${name}}`
+      );
+      return problems;
+    }
+  }
+  for (const name of stack.reverse()) {
+    problems.push(`\\begin{${name}} without \\end{${name}}`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  cleanLatexOutput,
+  findLatexProblems,
+};
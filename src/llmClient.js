@@ -1,20 +1,67 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
-const { callChatCompletionWithProvider } = require('./llmProvider');
+const {
+  callChatCompletionWithProvider,
+  callChatCompletionChoicesWithProvider,
+  isTransientError,
+} = require('./llmProvider');
+const { getCacheKey, getCachedResult, setCachedResult } = require('./cache');
+const { cleanLatexOutput, findLatexProblems } = require('./latexValidation');
+const {
+  getProfileNameForMode,
+  resolveProfile,
+  getFallbackConfigs,
+} = require('./profiles');
+const { getApiKey } = require('./secrets');
+const { logLlmError } = require('./logging');
+const { getGlossary } = require('./context');
 
 /**
- * Read LLM settings from VS Code config.
+ * Read LLM settings from VS Code config: the profile mapped to `mode` in
+ * `lazy-latex.modeProfiles`, or the active profile. The API key is looked
+ * up separately with `getApiKey`.
+ *
+ * @param {'inline' | 'display' | 'anything' | 'selection'} [mode]
+ * @returns {import('./profiles').LlmConfig}
  */
-function getLlmConfig() {
-  const config = vscode.workspace.getConfiguration('lazy-latex');
+function getLlmConfig(mode) {
+  return resolveProfile(getProfileNameForMode(mode));
+}
 
-  const endpoint = config.get('llm.endpoint');
-  const apiKey = config.get('llm.apiKey');
-  const model = config.get('llm.model');
-  const provider = config.get('llm.provider', 'openai');
+/**
+ * Run `request` with `primary` and, while it fails with a transient error
+ * (timeout, network error, 429, 5xx) after its own retries, with each
+ * configuration from `lazy-latex.llm.fallbacks` in turn.
+ *
+ * @template T
+ * @param {import('./profiles').LlmConfig} primary
+ * @param {(llmConfig: import('./profiles').LlmConfig) => Promise<T>} request
+ * @returns {Promise<{ result: T, llmConfig: import('./profiles').LlmConfig }>}
+ */
+async function withFailover(primary, request) {
+  const candidates = [primary, ...getFallbackConfigs(primary)];
 
-  return { endpoint, apiKey, model, provider };
+  for (let i = 0; ; i++) {
+    const llmConfig = candidates[i];
+    try {
+      return { result: await request(llmConfig), llmConfig };
+    } catch (err) {
+      if (err && typeof err === 'object') {
+        // So logLlmError reports the configuration that failed
+        err.llmConfig = llmConfig;
+      }
+      const next = candidates[i + 1];
+      if (!next || !isTransientError(err)) {
+        throw err;
+      }
+      logLlmError(
+        err,
+        `Request to ${llmConfig.provider} (${llmConfig.endpoint || 'default endpoint'}) failed; trying fallback ${next.profile} (${next.endpoint || 'default endpoint'}).`,
+        llmConfig
+      );
+    }
+  }
 }
 
 
@@ -22,12 +69,15 @@ function getLlmConfig() {
  * Read:
  * - extra instructions from settings (lazy-latex.prompt.extra)
  * - extra instructions from workspace file .lazy-latex.md (if present)
+ * - the notation glossary .lazy-latex-glossary.md (if present), cut to fit
+ *   the context token budget of `mode` (see `getGlossary` in context.js)
  *
- * We return both and tell the model that the file has higher priority.
+ * We return all three and tell the model that the file has higher priority.
  *
- * @returns {Promise<{ fileExtra: string, settingExtra: string }>}
+ * @param {'inline' | 'display' | 'anything' | 'selection'} mode
+ * @returns {Promise<{ fileExtra: string, settingExtra: string, glossary: string }>}
  */
-async function getExtraInstructionsSources() {
+async function getExtraInstructionsSources(mode) {
   const config = vscode.workspace.getConfiguration('lazy-latex');
   const settingExtraRaw = config.get('prompt.extra') || '';
   const settingExtra =
@@ -38,58 +88,251 @@ async function getExtraInstructionsSources() {
   const folders = vscode.workspace.workspaceFolders;
   if (folders && folders.length > 0) {
     const workspaceRoot = folders[0].uri.fsPath;
-    const promptFilePath = path.join(workspaceRoot, '.lazy-latex.md');
+    fileExtra = await readWorkspaceText(path.join(workspaceRoot, '.lazy-latex.md'));
+  }
 
-    try {
-      await fs.promises.access(promptFilePath, fs.constants.R_OK);
-      const content = await fs.promises.readFile(promptFilePath, 'utf8');
-      fileExtra = content.trim();
-    } catch (err) {
-      if (err && err.code !== 'ENOENT') {
-        console.error('[Lazy LaTeX] Failed to read .lazy-latex.md:', err);
-      }
+  return { fileExtra, settingExtra, glossary: await getGlossary(mode) };
+}
+
+/**
+ * Trimmed content of a file, or '' if it does not exist or cannot be read.
+ *
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function readWorkspaceText(filePath) {
+  try {
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return content.trim();
+  } catch (err) {
+    if (err && err.code !== 'ENOENT') {
+      console.error(`[Lazy LaTeX] Failed to read ${path.basename(filePath)}:`, err);
     }
+    return '';
+  }
+}
+
+/**
+ * Append the extra instruction sources to a system prompt, telling the model
+ * that the project file wins over the user setting. The notation glossary
+ * comes last: it describes the document, the instructions above it win.
+ *
+ * @param {string} systemPrompt
+ * @param {{ fileExtra: string, settingExtra: string, glossary?: string }} extras
+ * @returns {string}
+ */
+function appendExtraInstructions(systemPrompt, { fileExtra, settingExtra, glossary }) {
+  if (!fileExtra && !settingExtra && !glossary) {
+    return systemPrompt;
+  }
+
+  let result = systemPrompt + '\n\nAdditional instructions follow.\n';
+
+  if (fileExtra) {
+    result += `\nHIGH PRIORITY from project settings:\n${fileExtra}\n`;
+  }
+
+  if (settingExtra) {
+    result += `\nLOWER PRIORITY from user settings:\n${settingExtra}\n`;
+  }
+
+  if (glossary) {
+    result +=
+      `\nNOTATION GLOSSARY of this project, collected from its documents ` +
+      `(follow this notation unless the instructions above say otherwise):\n${glossary}\n`;
   }
 
-  return { fileExtra, settingExtra };
+  return result.trimEnd();
 }
 
+/**
+ * Options shared by the generate* functions.
+ *
+ * @typedef {Object} GenerationOptions
+ * @property {(textSoFar: string) => void} [onProgress]
+ *   called with the partial response while it streams in
+ *   (ignored when `lazy-latex.llm.stream` is off)
+ * @property {AbortSignal} [signal]  cancels the request
+ * @property {boolean} [bypassCache]  always ask the LLM (e.g. "Regenerate")
+ * @property {'inline' | 'display' | 'anything' | 'selection'} [mode]
+ *   selects the model profile (see `lazy-latex.modeProfiles`); each
+ *   generate* function has its own default
+ */
+
 /**
  * Call an OpenAI-compatible chat completion endpoint and return the text.
  *
+ * Results are cached on disk (see cache.js), keyed by the normalized prompts,
+ * provider, model and the extra instruction sources in `options.extras`.
+ *
+ * With `options.jsonSchema`, the answer is requested as structured output
+ * (see `callChatCompletionWithProvider`) and returned as JSON text.
+ *
+ * Transient failures fall back to `lazy-latex.llm.fallbacks` (see
+ * `withFailover`).
+ *
  * @param {string} systemPrompt
  * @param {string} userPrompt
+ * @param {GenerationOptions & { extras?: { fileExtra: string, settingExtra: string, glossary?: string }, jsonSchema?: Object }} [options]
  * @returns {Promise<string>}
  */
-async function callChatCompletion(systemPrompt, userPrompt) {
-  const { endpoint, apiKey, model, provider } = getLlmConfig();
-
-  return callChatCompletionWithProvider({
-    provider,
-    endpoint,
-    apiKey,
-    model,
-    systemPrompt,
-    userPrompt,
-  });
+async function callChatCompletion(systemPrompt, userPrompt, options = {}) {
+  const llmConfig = getLlmConfig(options.mode);
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const streamEnabled = config.get('llm.stream', true);
+
+  const cacheKeyFor = (candidate) =>
+    getCacheKey({
+      provider: candidate.provider,
+      model: candidate.model,
+      systemPrompt,
+      userPrompt,
+      extras: options.extras,
+      format: options.jsonSchema ? 'json' : undefined,
+    });
+  const cacheKey = cacheKeyFor(llmConfig);
+
+  if (!options.bypassCache) {
+    const cached = await getCachedResult(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+  }
+
+  const { result, llmConfig: used } = await withFailover(llmConfig, async (candidate) =>
+    callChatCompletionWithProvider({
+      provider: candidate.provider,
+      endpoint: candidate.endpoint,
+      apiKey: (await getApiKey(candidate)).key,
+      model: candidate.model,
+      systemPrompt,
+      userPrompt,
+      onProgress: streamEnabled ? options.onProgress : undefined,
+      signal: options.signal,
+      temperature: candidate.temperature,
+      maxTokens: candidate.maxTokens,
+      jsonSchema: options.jsonSchema,
+    })
+  );
+
+  // Cached under the configuration that actually answered
+  await setCachedResult(cacheKeyFor(used), result);
+  return result;
 }
 
 /**
- * Single expression mode: convert one informal / natural language math snippet
- * into a single LaTeX math expression.
+ * Like `callChatCompletion`, but asks for `n` alternative answers.
  *
- * Uses:
- * - base system rules
- * - .lazy-latex.md (HIGH PRIORITY, if present)
- * - lazy-latex.prompt.extra (LOWER PRIORITY)
- * - optional contextText (recent lines, etc.)
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {number} n
+ * @param {number} temperature
+ * @param {GenerationOptions} [options]  only `signal` and `mode` are used
+ * @returns {Promise<string[]>}
+ */
+async function callChatCompletionChoices(
+  systemPrompt,
+  userPrompt,
+  n,
+  temperature,
+  options = {}
+) {
+  const { result } = await withFailover(getLlmConfig(options.mode), async (candidate) =>
+    callChatCompletionChoicesWithProvider({
+      provider: candidate.provider,
+      endpoint: candidate.endpoint,
+      apiKey: (await getApiKey(candidate)).key,
+      model: candidate.model,
+      systemPrompt,
+      userPrompt,
+      n,
+      temperature,
+      maxTokens: candidate.maxTokens,
+      signal: options.signal,
+    })
+  );
+  return result;
+}
+
+/**
+ * Ask the model once more after its answer failed validation, showing it the
+ * previous answer and what is wrong with it.
+ *
+ * Returns null if the repair request fails; cancellation is rethrown.
+ *
+ * @param {string} systemPrompt
+ * @param {string} userPrompt        the original request
+ * @param {string} previousAnswer
+ * @param {string[]} problems
+ * @param {GenerationOptions & { extras?: { fileExtra: string, settingExtra: string, glossary?: string } }} [options]
+ * @returns {Promise<string | null>}
+ */
+async function requestRepair(systemPrompt, userPrompt, previousAnswer, problems, options) {
+  const repairPrompt = `
+${userPrompt}
+
+Your previous answer was:
+"""
+${previousAnswer}
+"""
+
+It is not valid LaTeX:
+${problems.map((p) => `- ${p}`).join('\n')}
+
+Answer again with these problems fixed, following the same rules.
+`.trim();
+
+  try {
+    return await callChatCompletion(systemPrompt, repairPrompt, options);
+  } catch (err) {
+    if (err && err.cancelled) {
+      throw err;
+    }
+    console.error('[Lazy LaTeX] Repair request failed, keeping the first answer:', err);
+    return null;
+  }
+}
+
+/**
+ * Clean a single generated math body and, if it is still malformed, ask the
+ * model once to fix it.
+ *
+ * @param {string} result           raw model answer
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {GenerationOptions & { extras?: { fileExtra: string, settingExtra: string, glossary?: string } }} [options]
+ * @returns {Promise<string>}
+ */
+async function validateLatexResult(result, systemPrompt, userPrompt, options) {
+  const latex = cleanLatexOutput(result);
+  const problems = findLatexProblems(latex);
+  if (!problems.length) {
+    return latex;
+  }
+
+  console.warn('[Lazy LaTeX] Malformed LaTeX from the model, retrying once:', problems);
+  const repaired = await requestRepair(systemPrompt, userPrompt, result, problems, options);
+  if (repaired === null) {
+    return latex;
+  }
+
+  const repairedLatex = cleanLatexOutput(repaired);
+  return findLatexProblems(repairedLatex).length <= problems.length
+    ? repairedLatex
+    : latex;
+}
+
+/**
+ * Build the prompts for single expression mode.
  *
  * @param {string} selectedText
  * @param {string} [contextText]
- * @returns {Promise<string>} LaTeX math expression (no surrounding $)
+ * @param {GenerationOptions} [options]  its `mode` sizes the notation glossary
+ * @returns {Promise<{ systemPrompt: string, userPrompt: string, extras: { fileExtra: string, settingExtra: string, glossary?: string } }>}
  */
-async function generateLatexFromText(selectedText, contextText) {
-  const { fileExtra, settingExtra } = await getExtraInstructionsSources();
+async function buildSingleExpressionPrompts(selectedText, contextText, options) {
+  const extras = await getExtraInstructionsSources((options && options.mode) || 'selection');
 
   let systemPrompt = `
 You are an assistant that converts informal or natural language math
@@ -103,25 +346,15 @@ Rules:
 `.trim();
 
   // Attach both sources of extra instructions, with explicit priority.
-  if (fileExtra || settingExtra) {
-    systemPrompt += '\n\nAdditional instructions follow.\n';
-
-    if (fileExtra) {
-      systemPrompt += `\nHIGH PRIORITY from project settings:\n${fileExtra}\n`;
-    }
-
-    if (settingExtra) {
-      systemPrompt += `\nLOWER PRIORITY from user settings:\n${settingExtra}\n`;
-    }
-
-    systemPrompt = systemPrompt.trimEnd();
-  }
+  systemPrompt = appendExtraInstructions(systemPrompt, extras);
 
   let contextBlock = '';
   if (contextText && typeof contextText === 'string' && contextText.trim().length > 0) {
     contextBlock = `
-The following is context from the recent lines of the current LaTeX document.
-Use it to interpret notation and meaning, but do not rewrite it. It may contain
+The following is context from the current LaTeX document: the lines before the
+text and, introduced by comment lines, macro definitions and the current section.
+Use it to interpret notation and meaning and reuse the document's own macros,
+but do not rewrite it. It may contain
 definitions, assumptions, or earlier formulas.
 
 Context:
@@ -141,8 +374,192 @@ ${selectedText}
 """
 `.trim();
 
-  const result = await callChatCompletion(systemPrompt, userPrompt);
-  return result;
+  return { systemPrompt, userPrompt, extras };
+}
+
+/**
+ * Single expression mode: convert one informal / natural language math snippet
+ * into a single LaTeX math expression.
+ *
+ * Uses:
+ * - base system rules
+ * - .lazy-latex.md (HIGH PRIORITY, if present)
+ * - lazy-latex.prompt.extra (LOWER PRIORITY)
+ * - optional contextText (recent lines, macros, current section; see context.js)
+ *
+ * @param {string} selectedText
+ * @param {string} [contextText]
+ * @param {GenerationOptions} [options]
+ * @returns {Promise<string>} LaTeX math expression (no surrounding $)
+ */
+async function generateLatexFromText(selectedText, contextText, options) {
+  const { systemPrompt, userPrompt, extras } = await buildSingleExpressionPrompts(
+    selectedText,
+    contextText,
+    options
+  );
+
+  const callOptions = { mode: 'selection', ...options, extras };
+  const result = await callChatCompletion(systemPrompt, userPrompt, callOptions);
+  return validateLatexResult(result, systemPrompt, userPrompt, callOptions);
+}
+
+/**
+ * Single expression mode with alternatives: ask for `count` renderings of the
+ * same snippet (e.g. \frac vs /, \mathbf vs \vec) so the user can pick one.
+ *
+ * The count and sampling temperature come from `lazy-latex.candidates.*`
+ * unless given explicitly.
+ *
+ * @param {string} selectedText
+ * @param {string} [contextText]
+ * @param {number} [count]
+ * @param {GenerationOptions} [options]
+ * @returns {Promise<string[]>} distinct LaTeX expressions, in the order received
+ */
+async function generateLatexCandidates(selectedText, contextText, count, options) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const n = count || config.get('candidates.count', 3);
+  const temperature = config.get('candidates.temperature', 0.8);
+
+  const { systemPrompt, userPrompt } = await buildSingleExpressionPrompts(
+    selectedText,
+    contextText,
+    options
+  );
+
+  const results = await callChatCompletionChoices(
+    systemPrompt,
+    userPrompt,
+    n,
+    temperature,
+    { mode: 'selection', ...options }
+  );
+
+  // Sampling often returns the same expression twice; malformed alternatives
+  // are dropped rather than repaired, there are others to choose from
+  const seen = new Set();
+  return results.map(cleanLatexOutput).filter((latex) => {
+    const key = latex.replace(/\s+/g, '');
+    if (!latex || seen.has(key) || findLatexProblems(latex).length) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Regenerate mode: revise an existing LaTeX math body according to an
+ * instruction (e.g. "make it aligned", "use bold vectors"). With an empty
+ * instruction the model just redoes / cleans up the expression.
+ *
+ * @param {string} latex        current math body (without delimiters)
+ * @param {string} instruction
+ * @param {string} [contextText]
+ * @param {string} [environment] surrounding environment or delimiter kind,
+ *   e.g. 'align*' or 'inline math', so the body stays valid there
+ * @param {GenerationOptions} [options]
+ * @returns {Promise<string>} revised math body (no delimiters)
+ */
+async function regenerateLatexWithInstruction(
+  latex,
+  instruction,
+  contextText,
+  environment,
+  options
+) {
+  const extras = await getExtraInstructionsSources((options && options.mode) || 'selection');
+
+  let systemPrompt = `
+You are an assistant that revises existing LaTeX math according to an instruction.
+
+Rules:
+- Output ONLY the revised math body that goes between the existing delimiters.
+- Do NOT include surrounding $, $$, \\[ \\], or the enclosing environment.
+- Do NOT include backticks, explanations, or comments.
+- Keep the meaning unless the instruction asks to change it.
+- The body must stay valid inside its enclosing environment.
+`.trim();
+
+  systemPrompt = appendExtraInstructions(systemPrompt, extras);
+
+  let contextBlock = '';
+  if (contextText && typeof contextText === 'string' && contextText.trim().length > 0) {
+    contextBlock = `
+The following is context from the current LaTeX document: the lines before the
+math and, introduced by comment lines, macro definitions and the current section.
+Use it to interpret notation and meaning and reuse the document's own macros,
+but do not rewrite it.
+
+Context:
+"""
+${contextText}
+"""
+`.trim();
+  }
+
+  const task = instruction && instruction.trim()
+    ? `Instruction:\n"""\n${instruction.trim()}\n"""`
+    : 'Instruction: regenerate this math in clean, standard LaTeX.';
+
+  const userPrompt = `
+${contextBlock ? contextBlock + '\n\n' : ''}
+Current math body${environment ? ` (inside ${environment})` : ''}:
+"""
+${latex}
+"""
+
+${task}
+`.trim();
+
+  const callOptions = { mode: 'selection', ...options, extras };
+  const result = await callChatCompletion(systemPrompt, userPrompt, callOptions);
+  return validateLatexResult(result, systemPrompt, userPrompt, callOptions);
+}
+
+// Shape of the batch answer when structured output is used
+const BATCH_JSON_SCHEMA = {
+  name: 'submit_latex_expressions',
+  description: 'Submit one LaTeX math expression per numbered description.',
+  schema: {
+    type: 'object',
+    properties: {
+      expressions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer', description: 'Description number (1-based).' },
+            latex: { type: 'string', description: 'LaTeX math expression, without $ delimiters.' },
+          },
+          required: ['index', 'latex'],
+        },
+      },
+    },
+    required: ['expressions'],
+  },
+};
+
+// "provider|endpoint|model" combinations that rejected structured output;
+// batch requests to them go straight to the line-based format
+const structuredOutputUnsupported = new Set();
+
+// What a 400 response says when it is about the structured output options
+// (OpenAI response_format, Anthropic tools, Gemini responseSchema) rather
+// than e.g. the model name or the prompt length
+const STRUCTURED_OUTPUT_ERROR =
+  /response_?format|json_(?:object|schema)|response_?(?:schema|mime_?type)|tool_?choice|\btools?\b|function.?call|structured output/i;
+
+/**
+ * Whether a failed structured batch request was rejected because of the
+ * structured output options, so the endpoint does not support them.
+ *
+ * @param {any} err
+ * @returns {boolean}
+ */
+function isStructuredOutputRejection(err) {
+  if (!err || err.status !== 400) return false;
+  const details = typeof err.details === 'string' ? err.details : JSON.stringify(err.details || '');
+  return STRUCTURED_OUTPUT_ERROR.test(details);
 }
 
 /**
@@ -152,18 +569,33 @@ ${selectedText}
  * The model sees:
  * - previous lines context (if any)
  * - the FULL current line (raw, with wrappers)
+ * - the following lines (if any, see `lazy-latex.context.followingLines`)
  * - a numbered list of descriptions for each wrapper
  *
- * It must output exactly N lines, each containing ONLY the LaTeX expression
- * for the corresponding description.
+ * It answers with a JSON object keyed by description number (JSON mode on
+ * OpenAI-compatible APIs, a tool call on Anthropic). If the endpoint rejects
+ * structured output or the answer does not have the expected shape, it is
+ * asked again for exactly N lines, one expression per line.
+ *
+ * The profile is the one for `options.mode`, 'inline' unless the caller
+ * passes 'display'.
  *
  * @param {string[]} descriptions  inner texts of wrappers, in order
  * @param {string} [previousContextText]  previous lines context
  * @param {string} [rawCurrentLine]       full current line, with wrappers
+ * @param {string} [followingContextText] lines after the current line
+ * @param {GenerationOptions} [options]
  * @returns {Promise<string[]>} array of LaTeX expressions (same length as descriptions, empty string if missing)
  */
-async function generateLatexForBatch(descriptions, previousContextText, rawCurrentLine) {
-  const { fileExtra, settingExtra } = await getExtraInstructionsSources();
+async function generateLatexForBatch(
+  descriptions,
+  previousContextText,
+  rawCurrentLine,
+  followingContextText,
+  options = {}
+) {
+  const extras = await getExtraInstructionsSources(options.mode || 'inline');
+  const count = descriptions.length;
 
   let systemPrompt = `
 You are an assistant that converts informal or natural language math
@@ -178,25 +610,13 @@ Rules:
   keep notation and style consistent across them.
 `.trim();
 
-  if (fileExtra || settingExtra) {
-    systemPrompt += '\n\nAdditional instructions follow.\n';
-
-    if (fileExtra) {
-      systemPrompt += `\nHIGH PRIORITY from project settings:\n${fileExtra}\n`;
-    }
-
-    if (settingExtra) {
-      systemPrompt += `\nLOWER PRIORITY from user settings:\n${settingExtra}\n`;
-    }
-
-    systemPrompt = systemPrompt.trimEnd();
-  }
+  systemPrompt = appendExtraInstructions(systemPrompt, extras);
 
   let contextParts = [];
 
   if (previousContextText && previousContextText.trim().length > 0) {
     contextParts.push(
-      `Previous lines from the current LaTeX document:\n"""` +
+      `Previous lines from the current LaTeX document (comment lines introduce the macro definitions and the current section):\n"""` +
         `\n${previousContextText}\n"""`
     );
   }
@@ -208,45 +628,251 @@ Rules:
     );
   }
 
+  if (followingContextText && followingContextText.trim().length > 0) {
+    contextParts.push(
+      `Following context (the lines after the current line; what is generated must fit before them):\n"""` +
+        `\n${followingContextText}\n"""`
+    );
+  }
+
   const contextBlock = contextParts.length
     ? `The following is context from the current LaTeX document.\n` +
-      `Use it to interpret notation and meaning, but do not rewrite it.\n\n` +
+      `Use it to interpret notation and meaning and reuse the document's own macros, but do not rewrite it.\n\n` +
       contextParts.join('\n\n')
     : '';
 
+  // Multi-line descriptions (from wrappers spanning several lines) are indented
+  // so they stay visually attached to their number
   const numberedDescriptions = descriptions
-    .map((desc, idx) => `${idx + 1}) ${desc}`)
+    .map((desc, idx) => `${idx + 1}) ${desc.split(/\r?\n/).join('\n   ')}`)
     .join('\n');
 
-  const userPrompt = `
+  const task = `
 ${contextBlock ? contextBlock + '\n\n' : ''}
-You will be given ${descriptions.length} informal or natural language math descriptions
+You will be given ${count} informal or natural language math descriptions
 taken from wrappers on the same line of a LaTeX document.
 
 Convert EACH description into a single LaTeX math expression.
 
 Descriptions:
 ${numberedDescriptions}
+`.trim();
+
+  const jsonPrompt = `
+${task}
+
+Answer with a JSON object of the form
+{"expressions": [{"index": 1, "latex": "..."}, ...]}
+with exactly one entry per description: "index" is the description number and
+"latex" is ONLY the LaTeX math expression for it. An expression may span
+several lines (e.g. an aligned derivation).
+Do NOT write anything outside the JSON object.
+`.trim();
+
+  const linesPrompt = `
+${task}
 
-Output exactly ${descriptions.length} lines.
+Output exactly ${count} lines.
 Line i must contain ONLY the LaTeX math expression for description i.
+If a description spans several lines (e.g. an aligned derivation), still write
+its whole expression on ONE output line (use \\\\ for row breaks).
 Do NOT include numbering, labels, comments, or explanations.
 `.trim();
 
-  const result = await callChatCompletion(systemPrompt, userPrompt);
+  const callOptions = { mode: 'inline', ...options, extras };
+
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const { endpoint, model, provider } = getLlmConfig(callOptions.mode);
+  const endpointKey = `${provider}|${endpoint}|${model}`;
 
-  const lines = result
+  if (
+    config.get('llm.structuredOutput', true) &&
+    !structuredOutputUnsupported.has(endpointKey)
+  ) {
+    try {
+      const outputs = await runBatchRequest(
+        systemPrompt,
+        jsonPrompt,
+        {
+          ...callOptions,
+          jsonSchema: BATCH_JSON_SCHEMA,
+          // Show finished entries one per line, like the line-based format
+          onProgress: options.onProgress
+            ? (textSoFar) => options.onProgress(previewStructuredBatch(textSoFar, count))
+            : undefined,
+        },
+        (text) => parseStructuredBatch(text, count)
+      );
+      if (outputs) {
+        return outputs;
+      }
+      console.warn('[Lazy LaTeX] Structured batch answer had an unexpected shape; retrying with plain lines.');
+    } catch (err) {
+      if (!err || err.status !== 400 || err.cancelled) {
+        throw err;
+      }
+      if (isStructuredOutputRejection(err)) {
+        console.warn(`[Lazy LaTeX] ${endpointKey} rejected structured output; using plain lines.`, err);
+        structuredOutputUnsupported.add(endpointKey);
+      } else {
+        // Maybe not about structured output at all; try the next batch with it again
+        console.warn('[Lazy LaTeX] Structured batch request failed (400); retrying this batch with plain lines.', err);
+      }
+    }
+  }
+
+  const outputs = await runBatchRequest(
+    systemPrompt,
+    linesPrompt,
+    callOptions,
+    (text) => parseBatchOutput(text, count)
+  );
+  return outputs || new Array(count).fill('');
+}
+
+/**
+ * Send a batch request, parse it and give malformed expressions a single
+ * repair round trip. Only the expressions that had problems are replaced by
+ * the repaired answer, so valid ones stay stable.
+ *
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {GenerationOptions & { extras?: Object, jsonSchema?: Object }} callOptions
+ * @param {(text: string) => string[] | null} parse  null if the answer is unusable
+ * @returns {Promise<string[] | null>}
+ */
+async function runBatchRequest(systemPrompt, userPrompt, callOptions, parse) {
+  const result = await callChatCompletion(systemPrompt, userPrompt, callOptions);
+  const outputs = parse(result);
+  if (!outputs) {
+    return null;
+  }
+
+  const problems = outputs.map((latex) => (latex ? findLatexProblems(latex) : []));
+  if (problems.every((p) => p.length === 0)) {
+    return outputs;
+  }
+
+  const described = [];
+  problems.forEach((p, idx) => {
+    p.forEach((problem) => described.push(`Description ${idx + 1}: ${problem}`));
+  });
+  console.warn('[Lazy LaTeX] Malformed LaTeX in batch output, retrying once:', described);
+
+  const repaired = await requestRepair(
+    systemPrompt,
+    userPrompt,
+    result,
+    described,
+    callOptions
+  );
+  const repairedOutputs = repaired === null ? null : parse(repaired);
+  if (!repairedOutputs) {
+    return outputs;
+  }
+
+  return outputs.map((latex, idx) => {
+    const candidate = repairedOutputs[idx];
+    if (!problems[idx].length || !candidate) return latex;
+    return findLatexProblems(candidate).length <= problems[idx].length
+      ? candidate
+      : latex;
+  });
+}
+
+/**
+ * Split a line-based batch answer into one cleaned expression per
+ * description.
+ *
+ * @param {string} result
+ * @param {number} count
+ * @returns {string[]} `count` expressions, empty string if missing
+ */
+function parseBatchOutput(result, count) {
+  const lines = cleanLatexOutput(result)
     .split(/\r?\n/)
     .map((l) => l.trim())
+    // Numbering the model was asked not to add ("1) ", "2. ")
+    .map((l) => l.replace(/^\d+[).:]\s+/, ''))
+    .map(cleanLatexOutput)
     .filter((l) => l.length > 0);
 
   const outputs = [];
-  for (let i = 0; i < descriptions.length; i++) {
+  for (let i = 0; i < count; i++) {
     outputs.push(lines[i] || '');
   }
   return outputs;
 }
 
+/**
+ * Parse a structured batch answer: {"expressions": [{index, latex}, ...]}
+ * (a bare array of such entries or of strings is accepted too).
+ *
+ * @param {string} result
+ * @param {number} count
+ * @returns {string[] | null} `count` cleaned expressions (empty string if
+ *   missing), or null if the answer is not JSON of that shape
+ */
+function parseStructuredBatch(result, count) {
+  let text = (result || '').trim();
+  const fence = text.match(/^```[\w-]*\s*([\s\S]*?)\s*```$/);
+  if (fence) {
+    text = fence[1];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+
+  const items = Array.isArray(data) ? data : data && data.expressions;
+  if (!Array.isArray(items) || !items.length) {
+    return null;
+  }
+
+  const outputs = new Array(count).fill('');
+  let found = 0;
+  items.forEach((item, position) => {
+    const latex = typeof item === 'string' ? item : item && item.latex;
+    if (typeof latex !== 'string') return;
+
+    const index =
+      item && Number.isInteger(item.index) ? item.index - 1 : position;
+    if (index >= 0 && index < count) {
+      outputs[index] = cleanLatexOutput(latex);
+      found++;
+    }
+  });
+
+  return found ? outputs : null;
+}
+
+/**
+ * Turn a partially streamed structured answer into one line per
+ * description (finished entries only), for the streaming preview.
+ *
+ * @param {string} textSoFar
+ * @param {number} count
+ * @returns {string}
+ */
+function previewStructuredBatch(textSoFar, count) {
+  const lines = new Array(count).fill('…');
+  const entryRe = /"index"\s*:\s*(\d+)\s*,\s*"latex"\s*:\s*("(?:[^"\\]|\\.)*")/g;
+  let match;
+  while ((match = entryRe.exec(textSoFar)) !== null) {
+    const index = Number(match[1]) - 1;
+    if (index < 0 || index >= count) continue;
+    try {
+      lines[index] = JSON.parse(match[2]).replace(/\s*\r?\n\s*/g, ' ');
+    } catch {
+      // incomplete escape sequence; wait for more text
+    }
+  }
+  return lines.join('\n');
+}
+
 
 /**
  * "Insert anything" mode:
@@ -256,16 +882,20 @@ Do NOT include numbering, labels, comments, or explanations.
  * @param {string} instruction
  * @param {string} [previousContextText]
  * @param {string} [rawCurrentLine]
+ * @param {string} [followingContextText] lines after the current line
  * @param {string} [docLanguage] e.g. 'latex' or 'markdown'
+ * @param {GenerationOptions} [options]
  * @returns {Promise<string>}
  */
 async function generateAnythingFromInstruction(
   instruction,
   previousContextText,
   rawCurrentLine,
-  docLanguage
+  followingContextText,
+  docLanguage,
+  options
 ) {
-  const { fileExtra, settingExtra } = await getExtraInstructionsSources();
+  const extras = await getExtraInstructionsSources((options && options.mode) || 'anything');
 
   let systemPrompt = `
 You are an assistant that edits LaTeX or Markdown documents by inserting
@@ -280,25 +910,13 @@ Rules:
 - For Markdown documents, prefer valid Markdown (including fenced code blocks).
 `.trim();
 
-  if (fileExtra || settingExtra) {
-    systemPrompt += '\n\nAdditional instructions follow.\n';
-
-    if (fileExtra) {
-      systemPrompt += `\nHIGH PRIORITY from project settings:\n${fileExtra}\n`;
-    }
-
-    if (settingExtra) {
-      systemPrompt += `\nLOWER PRIORITY from user settings:\n${settingExtra}\n`;
-    }
-
-    systemPrompt = systemPrompt.trimEnd();
-  }
+  systemPrompt = appendExtraInstructions(systemPrompt, extras);
 
   const contextParts = [];
 
   if (previousContextText && previousContextText.trim().length > 0) {
     contextParts.push(
-      `Previous lines from the current document:\n"""` +
+      `Previous lines from the current document (comment lines introduce the macro definitions and the current section):\n"""` +
         `\n${previousContextText}\n"""`
     );
   }
@@ -310,6 +928,13 @@ Rules:
     );
   }
 
+  if (followingContextText && followingContextText.trim().length > 0) {
+    contextParts.push(
+      `Following context (the lines after the current line; what is generated must fit before them):\n"""` +
+        `\n${followingContextText}\n"""`
+    );
+  }
+
   const contextBlock = contextParts.length
     ? `The following is context from the current document.\n` +
       `Use it to interpret the instruction, but do not rewrite it unless asked.\n\n` +
@@ -330,13 +955,23 @@ replace the wrapper in the document.
 Do not add any explanatory sentences around it.
 `.trim();
 
-  const result = await callChatCompletion(systemPrompt, userPrompt);
+  const result = await callChatCompletion(systemPrompt, userPrompt, {
+    mode: 'anything',
+    ...options,
+    extras,
+  });
   return result;
 }
 
 
 module.exports = {
+  getLlmConfig,
   generateLatexFromText,
+  generateLatexCandidates,
+  regenerateLatexWithInstruction,
   generateLatexForBatch,
   generateAnythingFromInstruction,
+  parseBatchOutput,
+  parseStructuredBatch,
+  isStructuredOutputRejection,
 };
@@ -1,31 +1,126 @@
 // llmProvider.js
 const vscode = require('vscode');
+const {
+  readServerSentEvents,
+  readJsonLines,
+  markIfCancelled,
+  buildHttpError,
+} = require('./providers/http');
+const { getProvider } = require('./providers');
+const { getOutputChannel } = require('./logging');
 
 /**
  * Low-level LLM call wrapper.
  *
- * Currently only supports OpenAI-compatible chat completion APIs:
- *   POST endpoint
- *   { model, messages: [{role, content}, ...], temperature }
+ * The wire protocol comes from the provider registered under
+ * `options.provider` (see `providers/index.js`). Built in:
+ * - 'openai': OpenAI-compatible chat completion APIs
+ * - 'anthropic': Anthropic Messages API (`/v1/messages`)
+ * - 'ollama': Ollama native chat API (`/api/chat`)
+ * - 'gemini': Google Gemini native API (`models/{model}:generateContent`)
  *
+ * When `onProgress` is given (and the provider can stream), the response is
+ * requested as a stream and `onProgress` is called with the accumulated text
+ * after every chunk. The promise still resolves with the complete text.
+ *
+ * Requests that time out (`lazy-latex.llm.timeoutSeconds`) or fail with a
+ * network error, 408, 429 or 5xx are retried with exponential backoff, up
+ * to `lazy-latex.llm.maxRetries` times; a `Retry-After` header sets the
+ * wait instead.
  *
  * @param {Object} options
- * @param {string} options.provider     e.g. 'openai' (for future use)
+ * @param {string} options.provider     registered provider id, e.g. 'openai'
  * @param {string} options.endpoint
  * @param {string} options.apiKey
  * @param {string} options.model
  * @param {string} options.systemPrompt
  * @param {string} options.userPrompt
+ * @param {(textSoFar: string) => void} [options.onProgress]  enables streaming
+ * @param {AbortSignal} [options.signal]  aborts the request (error gets `cancelled = true`)
+ *
+ * @param {number} [options.temperature]  defaults to 0 for OpenAI-compatible APIs
+ * @param {number} [options.maxTokens]    limit on generated tokens (provider default if omitted)
+ * @param {{ name: string, description: string, schema: Object }} [options.jsonSchema]
+ *   ask for a JSON object of this shape: JSON mode (`response_format`) on
+ *   OpenAI-compatible APIs, a forced tool call on Anthropic, a response
+ *   schema on Gemini, `format: "json"` on Ollama. The returned
+ *   string is then the JSON text.
  * @returns {Promise<string>} assistant message content
  */
-async function callChatCompletionWithProvider({
-  provider,
+async function callChatCompletionWithProvider(options) {
+  const [content] = await requestChatCompletion({ ...options, n: 1 });
+  return content;
+}
+
+/**
+ * Ask for `n` alternative answers to the same prompt.
+ *
+ * Providers with `supportsChoices` (OpenAI-compatible, Gemini) get a single
+ * request with `n`; other providers, and endpoints that reject or ignore
+ * `n`, get repeated requests instead.
+ * Streaming is not used.
+ *
+ * @param {Object} options  same as `callChatCompletionWithProvider`, plus:
+ * @param {number} options.n  number of alternatives wanted
+ * @returns {Promise<string[]>} up to `n` answers (duplicates are not removed)
+ */
+async function callChatCompletionChoicesWithProvider(options) {
+  const n = Math.max(1, options.n || 1);
+  const base = { ...options, onProgress: undefined };
+
+  let choices = [];
+  try {
+    choices = await requestChatCompletion({ ...base, n });
+  } catch (err) {
+    // Some OpenAI-compatible servers reject `n`; fall back to repeated calls
+    if (!(n > 1 && err && err.status === 400)) {
+      throw err;
+    }
+  }
+
+  const missing = n - choices.length;
+  if (missing > 0) {
+    const extra = await Promise.all(
+      Array.from({ length: missing }, () =>
+        requestChatCompletion({ ...base, n: 1 })
+      )
+    );
+    for (const more of extra) {
+      choices.push(...more);
+    }
+  }
+
+  return choices.slice(0, n);
+}
+
+/**
+ * Shared implementation of the calls above; returns every choice the
+ * provider sent back (always one, unless the provider supports `n` > 1).
+ *
+ * @returns {Promise<string[]>}
+ */
+async function requestChatCompletion({
+  provider: providerId,
   endpoint,
   apiKey,
   model,
   systemPrompt,
   userPrompt,
+  onProgress,
+  signal,
+  temperature,
+  maxTokens,
+  n,
+  jsonSchema,
 }) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    vscode.window.showErrorMessage(
+      `Lazy LaTeX: Unsupported LLM provider "${providerId}".`
+    );
+    throw new Error(`Unsupported LLM provider: ${providerId}`);
+  }
+
   // Decide if this endpoint actually needs an API key.
   // For localhost / 127.0.0.1 we allow empty apiKey (e.g. Ollama).
   const lowerEndpoint = (endpoint || '').toLowerCase();
@@ -35,144 +130,244 @@ async function callChatCompletionWithProvider({
     lowerEndpoint.startsWith('http://127.0.0.1') ||
     lowerEndpoint.startsWith('https://127.0.0.1');
 
-  if (!endpoint || !model) {
+  if ((!endpoint && provider.requiresEndpoint !== false) || !model) {
     vscode.window.showErrorMessage(
       'Lazy LaTeX: LLM endpoint or model is not configured.'
     );
     throw new Error('Missing endpoint or model');
   }
 
-  if (!isLocalhost && !apiKey) {
+  if (!isLocalhost && !apiKey && provider.requiresApiKey !== false) {
     vscode.window.showErrorMessage(
-      'Lazy LaTeX: No API key set. Please configure "lazy-latex.llm.apiKey" in Settings.'
+      'Lazy LaTeX: No API key set. Run "Lazy LaTeX: Set API key" to store one.'
     );
     throw new Error('Missing API key');
   }
 
-  // Normalize provider
-  const p = (provider || 'openai').toLowerCase();
-
-  // --- OpenAI-compatible branch (default) ---
-  if (p === 'openai') {
-    const body = {
-      model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0,
-    };
+  const stream = Boolean(onProgress && provider.parseStreamEvent);
+  const request = provider.buildRequest({
+    endpoint,
+    apiKey,
+    model,
+    systemPrompt,
+    userPrompt,
+    temperature,
+    maxTokens,
+    n: provider.supportsChoices ? n : 1,
+    stream,
+    jsonSchema,
+  });
 
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const timeoutMs = Math.max(0, config.get('llm.timeoutSeconds', 60)) * 1000;
+  const maxRetries = Math.max(0, config.get('llm.maxRetries', 2));
 
-    const headers = {
-      'Content-Type': 'application/json',
-    };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendRequest(provider, request, {
+        onProgress: stream ? onProgress : undefined,
+        signal,
+        timeoutMs,
+      });
+    } catch (err) {
+      const delayMs = getRetryDelay(err, attempt);
+      if (attempt >= maxRetries || !isTransientError(err) || delayMs === null) {
+        throw err;
+      }
 
-    if (apiKey) {
-      headers.Authorization = `Bearer ${apiKey}`;
+      const retryMessage = `${err.message}; retrying in ${Math.round(delayMs / 100) / 10}s (attempt ${attempt + 2} of ${maxRetries + 1}).`;
+      console.warn(`[Lazy LaTeX] ${retryMessage}`);
+      getOutputChannel().appendLine(`${new Date().toISOString()} ${retryMessage}`);
+      await sleep(delayMs, signal);
     }
+  }
+}
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(body),
-    });
+// Longest wait before a retry; a longer Retry-After fails right away instead
+const MAX_RETRY_DELAY_MS = 30000;
+const INITIAL_RETRY_DELAY_MS = 1000;
 
-    if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      console.error(`LLM HTTP error (${p}):`, response.status, text);
+/**
+ * Whether an error is worth retrying (and failing over to another endpoint):
+ * timeouts, network errors, 408, 429 and 5xx responses. Cancellations,
+ * configuration problems and other 4xx responses are not.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isTransientError(err) {
+  if (!err || err.cancelled) return false;
+  if (err.timedOut || err.networkError) return true;
+  const status = err.status;
+  return status === 408 || status === 429 || (typeof status === 'number' && status >= 500);
+}
 
-      const err = new Error(
-        `LLM request failed (${p}): ${response.status} ${response.statusText}`
-      );
-      // Attach extra info so higher-level code can show better errors
-      err.status = response.status;
-      err.provider = p;          // 'openai'
-      err.details = text;        // raw response body (truncated later if needed)
-      throw err;
+/**
+ * Delay before retry number `attempt + 1`: the server's Retry-After if it
+ * sent one, exponential backoff with jitter otherwise.
+ *
+ * @param {Error} err
+ * @param {number} attempt  0 for the first failure
+ * @returns {number | null} milliseconds, or null if the wait would be too long
+ */
+function getRetryDelay(err, attempt) {
+  if (typeof err.retryAfterMs === 'number') {
+    return err.retryAfterMs <= MAX_RETRY_DELAY_MS ? err.retryAfterMs : null;
+  }
+  const backoff = INITIAL_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.min(MAX_RETRY_DELAY_MS, backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Wait `ms` milliseconds; rejects with a cancellation error if `signal` is
+ * aborted meanwhile.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(markIfCancelled(new Error('aborted'), signal));
+      return;
     }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(markIfCancelled(new Error('aborted'), signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-    const data = await response.json();
+/**
+ * Send one request built by a provider and parse the answer.
+ *
+ * The request is aborted when `options.signal` is (the error gets
+ * `cancelled = true`) or when nothing arrives for `options.timeoutMs`; the
+ * timer restarts with every streamed chunk, so long answers that keep
+ * streaming are not cut off. Timeouts get `timedOut = true`; a `fetch` that
+ * fails before any response arrives gets `networkError = true`.
+ *
+ * @param {import('./providers').LlmProvider} provider
+ * @param {{ url: string, headers: Object, body: Object }} request
+ * @param {{ onProgress?: (textSoFar: string) => void, signal?: AbortSignal, timeoutMs: number }} options
+ * @returns {Promise<string[]>}
+ */
+async function sendRequest(provider, request, { onProgress, signal, timeoutMs }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
 
-    const content =
-      data.choices &&
-      data.choices[0] &&
-      data.choices[0].message &&
-      data.choices[0].message.content;
+  const restartTimer = () => {
+    if (!timeoutMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
 
-    if (!content || typeof content !== 'string') {
-      console.error('Unexpected OpenAI-compatible response shape:', data);
-      throw new Error('LLM response did not contain text content');
-    }
-
-    return content.trim();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
   }
+  restartTimer();
 
-  // --- Anthropic / Claude branch ---
-  if (p === 'anthropic') {
-    // Expect endpoint like: https://api.anthropic.com/v1/messages
-    // apiKey = Anthropic API key
-    const body = {
-      model,
-      max_tokens: 512, // adjust if you need longer outputs
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
-    };
+  // Turn low-level failures into errors callers (and mapError) understand
+  const toRequestError = (err) => {
+    if (timedOut && !(signal && signal.aborted)) {
+      const timeout = new Error(
+        `LLM request timed out (${provider.id}): no response for ${timeoutMs / 1000}s`
+      );
+      timeout.provider = provider.id;
+      timeout.timedOut = true;
+      return timeout;
+    }
+    return markIfCancelled(err, signal);
+  };
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify(body),
-    });
+  try {
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      const requestError = toRequestError(err);
+      // fetch rejects with a TypeError when no response arrives (refused
+      // connection, DNS failure, reset); TypeErrors from our own code further
+      // down are bugs, not network errors
+      if (!requestError.cancelled && !requestError.timedOut && requestError.name === 'TypeError') {
+        requestError.networkError = true;
+        // Lets the provider's mapError recognize network errors (e.g. Ollama not running)
+        requestError.provider = requestError.provider || provider.id;
+      }
+      throw requestError;
+    }
 
     if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      console.error('LLM HTTP error (anthropic):', response.status, text);
-
-      const err = new Error(
-        `LLM request failed (anthropic): ${response.status} ${response.statusText}`
-      );
-      err.status = response.status;
-      err.provider = 'anthropic';
-      err.details = text;
-      throw err;
+      throw await buildHttpError(response, provider.id);
     }
 
+    if (onProgress) {
+      let streamed = '';
+      const state = {};
+      const readEvents =
+        provider.streamFormat === 'ndjson' ? readJsonLines : readServerSentEvents;
+      try {
+        await readEvents(response, (data) => {
+          restartTimer();
+          const delta = provider.parseStreamEvent(data, state);
+          if (typeof delta === 'string' && delta) {
+            streamed += delta;
+            onProgress(streamed);
+          }
+        });
+      } catch (err) {
+        throw toRequestError(err);
+      }
 
-    const data = await response.json();
-
-    let content = '';
-    if (Array.isArray(data.content) && data.content.length > 0) {
-      const first = data.content[0];
-      if (first && first.type === 'text' && typeof first.text === 'string') {
-        content = first.text;
+      if (!streamed) {
+        throw (provider.getEmptyStreamError && provider.getEmptyStreamError(state)) ||
+          new Error('LLM response did not contain text content');
       }
+      return [streamed.trim()];
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (err) {
+      throw toRequestError(err);
     }
 
-    if (!content || typeof content !== 'string') {
-      console.error('Unexpected Anthropic response shape:', data);
+    const contents = (provider.parseResponse(data) || []).filter(
+      (content) => content && typeof content === 'string'
+    );
+
+    if (!contents.length) {
+      console.error(`Unexpected ${provider.id} response shape:`, data);
       throw new Error('LLM response did not contain text content');
     }
 
-    return content.trim();
+    return contents.map((content) => content.trim());
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
   }
-
-  // --- Fallback for unknown provider ---
-  vscode.window.showErrorMessage(
-    `Lazy LaTeX: Unsupported LLM provider "${provider}".`
-  );
-  throw new Error(`Unsupported LLM provider: ${provider}`);
 }
 
 module.exports = {
   callChatCompletionWithProvider,
+  callChatCompletionChoicesWithProvider,
+  isTransientError,
 };
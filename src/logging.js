@@ -1,4 +1,5 @@
 const vscode = require('vscode');
+const { getProvider } = require('./providers');
 
 let outputChannel = null;
 
@@ -13,23 +14,31 @@ function getOutputChannel() {
 }
 
 /**
- * Log detailed LLM errors to the Lazy LaTeX output channel.
+ * Log detailed LLM errors to the Lazy LaTeX output channel, with the
+ * configuration of the request that failed: `llmConfig`, or the one
+ * `withFailover` (llmClient.js) attached to the error. Nothing is said about
+ * the configuration when neither is known.
+ *
  * @param {Error} err
  * @param {string} contextMessage
+ * @param {Partial<import('./profiles').LlmConfig>} [llmConfig]
  */
-function logLlmError(err, contextMessage) {
+function logLlmError(err, contextMessage, llmConfig = err.llmConfig) {
   const channel = getOutputChannel();
-  const config = vscode.workspace.getConfiguration('lazy-latex');
-  const provider = config.get('llm.provider', 'openai');
-  const endpoint = config.get('llm.endpoint', '');
-  const model = config.get('llm.model', '');
 
   channel.appendLine('----------------------------------------');
   channel.appendLine(new Date().toISOString());
   channel.appendLine(contextMessage);
-  channel.appendLine(`Provider (setting): ${provider}`);
-  channel.appendLine(`Endpoint: ${endpoint}`);
-  channel.appendLine(`Model: ${model}`);
+  if (llmConfig) {
+    if (llmConfig.profile) {
+      channel.appendLine(`Profile: ${llmConfig.profile}`);
+    }
+    channel.appendLine(`Provider: ${llmConfig.provider}`);
+    channel.appendLine(`Endpoint: ${llmConfig.endpoint || '<default>'}`);
+    if (llmConfig.model !== undefined) {
+      channel.appendLine(`Model: ${llmConfig.model}`);
+    }
+  }
 
   if (typeof err.status === 'number') {
     channel.appendLine(`HTTP status: ${err.status}`);
@@ -57,6 +66,18 @@ function logLlmError(err, contextMessage) {
 function getFriendlyErrorMessage(err) {
   const status = typeof err.status === 'number' ? err.status : null;
 
+  if (err.timedOut) {
+    return 'Lazy LaTeX: LLM request timed out. The provider stopped responding; try again or raise "lazy-latex.llm.timeoutSeconds". See the "Lazy LaTeX" output for details.';
+  }
+
+  // Provider-specific messages (e.g. Ollama not running)
+  const provider = err.provider ? getProvider(err.provider) : undefined;
+  const providerMessage =
+    provider && provider.mapError ? provider.mapError(err) : undefined;
+  if (providerMessage) {
+    return providerMessage;
+  }
+
   if (status === 401 || status === 403) {
     return 'Lazy LaTeX: LLM request failed (authentication). Please check your API key and provider settings. See the "Lazy LaTeX" output for details.';
   }
@@ -0,0 +1,446 @@
+// profiles.js
+const vscode = require('vscode');
+const { getProvider } = require('./providers');
+const { getOutputChannel } = require('./logging');
+
+// Name under which the plain `lazy-latex.llm.*` settings act as a profile
+const DEFAULT_PROFILE = 'default';
+
+const MODES = ['inline', 'display', 'anything', 'selection'];
+
+/**
+ * A named entry of `lazy-latex.profiles`.
+ *
+ * @typedef {Object} LlmProfile
+ * @property {string} [provider]     defaults to `lazy-latex.llm.provider`
+ * @property {string} [endpoint]     defaults to `lazy-latex.llm.endpoint` (same provider only)
+ * @property {string} [model]        defaults to `lazy-latex.llm.model` (same provider only)
+ * @property {string} [apiKey]       plain-text key (deprecated; moved to SecretStorage on activation)
+ * @property {string} [apiKeyRef]    use the key of this profile instead ('default': the default profile's key)
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {number} [contextTokens] token budget for the document context
+ *   (defaults to `lazy-latex.context.maxTokens`)
+ */
+
+/**
+ * Everything needed to call the LLM, resolved from a profile.
+ *
+ * @typedef {Object} LlmConfig
+ * @property {string} profile   profile name ('default' for the `lazy-latex.llm.*` settings)
+ * @property {string} provider
+ * @property {string} endpoint
+ * @property {string} model
+ * @property {string[]} apiKeyNames  SecretStorage names to look the key up
+ *   under, most specific first (see `getApiKey` in secrets.js)
+ * @property {string} settingsApiKey  plain-text key from settings, if any
+ * @property {boolean} sharesProviderKey  whether the provider's shared key
+ *   and environment variables may be sent to `endpoint` (see
+ *   `canShareProviderKey`)
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {number} [contextTokens]
+ */
+
+/**
+ * @returns {Record<string, LlmProfile>} `lazy-latex.profiles` (without a
+ *   profile called "default", which is reserved)
+ */
+function getProfiles() {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const profiles = config.get('profiles', {});
+  if (!profiles || typeof profiles !== 'object') {
+    return {};
+  }
+  const named = { ...profiles };
+  delete named[DEFAULT_PROFILE];
+  return named;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} whether `name` is "default" or a configured profile
+ */
+function isKnownProfile(name) {
+  return name === DEFAULT_PROFILE || Object.prototype.hasOwnProperty.call(getProfiles(), name);
+}
+
+/**
+ * Profile selected with `lazy-latex.activeProfile` (or the status bar item);
+ * "default" if none is set or it no longer exists.
+ *
+ * @returns {string}
+ */
+function getActiveProfileName() {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const name = config.get('activeProfile', '') || DEFAULT_PROFILE;
+  if (!isKnownProfile(name)) {
+    console.warn(`[Lazy LaTeX] Active profile "${name}" is not defined in lazy-latex.profiles; using the default settings.`);
+    return DEFAULT_PROFILE;
+  }
+  return name;
+}
+
+/**
+ * Profile used for a kind of request: the one mapped to `mode` in
+ * `lazy-latex.modeProfiles`, otherwise the active profile.
+ *
+ * @param {'inline' | 'display' | 'anything' | 'selection'} [mode]
+ * @returns {string}
+ */
+function getProfileNameForMode(mode) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const modeProfiles = config.get('modeProfiles', {}) || {};
+  const name = mode ? modeProfiles[mode] : '';
+  if (name && isKnownProfile(name)) {
+    return name;
+  }
+  if (name) {
+    console.warn(`[Lazy LaTeX] Profile "${name}" for ${mode} mode is not defined; using the active profile.`);
+  }
+  return getActiveProfileName();
+}
+
+/**
+ * SecretStorage name of the key shared by every profile of a provider.
+ * @param {string} provider
+ * @returns {string}
+ */
+function providerKeyName(provider) {
+  return `provider:${(provider || 'openai').toLowerCase()}`;
+}
+
+/**
+ * SecretStorage name of a named profile's own key.
+ * @param {string} name
+ * @returns {string}
+ */
+function profileKeyName(name) {
+  return `profile:${name}`;
+}
+
+/**
+ * Host name of an endpoint URL, lower case; '' if it is not a URL.
+ * @param {string} endpoint
+ * @returns {string}
+ */
+function hostOf(endpoint) {
+  try {
+    return new URL(endpoint).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Whether keys not given to a profile explicitly (the `lazy-latex.llm.apiKey`
+ * key, the key stored for the provider, the provider's environment
+ * variables) may be sent to `endpoint`. That is the case for the provider's
+ * own API (no endpoint, or one of its `defaultHosts`) and for the host of
+ * `lazy-latex.llm.endpoint` when the provider is the one of the
+ * `lazy-latex.llm.*` settings. An OpenAI-compatible profile pointing at
+ * another host (e.g. OpenRouter) needs its own key or an `apiKeyRef`.
+ *
+ * @param {string} provider
+ * @param {string} endpoint
+ * @returns {boolean}
+ */
+function canShareProviderKey(provider, endpoint) {
+  if (!endpoint) return true;
+  const host = hostOf(endpoint);
+  if (!host) return false;
+
+  const registered = getProvider(provider);
+  if (registered && (registered.defaultHosts || []).includes(host)) {
+    return true;
+  }
+
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const baseProvider = config.get('llm.provider', 'openai') || 'openai';
+  return (
+    provider.toLowerCase() === baseProvider.toLowerCase() &&
+    host === hostOf(config.get('llm.endpoint') || '')
+  );
+}
+
+/**
+ * Resolve a profile into the settings used for a request. Fields a profile
+ * leaves out come from the `lazy-latex.llm.*` settings; endpoint and model
+ * are only inherited when the profile uses the same provider. Keys the
+ * profile is not given explicitly are only used for its provider's own hosts
+ * (see `canShareProviderKey`), so a key is never sent to another provider or
+ * host by accident.
+ *
+ * The key itself is looked up asynchronously (see `getApiKey` in
+ * secrets.js): the profile's own key, then the key it refers to with
+ * `apiKeyRef`, then the key it inherits from its provider.
+ *
+ * @param {string} name
+ * @returns {LlmConfig}
+ */
+function resolveProfile(name) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const base = {
+    provider: config.get('llm.provider', 'openai'),
+    endpoint: config.get('llm.endpoint'),
+    model: config.get('llm.model'),
+  };
+  const baseApiKey = config.get('llm.apiKey') || '';
+
+  const profiles = getProfiles();
+  const profile = name !== DEFAULT_PROFILE ? profiles[name] : null;
+  if (!profile) {
+    return {
+      profile: DEFAULT_PROFILE,
+      ...base,
+      apiKeyNames: [providerKeyName(base.provider)],
+      settingsApiKey: baseApiKey,
+      sharesProviderKey: canShareProviderKey(base.provider, base.endpoint),
+    };
+  }
+
+  const provider = profile.provider || base.provider;
+  const sameProvider = provider.toLowerCase() === (base.provider || '').toLowerCase();
+  const endpoint = profile.endpoint || (sameProvider ? base.endpoint : '');
+  const sharesProviderKey = canShareProviderKey(provider, endpoint);
+
+  const apiKeyNames = [profileKeyName(name)];
+  let settingsApiKey = profile.apiKey;
+  if (profile.apiKeyRef === DEFAULT_PROFILE) {
+    apiKeyNames.push(providerKeyName(base.provider));
+    settingsApiKey = settingsApiKey || baseApiKey;
+  } else if (profile.apiKeyRef) {
+    const ref = profiles[profile.apiKeyRef];
+    apiKeyNames.push(profileKeyName(profile.apiKeyRef));
+    settingsApiKey = settingsApiKey || (ref && ref.apiKey);
+  } else if (sameProvider && sharesProviderKey) {
+    settingsApiKey = settingsApiKey || baseApiKey;
+  }
+  if (sharesProviderKey && !apiKeyNames.includes(providerKeyName(provider))) {
+    apiKeyNames.push(providerKeyName(provider));
+  }
+
+  return {
+    profile: name,
+    provider,
+    endpoint,
+    model: profile.model || (sameProvider ? base.model : ''),
+    apiKeyNames,
+    settingsApiKey: settingsApiKey || '',
+    sharesProviderKey,
+    temperature: typeof profile.temperature === 'number' ? profile.temperature : undefined,
+    maxTokens: typeof profile.maxTokens === 'number' ? profile.maxTokens : undefined,
+    contextTokens:
+      typeof profile.contextTokens === 'number' ? profile.contextTokens : undefined,
+  };
+}
+
+// Skipped fallback entries already shown to the user this session
+const warnedFallbacks = new Set();
+
+/**
+ * Report a `lazy-latex.llm.fallbacks` entry that cannot be used. Fallbacks
+ * are looked up for every request, so the output channel and the user only
+ * get each entry once per session.
+ *
+ * @param {string} entry
+ * @param {string} message
+ */
+function warnAboutFallback(entry, message) {
+  console.warn(`[Lazy LaTeX] ${message}`);
+  if (warnedFallbacks.has(entry)) return;
+  warnedFallbacks.add(entry);
+  getOutputChannel().appendLine(`${new Date().toISOString()} ${message}`);
+  vscode.window.showWarningMessage(`Lazy LaTeX: ${message}`);
+}
+
+/**
+ * Configurations to try, in order, when a request with `primary` fails with
+ * a transient error (`lazy-latex.llm.fallbacks`). Entries are profile names,
+ * so each fallback brings its own endpoint and key. Other entries are skipped
+ * with a warning; a bare URL in particular would send the primary's key to
+ * whatever host it names.
+ *
+ * @param {LlmConfig} primary
+ * @returns {LlmConfig[]}
+ */
+function getFallbackConfigs(primary) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const entries = config.get('llm.fallbacks', []) || [];
+
+  const fallbacks = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string' || !entry.trim()) continue;
+    const value = entry.trim();
+
+    if (/^https?:\/\//i.test(value)) {
+      warnAboutFallback(
+        value,
+        `lazy-latex.llm.fallbacks entry "${value}" is a URL, not a profile name; it is skipped. Define a profile with that endpoint and list its name instead.`
+      );
+      continue;
+    }
+
+    if (!isKnownProfile(value)) {
+      warnAboutFallback(
+        value,
+        `lazy-latex.llm.fallbacks entry "${value}" is not a profile in lazy-latex.profiles; it is skipped.`
+      );
+      continue;
+    }
+    if (value !== primary.profile) {
+      fallbacks.push(resolveProfile(value));
+    }
+  }
+  return fallbacks;
+}
+
+/**
+ * Configuration target to write a setting to: the workspace if the setting
+ * is set there, user settings otherwise.
+ *
+ * @param {vscode.WorkspaceConfiguration} config
+ * @param {string} key
+ * @returns {vscode.ConfigurationTarget}
+ */
+function targetFor(config, key) {
+  const inspected = config.inspect(key);
+  return inspected && inspected.workspaceValue !== undefined
+    ? vscode.ConfigurationTarget.Workspace
+    : vscode.ConfigurationTarget.Global;
+}
+
+/**
+ * Change fields of a profile ("default" changes the `lazy-latex.llm.*`
+ * settings), where it is currently defined.
+ *
+ * @param {string} name
+ * @param {{ provider?: string, model?: string }} changes
+ * @returns {Promise<void>}
+ */
+async function updateProfile(name, changes) {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+
+  if (name === DEFAULT_PROFILE) {
+    for (const [field, value] of Object.entries(changes)) {
+      await config.update(`llm.${field}`, value, targetFor(config, `llm.${field}`));
+    }
+    return;
+  }
+
+  const target = targetFor(config, 'profiles');
+  const inspected = config.inspect('profiles') || {};
+  const current =
+    (target === vscode.ConfigurationTarget.Workspace
+      ? inspected.workspaceValue
+      : inspected.globalValue) || {};
+  await config.update(
+    'profiles',
+    { ...current, [name]: { ...(current[name] || getProfiles()[name]), ...changes } },
+    target
+  );
+}
+
+/** @type {vscode.StatusBarItem | null} */
+let statusItem = null;
+
+/**
+ * Show the active profile in the status bar (only when profiles are
+ * configured).
+ */
+function updateStatusItem() {
+  if (!statusItem) return;
+
+  const names = Object.keys(getProfiles());
+  if (!names.length) {
+    statusItem.hide();
+    return;
+  }
+
+  const active = getActiveProfileName();
+  const { provider, model } = resolveProfile(active);
+  statusItem.text = `$(hubot) ${active}`;
+
+  const tooltip = new vscode.MarkdownString();
+  tooltip.appendMarkdown(`**Lazy LaTeX profile:** ${active} (${provider} · ${model || 'no model'})\n\n`);
+  for (const mode of MODES) {
+    tooltip.appendMarkdown(`- ${mode}: ${getProfileNameForMode(mode)}\n`);
+  }
+  tooltip.appendMarkdown('\nClick to switch the active profile.');
+  statusItem.tooltip = tooltip;
+  statusItem.show();
+}
+
+/**
+ * Command: pick the active profile from a QuickPick.
+ */
+async function selectProfile() {
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const modeProfiles = config.get('modeProfiles', {}) || {};
+  const active = getActiveProfileName();
+
+  const items = [DEFAULT_PROFILE, ...Object.keys(getProfiles())].map((name) => {
+    const { provider, model } = resolveProfile(name);
+    const modes = MODES.filter((mode) => modeProfiles[mode] === name);
+    return {
+      label: name,
+      description: [
+        name === active ? 'active' : '',
+        `${provider} · ${model || 'no model'}`,
+      ]
+        .filter(Boolean)
+        .join(' · '),
+      detail: modes.length ? `Always used for: ${modes.join(', ')}` : undefined,
+      name,
+    };
+  });
+
+  const picked = await vscode.window.showQuickPick(items, {
+    title: 'Lazy LaTeX: Active model profile',
+    placeHolder: 'Used for every mode without its own entry in "lazy-latex.modeProfiles"',
+  });
+  if (!picked) return;
+
+  await config.update(
+    'activeProfile',
+    picked.name === DEFAULT_PROFILE ? '' : picked.name,
+    targetFor(config, 'activeProfile')
+  );
+}
+
+/**
+ * Register the "Select model profile" command and its status bar item.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function registerProfiles(context) {
+  statusItem = vscode.window.createStatusBarItem(
+    vscode.StatusBarAlignment.Right,
+    100
+  );
+  statusItem.command = 'lazy-latex.selectProfile';
+  updateStatusItem();
+
+  context.subscriptions.push(
+    statusItem,
+    vscode.commands.registerCommand('lazy-latex.selectProfile', selectProfile),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration('lazy-latex')) {
+        updateStatusItem();
+      }
+    })
+  );
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getProfiles,
+  providerKeyName,
+  profileKeyName,
+  getActiveProfileName,
+  getProfileNameForMode,
+  resolveProfile,
+  getFallbackConfigs,
+  updateProfile,
+  registerProfiles,
+};
@@ -0,0 +1,374 @@
+// project.js
+const vscode = require('vscode');
+const path = require('path');
+
+/**
+ * Multi-file LaTeX projects: a root document (`main.tex`) that pulls in
+ * chapters with `\input`, `\include`, `\subfile` or `\import`.
+ */
+
+// `% !TEX root = ../main.tex` (TeXShop / LaTeX Workshop magic comment)
+const MAGIC_ROOT = /^\s*%\s*!\s*tex\s+root\s*=\s*(.+?)\s*$/i;
+const MAGIC_COMMENT_LINES = 50;
+// `\documentclass[../main.tex]{subfiles}`
+const SUBFILES_CLASS = /\\documentclass\s*\[([^\]]+)\]\s*\{subfiles\}/;
+const DOCUMENT_CLASS = /\\documentclass\s*(\[[^\]]*\])?\s*\{([^}]+)\}/;
+const INCLUDE =
+  /\\(?:input|include|subfile|subfileinclude)\s*\{([^}]+)\}|\\(?:sub)?(?:import|includefrom|inputfrom)\*?\s*\{([^}]*)\}\s*\{([^}]+)\}/g;
+
+// Limits so a huge workspace or an include cycle cannot stall a conversion
+const MAX_PROJECT_FILES = 100;
+const MAX_ROOT_CANDIDATES = 200;
+
+// document uri -> root uri (or null) found by searching the workspace;
+// cleared when a .tex file is created or deleted, or its \documentclass or
+// include lines change
+const searchedRoots = new Map();
+// file uri -> { text, includes, signature } as last read; dropped when the
+// file is edited, saved or deleted
+const parsedFiles = new Map();
+// file uri -> signature (\documentclass and include lines) when last read;
+// kept across edits so a save can tell whether the project structure changed
+const signatures = new Map();
+// "target|dir|dir" -> resolved uri (or null); cleared when files are created
+// or deleted
+const resolvedPaths = new Map();
+const decoder = new TextDecoder('utf-8');
+
+/**
+ * Text of a file: from memory if it is open (unsaved edits included),
+ * otherwise from disk. Undefined if it cannot be read.
+ *
+ * @param {vscode.Uri} uri
+ * @returns {Promise<string | undefined>}
+ */
+async function readText(uri) {
+  const open = vscode.workspace.textDocuments.find(
+    (d) => d.uri.toString() === uri.toString()
+  );
+  if (open) {
+    return open.getText();
+  }
+  try {
+    return decoder.decode(await vscode.workspace.fs.readFile(uri));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {vscode.Uri} uri
+ * @returns {Promise<boolean>}
+ */
+async function exists(uri) {
+  if (vscode.workspace.textDocuments.some((d) => d.uri.toString() === uri.toString())) {
+    return true;
+  }
+  try {
+    await vscode.workspace.fs.stat(uri);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a path written in a LaTeX file against the given directories, in
+ * order, adding `.tex` when the path has no extension.
+ *
+ * @param {string} target
+ * @param {vscode.Uri[]} dirs
+ * @returns {Promise<vscode.Uri | undefined>}
+ */
+async function resolveTexPath(target, dirs) {
+  const name = target.trim().replace(/^"(.*)"$/, '$1');
+  if (!name) return undefined;
+  const names = path.posix.extname(name) ? [name, `${name}.tex`] : [`${name}.tex`, name];
+
+  for (const fileName of names) {
+    const candidates = path.isAbsolute(fileName)
+      ? [vscode.Uri.file(fileName)]
+      : dirs.map((dir) => vscode.Uri.joinPath(dir, fileName));
+    for (const uri of candidates) {
+      if (await exists(uri)) {
+        return uri;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * `resolveTexPath`, remembering the answer until files are created or deleted.
+ *
+ * @param {string} target
+ * @param {vscode.Uri[]} dirs
+ * @returns {Promise<vscode.Uri | undefined>}
+ */
+async function resolveTexPathCached(target, dirs) {
+  const key = [target, ...dirs.map((dir) => dir.toString())].join('|');
+  if (!resolvedPaths.has(key)) {
+    resolvedPaths.set(key, (await resolveTexPath(target, dirs)) || null);
+  }
+  return resolvedPaths.get(key) || undefined;
+}
+
+/**
+ * The `\documentclass` and include commands of a file's (comment-free)
+ * code; the parts of a file that decide which project it belongs to.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+function structureSignature(code) {
+  const documentClass = DOCUMENT_CLASS.exec(code);
+  return [
+    documentClass ? documentClass[0] : '',
+    ...[...code.matchAll(INCLUDE)].map((match) => match[0]),
+  ].join('\n');
+}
+
+/**
+ * Read a file and list its include commands, or reuse the result of an
+ * earlier read if the file has not changed since.
+ *
+ * @param {vscode.Uri} uri
+ * @returns {Promise<{ text: string, lines: string[], includes: RegExpMatchArray[] } | undefined>}
+ *   undefined if the file cannot be read
+ */
+async function parseFile(uri) {
+  const key = uri.toString();
+  if (parsedFiles.has(key)) {
+    return parsedFiles.get(key);
+  }
+
+  const text = await readText(uri);
+  if (text === undefined) return undefined;
+
+  const lines = text.split(/\r?\n/);
+  const code = lines.map((line) => line.replace(/(^|[^\\])%.*$/, '$1')).join('\n');
+  const parsed = { text, lines, includes: [...code.matchAll(INCLUDE)] };
+  parsedFiles.set(key, parsed);
+  signatures.set(key, structureSignature(code));
+  return parsed;
+}
+
+/**
+ * @param {vscode.Uri} uri
+ * @returns {vscode.Uri}
+ */
+function dirOf(uri) {
+  return vscode.Uri.joinPath(uri, '..');
+}
+
+/**
+ * Files of the project rooted at `root`, in the order LaTeX reads them
+ * (each file before the files it includes, includes in order). Files read
+ * before and unchanged since are not read or resolved again.
+ *
+ * @param {vscode.Uri} root
+ * @returns {Promise<Array<{ uri: vscode.Uri, text: string, lines: string[] }>>}
+ */
+async function collectIncludeTree(root) {
+  const files = [];
+  const seen = new Set();
+
+  const visit = async (uri) => {
+    if (seen.has(uri.toString()) || files.length >= MAX_PROJECT_FILES) return;
+    seen.add(uri.toString());
+
+    const parsed = await parseFile(uri);
+    if (!parsed) return;
+    files.push({ uri, text: parsed.text, lines: parsed.lines });
+
+    for (const match of parsed.includes) {
+      // \input / \include are relative to the root; \subfile and \import
+      // are usually relative to the including file
+      const child = match[1]
+        ? await resolveTexPathCached(match[1], [dirOf(root), dirOf(uri)])
+        : await resolveTexPathCached(
+            path.posix.join(match[2] || '.', match[3]),
+            [dirOf(uri), dirOf(root)]
+          );
+      if (child) {
+        await visit(child);
+      }
+    }
+  };
+
+  await visit(root);
+  return files;
+}
+
+/**
+ * Look through the workspace for a document with `\documentclass` whose
+ * include tree contains `uri`.
+ *
+ * @param {vscode.Uri} uri
+ * @returns {Promise<vscode.Uri | null>}
+ */
+async function searchRoot(uri) {
+  const key = uri.toString();
+  if (searchedRoots.has(key)) {
+    return searchedRoots.get(key);
+  }
+
+  const candidates = await vscode.workspace.findFiles(
+    '**/*.tex',
+    '**/node_modules/**',
+    MAX_ROOT_CANDIDATES
+  );
+  // Files closer to the workspace root first: main.tex rather than a
+  // standalone figure next to the chapter
+  candidates.sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+
+  let root = null;
+  for (const candidate of candidates) {
+    if (candidate.toString() === key) continue;
+    const parsed = await parseFile(candidate);
+    const match = parsed && DOCUMENT_CLASS.exec(parsed.text);
+    if (!match || match[2].trim() === 'subfiles') continue;
+
+    const tree = await collectIncludeTree(candidate);
+    if (tree.some((file) => file.uri.toString() === key)) {
+      root = candidate;
+      break;
+    }
+  }
+
+  searchedRoots.set(key, root);
+  return root;
+}
+
+/**
+ * Find the root document of the project `document` belongs to:
+ * 1. a `% !TEX root = ...` magic comment near the top,
+ * 2. the main file named by `\documentclass[main.tex]{subfiles}`,
+ * 3. the document itself if it has a `\documentclass`,
+ * 4. a workspace document whose `\input` / `\include` / `\subfile` tree
+ *    contains it.
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<vscode.Uri | null>} null if it is not part of a project
+ */
+async function findRootDocument(document) {
+  if (document.uri.scheme === 'untitled') {
+    return null;
+  }
+
+  const dirs = [dirOf(document.uri)];
+  const head = Math.min(document.lineCount, MAGIC_COMMENT_LINES);
+  for (let ln = 0; ln < head; ln++) {
+    const match = MAGIC_ROOT.exec(document.lineAt(ln).text);
+    if (match) {
+      const root = await resolveTexPathCached(match[1], dirs);
+      if (root) return root;
+      console.warn(`[Lazy LaTeX] TeX root "${match[1]}" not found.`);
+    }
+  }
+
+  const text = document.getText();
+  const subfiles = SUBFILES_CLASS.exec(text);
+  if (subfiles) {
+    const root = await resolveTexPathCached(subfiles[1], dirs);
+    if (root) return root;
+  }
+  if (DOCUMENT_CLASS.test(text)) {
+    return document.uri;
+  }
+
+  return searchRoot(document.uri);
+}
+
+/**
+ * The other files of the project `document` belongs to (the root and every
+ * file it includes, except `document` itself), in reading order, with
+ * paths relative to the workspace for display.
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<Array<{ label: string, lines: string[] }>>}
+ */
+async function getProjectFiles(document) {
+  const root = await findRootDocument(document);
+  if (!root) {
+    return [];
+  }
+
+  const tree = await collectIncludeTree(root);
+  return tree
+    .filter((file) => file.uri.toString() !== document.uri.toString())
+    .map((file) => ({
+      label: vscode.workspace.asRelativePath(file.uri),
+      lines: file.lines,
+    }));
+}
+
+/**
+ * A `.tex` file changed on disk (saved, or changed by another program):
+ * forget what was read from it, and the roots found by searching the
+ * workspace if its `\documentclass` or include lines changed.
+ *
+ * @param {vscode.Uri} uri
+ * @returns {Promise<void>}
+ */
+async function fileChanged(uri) {
+  const key = uri.toString();
+  parsedFiles.delete(key);
+  const before = signatures.get(key);
+  if (before === undefined) return;
+
+  const parsed = await parseFile(uri);
+  if (!parsed || signatures.get(key) !== before) {
+    searchedRoots.clear();
+  }
+}
+
+/**
+ * A `.tex` file was created or deleted: include paths may resolve
+ * differently and another document may now be the root.
+ *
+ * @param {vscode.Uri} uri
+ */
+function fileCreatedOrDeleted(uri) {
+  parsedFiles.delete(uri.toString());
+  signatures.delete(uri.toString());
+  resolvedPaths.clear();
+  searchedRoots.clear();
+}
+
+/**
+ * Keep the caches of read files, resolved include paths and searched roots
+ * in step with the `.tex` files of the workspace.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function registerProject(context) {
+  const watcher = vscode.workspace.createFileSystemWatcher('**/*.tex');
+
+  context.subscriptions.push(
+    watcher,
+    watcher.onDidChange((uri) =>
+      fileChanged(uri).catch((err) =>
+        console.error('[Lazy LaTeX] Failed to re-read', uri.toString(), err)
+      )
+    ),
+    watcher.onDidCreate(fileCreatedOrDeleted),
+    watcher.onDidDelete(fileCreatedOrDeleted),
+    // Unsaved edits: read the file again next time, from memory
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      if (event.contentChanges.length) {
+        parsedFiles.delete(event.document.uri.toString());
+      }
+    }),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      // The text on disk may differ from the discarded edits
+      parsedFiles.delete(document.uri.toString());
+    })
+  );
+}
+
+module.exports = {
+  findRootDocument,
+  getProjectFiles,
+  registerProject,
+};
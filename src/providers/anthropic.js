@@ -0,0 +1,103 @@
+// anthropic.js
+
+/**
+ * Anthropic Messages API. Expects an endpoint like
+ * https://api.anthropic.com/v1/messages and an Anthropic API key.
+ *
+ * @type {import('./index').LlmProvider}
+ */
+module.exports = {
+  id: 'anthropic',
+  streamFormat: 'sse',
+  apiKeyEnv: ['ANTHROPIC_API_KEY'],
+  defaultHosts: ['api.anthropic.com'],
+
+  buildRequest({ endpoint, apiKey, model, systemPrompt, userPrompt, temperature, maxTokens, stream, jsonSchema }) {
+    const body = {
+      model,
+      // Required by the API; raise it with a profile's maxTokens for long outputs
+      max_tokens: maxTokens || 512,
+      system: systemPrompt,
+      messages: [
+        {
+          role: 'user',
+          content: userPrompt,
+        },
+      ],
+    };
+
+    if (typeof temperature === 'number') {
+      body.temperature = temperature;
+    }
+
+    // Structured output: force a single tool call whose input is the answer
+    if (jsonSchema) {
+      body.tools = [
+        {
+          name: jsonSchema.name,
+          description: jsonSchema.description,
+          input_schema: jsonSchema.schema,
+        },
+      ];
+      body.tool_choice = { type: 'tool', name: jsonSchema.name };
+    }
+
+    if (stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: endpoint,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body,
+    };
+  },
+
+  parseResponse(data) {
+    if (!Array.isArray(data.content) || data.content.length === 0) {
+      return [];
+    }
+
+    // A forced tool call carries the structured answer as its input
+    const toolUse = data.content.find(
+      (block) => block && block.type === 'tool_use' && block.input
+    );
+    if (toolUse) {
+      return [JSON.stringify(toolUse.input)];
+    }
+
+    const first = data.content[0];
+    return first && first.type === 'text' ? [first.text] : [];
+  },
+
+  parseStreamEvent(data) {
+    const event = JSON.parse(data);
+    if (event.type === 'error') {
+      const err = new Error(
+        `LLM stream failed (anthropic): ${(event.error && event.error.message) || 'unknown error'}`
+      );
+      err.provider = 'anthropic';
+      err.details = data;
+      throw err;
+    }
+
+    if (event.type !== 'content_block_delta' || !event.delta) {
+      return '';
+    }
+    if (event.delta.type === 'text_delta' && typeof event.delta.text === 'string') {
+      return event.delta.text;
+    }
+    // Tool input (structured output) arrives as partial JSON
+    if (
+      event.delta.type === 'input_json_delta' &&
+      typeof event.delta.partial_json === 'string'
+    ) {
+      return event.delta.partial_json;
+    }
+    return '';
+  },
+};
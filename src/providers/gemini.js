@@ -0,0 +1,180 @@
+// gemini.js
+const vscode = require('vscode');
+
+const GEMINI_DEFAULT_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+const GEMINI_HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+
+/**
+ * URL of Gemini's native `generateContent` (or `streamGenerateContent`) method
+ * for `model`. The endpoint may be a full method URL, an API base URL (e.g.
+ * `https://generativelanguage.googleapis.com/v1beta`) or Gemini's OpenAI
+ * shim URL; anything else falls back to the public API.
+ *
+ * @param {string} endpoint
+ * @param {string} model
+ * @param {boolean} stream
+ * @returns {string}
+ */
+function resolveGeminiUrl(endpoint, model, stream) {
+  const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+
+  if (endpoint && /:(stream)?generateContent/i.test(endpoint)) {
+    return endpoint.replace(/:(stream)?generateContent.*$/i, `:${method}`);
+  }
+
+  let base = GEMINI_DEFAULT_BASE;
+  if (endpoint && !/api\.openai\.com/i.test(endpoint)) {
+    base = endpoint.replace(/\/openai(\/.*)?$/, '').replace(/\/+$/, '');
+  }
+  if (!/\/models$/.test(base)) {
+    base += '/models';
+  }
+  return `${base}/${encodeURIComponent(model)}:${method}`;
+}
+
+/**
+ * Text of one Gemini candidate (all text parts joined).
+ * @param {any} candidate
+ * @returns {string}
+ */
+function geminiCandidateText(candidate) {
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  return parts
+    .map((part) => (part && typeof part.text === 'string' ? part.text : ''))
+    .join('');
+}
+
+/**
+ * Error for a Gemini response that was blocked (prompt or answer) instead
+ * of answered.
+ *
+ * @param {any} data  GenerateContentResponse
+ * @returns {Error | null}
+ */
+function geminiBlockedError(data) {
+  const promptBlock = data && data.promptFeedback && data.promptFeedback.blockReason;
+  const candidate = data && Array.isArray(data.candidates) ? data.candidates[0] : null;
+  const finishReason = candidate && candidate.finishReason;
+  const reason =
+    promptBlock ||
+    (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT'].includes(finishReason)
+      ? finishReason
+      : null);
+  if (!reason) return null;
+
+  const err = new Error(`LLM response was blocked (gemini): ${reason}`);
+  err.provider = 'gemini';
+  err.blockReason = reason;
+  err.details = JSON.stringify(data);
+  return err;
+}
+
+/**
+ * Google Gemini native API (`models/{model}:generateContent`), with system
+ * instructions, `lazy-latex.llm.gemini.safetyThreshold` and JSON output.
+ * The endpoint is optional (see `resolveGeminiUrl`).
+ *
+ * @type {import('./index').LlmProvider}
+ */
+module.exports = {
+  id: 'gemini',
+  requiresEndpoint: false,
+  supportsChoices: true,
+  streamFormat: 'sse',
+  apiKeyEnv: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+  defaultHosts: ['generativelanguage.googleapis.com'],
+
+  buildRequest({ endpoint, apiKey, model, systemPrompt, userPrompt, temperature, maxTokens, n, stream, jsonSchema }) {
+    const config = vscode.workspace.getConfiguration('lazy-latex');
+    const safetyThreshold = config.get('llm.gemini.safetyThreshold', '');
+
+    const generationConfig = {
+      temperature: typeof temperature === 'number' ? temperature : 0,
+    };
+    if (maxTokens) {
+      generationConfig.maxOutputTokens = maxTokens;
+    }
+    if (n > 1) {
+      generationConfig.candidateCount = n;
+    }
+    if (jsonSchema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = jsonSchema.schema;
+    }
+
+    const body = {
+      systemInstruction: { parts: [{ text: systemPrompt }] },
+      contents: [{ role: 'user', parts: [{ text: userPrompt }] }],
+      generationConfig,
+    };
+
+    if (safetyThreshold) {
+      body.safetySettings = GEMINI_HARM_CATEGORIES.map((category) => ({
+        category,
+        threshold: safetyThreshold,
+      }));
+    }
+
+    return {
+      url: resolveGeminiUrl(endpoint, model, stream),
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey,
+      },
+      body,
+    };
+  },
+
+  parseResponse(data) {
+    const contents = (Array.isArray(data.candidates) ? data.candidates : [])
+      .map(geminiCandidateText)
+      .filter((content) => content);
+
+    if (!contents.length) {
+      const blocked = geminiBlockedError(data);
+      if (blocked) {
+        throw blocked;
+      }
+    }
+    return contents;
+  },
+
+  parseStreamEvent(data, state) {
+    const chunk = JSON.parse(data);
+    state.lastChunk = chunk;
+    return geminiCandidateText(chunk.candidates && chunk.candidates[0]);
+  },
+
+  getEmptyStreamError(state) {
+    return geminiBlockedError(state.lastChunk);
+  },
+
+  mapError(err) {
+    const status = typeof err.status === 'number' ? err.status : null;
+    const details = typeof err.details === 'string' ? err.details : '';
+
+    if (err.blockReason) {
+      return `Lazy LaTeX: Gemini blocked the response (${err.blockReason}). Rephrase the input or adjust "lazy-latex.llm.gemini.safetyThreshold". See the "Lazy LaTeX" output for details.`;
+    }
+    // Gemini reports an invalid key as 400 INVALID_ARGUMENT
+    if (status === 400 && details.includes('API_KEY_INVALID')) {
+      return 'Lazy LaTeX: Gemini rejected the API key. Check it with "Lazy LaTeX: Show API key" or replace it with "Lazy LaTeX: Set API key". See the "Lazy LaTeX" output for details.';
+    }
+    if (status === 403) {
+      return 'Lazy LaTeX: Gemini denied access (PERMISSION_DENIED). The API key may not have the Generative Language API enabled. See the "Lazy LaTeX" output for details.';
+    }
+    if (status === 404) {
+      return 'Lazy LaTeX: Gemini model not found (404). Check the model name (e.g. "gemini-2.5-flash") and the endpoint. See the "Lazy LaTeX" output for details.';
+    }
+    if (status === 429) {
+      return 'Lazy LaTeX: Gemini quota exceeded (RESOURCE_EXHAUSTED). Wait a moment or check your quota. See the "Lazy LaTeX" output for details.';
+    }
+    return undefined;
+  },
+};
@@ -0,0 +1,146 @@
+// http.js
+
+/**
+ * Read a `text/event-stream` response body and call `onEvent` with the
+ * `data:` payload of each server-sent event (multi-line data is joined).
+ *
+ * @param {Response} response
+ * @param {(data: string, eventName: string) => void} onEvent
+ * @returns {Promise<void>}
+ */
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (rawEvent) => {
+    let eventName = '';
+    const dataLines = [];
+    for (const line of rawEvent.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+    if (dataLines.length) {
+      onEvent(dataLines.join('\n'), eventName);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      flushEvent(rawEvent);
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    flushEvent(buffer);
+  }
+}
+
+/**
+ * Read a newline-delimited JSON response body (Ollama's streaming format)
+ * and call `onLine` with each non-empty line, unparsed.
+ *
+ * @param {Response} response
+ * @param {(line: string) => void} onLine
+ * @returns {Promise<void>}
+ */
+async function readJsonLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) {
+        onLine(line);
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    onLine(buffer.trim());
+  }
+}
+
+/**
+ * Mark an error thrown by `fetch` / the stream reader as a user cancellation
+ * when the request was aborted, so callers can skip the error dialog.
+ *
+ * @param {Error} err
+ * @param {AbortSignal} [signal]
+ * @returns {Error}
+ */
+function markIfCancelled(err, signal) {
+  if ((signal && signal.aborted) || (err && err.name === 'AbortError')) {
+    const cancelled = new Error('LLM request was cancelled');
+    cancelled.name = 'AbortError';
+    cancelled.cancelled = true;
+    return cancelled;
+  }
+  return err;
+}
+
+/**
+ * Parse a `Retry-After` header (seconds or an HTTP date).
+ *
+ * @param {string | null} value
+ * @returns {number | undefined} milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the error thrown for a non-2xx provider response.
+ *
+ * @param {Response} response
+ * @param {string} p  provider id
+ * @returns {Promise<Error>}
+ */
+async function buildHttpError(response, p) {
+  const text = await response.text().catch(() => '');
+  console.error(`LLM HTTP error (${p}):`, response.status, text);
+
+  const err = new Error(
+    `LLM request failed (${p}): ${response.status} ${response.statusText}`
+  );
+  // Attach extra info so higher-level code can show better errors
+  err.status = response.status;
+  err.provider = p;          // registered provider id, e.g. 'openai'
+  err.details = text;        // raw response body (truncated later if needed)
+  err.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  return err;
+}
+
+module.exports = {
+  readServerSentEvents,
+  readJsonLines,
+  markIfCancelled,
+  buildHttpError,
+  parseRetryAfter,
+};
@@ -0,0 +1,118 @@
+// index.js
+const vscode = require('vscode');
+
+/**
+ * Registry of LLM providers. A provider describes one wire protocol (how to
+ * build a request, read the answer and explain its errors); the HTTP round
+ * trip, streaming and cancellation are shared and live in `llmProvider.js`.
+ *
+ * The built-in providers are registered below. Other extensions register
+ * theirs through the API returned by `activate` (see README).
+ */
+
+/**
+ * Input of `LlmProvider.buildRequest`.
+ *
+ * @typedef {Object} ProviderRequestOptions
+ * @property {string} endpoint     endpoint of the model profile (may be empty if the provider does not require it)
+ * @property {string} apiKey
+ * @property {string} model
+ * @property {string} systemPrompt
+ * @property {string} userPrompt
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]  limit on generated tokens (from the model profile)
+ * @property {number} n            alternatives wanted (always 1 unless `supportsChoices`)
+ * @property {boolean} stream      true if the answer should be streamed
+ * @property {{ name: string, description: string, schema: Object }} [jsonSchema]
+ *   structured output wanted; providers without a JSON mode may ignore it
+ *   (the prompt also describes the shape)
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} id  value of `lazy-latex.llm.provider` selecting this provider
+ * @property {boolean} [requiresApiKey]    default true; endpoints on localhost never need a key
+ * @property {boolean} [requiresEndpoint]  default true; false if the provider has a default endpoint
+ * @property {string[]} [apiKeyEnv]  environment variables holding a key, used
+ *   when none is stored (e.g. `OPENAI_API_KEY`)
+ * @property {string[]} [defaultHosts]  hosts of the provider's own API (e.g.
+ *   `api.openai.com`); keys shared by every profile of the provider and the
+ *   `apiKeyEnv` variables are only sent to these (see `canShareProviderKey`
+ *   in profiles.js)
+ * @property {boolean} [supportsChoices]   whether `n` > 1 is answered by one request
+ * @property {'sse' | 'ndjson'} [streamFormat]  default 'sse'
+ * @property {(options: ProviderRequestOptions) => { url: string, headers: Object, body: Object }} buildRequest
+ * @property {(data: any) => string[]} parseResponse
+ *   answers in a (non-streamed) JSON response; throw for provider error payloads
+ * @property {(data: string, state: Object) => string} [parseStreamEvent]
+ *   text added by one stream event (SSE `data:` or NDJSON line); throw for
+ *   error events. `state` is a fresh object per request. Without this
+ *   method the provider is never streamed.
+ * @property {(state: Object) => Error | null} [getEmptyStreamError]
+ *   error to throw when a stream ended without any text
+ * @property {(err: Error) => string | undefined} [mapError]
+ *   friendly message for errors with `err.provider === id`; undefined falls
+ *   back to the generic messages
+ */
+
+/** @type {Map<string, LlmProvider>} */
+const providers = new Map();
+
+/**
+ * Register an LLM provider.
+ *
+ * @param {LlmProvider} provider
+ * @returns {vscode.Disposable} unregisters the provider
+ */
+function registerProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id.trim()) {
+    throw new Error('Lazy LaTeX: a provider needs a non-empty string "id".');
+  }
+  for (const method of ['buildRequest', 'parseResponse']) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Lazy LaTeX: provider "${provider.id}" has no ${method}() function.`);
+    }
+  }
+
+  const id = provider.id.trim().toLowerCase();
+  if (providers.has(id)) {
+    throw new Error(`Lazy LaTeX: a provider named "${id}" is already registered.`);
+  }
+
+  providers.set(id, provider);
+  return new vscode.Disposable(() => {
+    if (providers.get(id) === provider) {
+      providers.delete(id);
+    }
+  });
+}
+
+/**
+ * @param {string} [id]  provider setting value (case-insensitive); defaults to 'openai'
+ * @returns {LlmProvider | undefined}
+ */
+function getProvider(id) {
+  return providers.get((id || 'openai').trim().toLowerCase());
+}
+
+/**
+ * @returns {string[]} ids of all registered providers
+ */
+function getProviderIds() {
+  return [...providers.keys()];
+}
+
+for (const builtIn of [
+  require('./openai'),
+  require('./anthropic'),
+  require('./ollama'),
+  require('./gemini'),
+]) {
+  registerProvider(builtIn);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderIds,
+};
@@ -0,0 +1,174 @@
+// ollama.js
+const vscode = require('vscode');
+const { buildHttpError } = require('./http');
+
+const OLLAMA_DEFAULT_ENDPOINT = 'http://localhost:11434/api/chat';
+
+/**
+ * Endpoint for Ollama's native chat API. Accepts `/api/chat` URLs as is and
+ * turns a bare server URL or the OpenAI shim URL (`/v1/...`) into
+ * `<server>/api/chat`. Without a usable endpoint, the local default is used.
+ *
+ * @param {string} endpoint
+ * @returns {string}
+ */
+function resolveOllamaEndpoint(endpoint) {
+  // The OpenAI default is left over from before switching to Ollama
+  if (!endpoint || /api\.openai\.com/i.test(endpoint)) {
+    return OLLAMA_DEFAULT_ENDPOINT;
+  }
+  try {
+    const url = new URL(endpoint);
+    if (url.pathname === '/' || url.pathname === '' || url.pathname.startsWith('/v1')) {
+      return `${url.origin}/api/chat`;
+    }
+  } catch {
+    return OLLAMA_DEFAULT_ENDPOINT;
+  }
+  return endpoint;
+}
+
+/**
+ * Throw Ollama's `{ "error": "..." }` payloads (sent with status 200 inside
+ * streams and some responses).
+ *
+ * @param {any} obj
+ */
+function throwIfError(obj) {
+  if (obj && obj.error) {
+    const err = new Error(`LLM request failed (ollama): ${obj.error}`);
+    err.provider = 'ollama';
+    err.details = JSON.stringify(obj);
+    throw err;
+  }
+}
+
+/**
+ * List the models installed on the Ollama server behind `endpoint`
+ * (`GET /api/tags`). Gives up after `lazy-latex.llm.timeoutSeconds`, like
+ * chat requests, so an unreachable host does not leave the picker waiting.
+ *
+ * @param {string} endpoint  any endpoint accepted by `resolveOllamaEndpoint`
+ * @returns {Promise<Array<{ name: string, size?: number, parameterSize?: string, quantization?: string, modifiedAt?: string }>>}
+ */
+async function listOllamaModels(endpoint) {
+  const tagsUrl = new URL('/api/tags', resolveOllamaEndpoint(endpoint)).toString();
+
+  const config = vscode.workspace.getConfiguration('lazy-latex');
+  const timeoutMs = Math.max(0, config.get('llm.timeoutSeconds', 60)) * 1000;
+  const controller = new AbortController();
+  const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  let data;
+  try {
+    const response = await fetch(tagsUrl, { signal: controller.signal });
+    if (!response.ok) {
+      throw await buildHttpError(response, 'ollama');
+    }
+    data = await response.json();
+  } catch (err) {
+    if (controller.signal.aborted) {
+      const timeout = new Error(
+        `Listing Ollama models timed out: no response from ${tagsUrl} for ${timeoutMs / 1000}s`
+      );
+      timeout.provider = 'ollama';
+      timeout.timedOut = true;
+      throw timeout;
+    }
+    err.provider = err.provider || 'ollama';
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return (Array.isArray(data.models) ? data.models : []).map((m) => ({
+    name: m.name || m.model,
+    size: m.size,
+    parameterSize: m.details && m.details.parameter_size,
+    quantization: m.details && m.details.quantization_level,
+    modifiedAt: m.modified_at,
+  }));
+}
+
+/**
+ * Ollama native chat API (`/api/chat`), with `lazy-latex.llm.ollama.*`
+ * settings for `keep_alive` and model options. Falls back to the local
+ * server when no endpoint is set; servers normally need no key (a reverse
+ * proxy may add one).
+ *
+ * @type {import('./index').LlmProvider}
+ */
+module.exports = {
+  id: 'ollama',
+  requiresApiKey: false,
+  requiresEndpoint: false,
+  streamFormat: 'ndjson',
+  // Only needed behind an authenticating reverse proxy
+  apiKeyEnv: ['OLLAMA_API_KEY'],
+  defaultHosts: ['localhost', '127.0.0.1'],
+
+  buildRequest({ endpoint, apiKey, model, systemPrompt, userPrompt, temperature, maxTokens, stream, jsonSchema }) {
+    const config = vscode.workspace.getConfiguration('lazy-latex');
+    const keepAlive = config.get('llm.ollama.keepAlive', '');
+    const modelOptions = config.get('llm.ollama.options', {}) || {};
+
+    const body = {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      stream,
+      options: {
+        temperature: typeof temperature === 'number' ? temperature : 0,
+        ...(maxTokens ? { num_predict: maxTokens } : {}),
+        ...modelOptions,
+      },
+    };
+
+    if (keepAlive) {
+      // Ollama reads a string as a Go duration ("5m", "1h"); plain seconds
+      // such as "-1" (keep loaded) or "0" (unload) must be sent as numbers
+      body.keep_alive = /^-?\d+$/.test(keepAlive.trim()) ? Number(keepAlive) : keepAlive;
+    }
+
+    if (jsonSchema) {
+      body.format = 'json';
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return { url: resolveOllamaEndpoint(endpoint), headers, body };
+  },
+
+  parseResponse(data) {
+    throwIfError(data);
+    return [data.message && data.message.content];
+  },
+
+  parseStreamEvent(data) {
+    const chunk = JSON.parse(data);
+    throwIfError(chunk);
+    const delta = chunk.message && chunk.message.content;
+    return typeof delta === 'string' ? delta : '';
+  },
+
+  mapError(err) {
+    if (err.status === 404) {
+      return 'Lazy LaTeX: Ollama does not have this model. Pull it with "ollama pull <model>" or pick an installed one with "Lazy LaTeX: Select Ollama model". See the "Lazy LaTeX" output for details.';
+    }
+    // Network errors carry neither a status nor a response body
+    if (typeof err.status !== 'number' && !err.details) {
+      return 'Lazy LaTeX: Could not reach the Ollama server. Make sure Ollama is running ("ollama serve") and check the endpoint setting. See the "Lazy LaTeX" output for details.';
+    }
+    return undefined;
+  },
+
+  listOllamaModels,
+};
@@ -0,0 +1,72 @@
+// openai.js
+
+/**
+ * OpenAI-compatible chat completion APIs (OpenAI, OpenRouter, LM Studio,
+ * Ollama's `/v1` shim, ...):
+ *   POST endpoint
+ *   { model, messages: [{role, content}, ...], temperature }
+ *
+ * @type {import('./index').LlmProvider}
+ */
+module.exports = {
+  id: 'openai',
+  supportsChoices: true,
+  streamFormat: 'sse',
+  apiKeyEnv: ['OPENAI_API_KEY'],
+  defaultHosts: ['api.openai.com'],
+
+  buildRequest({ endpoint, apiKey, model, systemPrompt, userPrompt, temperature, maxTokens, n, stream, jsonSchema }) {
+    const body = {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      temperature: typeof temperature === 'number' ? temperature : 0,
+    };
+
+    if (maxTokens) {
+      body.max_tokens = maxTokens;
+    }
+
+    if (n > 1) {
+      body.n = n;
+    }
+
+    // JSON mode; the prompt itself describes the expected shape
+    if (jsonSchema) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    if (stream) {
+      body.stream = true;
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return { url: endpoint, headers, body };
+  },
+
+  parseResponse(data) {
+    return (Array.isArray(data.choices) ? data.choices : []).map(
+      (choice) => choice && choice.message && choice.message.content
+    );
+  },
+
+  parseStreamEvent(data) {
+    if (data.trim() === '[DONE]') return '';
+    const chunk = JSON.parse(data);
+    const delta =
+      chunk.choices &&
+      chunk.choices[0] &&
+      chunk.choices[0].delta &&
+      chunk.choices[0].delta.content;
+    return typeof delta === 'string' ? delta : '';
+  },
+};
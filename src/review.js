@@ -0,0 +1,322 @@
+// review.js
+const vscode = require('vscode');
+
+/**
+ * A conversion waiting for the user to accept it (lazy-latex.applyMode = "review").
+ *
+ * Line numbers are kept up to date while the document is edited above the
+ * item; `originalText` is compared against the document before applying.
+ *
+ * @typedef {Object} PendingReview
+ * @property {number} id
+ * @property {number} firstLine      first line touched by the conversion
+ * @property {number} lineNumber     line the wrappers close on
+ * @property {string} originalText   lines firstLine..lineNumber before conversion
+ * @property {string | null} commentText
+ * @property {Array<{ startLine: number, start: number, endLine: number, end: number, text: string }>} replacements
+ * @property {(item: PendingReview) => Promise<boolean>} apply
+ * @property {(item: PendingReview) => Promise<void>} regenerate
+ */
+
+// document uri string -> PendingReview[]
+const pendingByDocument = new Map();
+let nextReviewId = 1;
+
+const codeLensEmitter = new vscode.EventEmitter();
+
+let removedDecorationType = null;
+let insertedDecorationType = null;
+
+function getDecorationTypes() {
+  if (!removedDecorationType) {
+    removedDecorationType = vscode.window.createTextEditorDecorationType({
+      backgroundColor: new vscode.ThemeColor('diffEditor.removedTextBackground'),
+      textDecoration: 'line-through',
+    });
+    insertedDecorationType = vscode.window.createTextEditorDecorationType({
+      after: {
+        backgroundColor: new vscode.ThemeColor('diffEditor.insertedTextBackground'),
+        margin: '0 0 0 0.5em',
+      },
+    });
+  }
+  return { removed: removedDecorationType, inserted: insertedDecorationType };
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {PendingReview[]}
+ */
+function getPending(document) {
+  return pendingByDocument.get(document.uri.toString()) || [];
+}
+
+/**
+ * Show each pending candidate as an inline diff: the wrapper is struck
+ * through and the generated text is shown right after it.
+ */
+function renderDecorations() {
+  const types = getDecorationTypes();
+
+  for (const editor of vscode.window.visibleTextEditors) {
+    const removed = [];
+    const inserted = [];
+
+    for (const item of getPending(editor.document)) {
+      for (const r of item.replacements) {
+        const range = new vscode.Range(r.startLine, r.start, r.endLine, r.end);
+        removed.push({ range });
+        if (r.text) {
+          inserted.push({
+            range: new vscode.Range(range.end, range.end),
+            renderOptions: {
+              after: { contentText: r.text.replace(/\r?\n/g, ' ⏎ ') },
+            },
+          });
+        }
+      }
+    }
+
+    editor.setDecorations(types.removed, removed);
+    editor.setDecorations(types.inserted, inserted);
+  }
+}
+
+function refresh() {
+  renderDecorations();
+  codeLensEmitter.fire();
+}
+
+/**
+ * Register a computed conversion for review instead of writing it.
+ * A pending item on the same line is replaced.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {Omit<PendingReview, 'id'>} item
+ */
+function addPendingReview(document, item) {
+  const key = document.uri.toString();
+  const items = getPending(document).filter(
+    (p) => p.lineNumber !== item.lineNumber
+  );
+  items.push({ ...item, id: nextReviewId++ });
+  pendingByDocument.set(key, items);
+  refresh();
+}
+
+/**
+ * @param {vscode.TextDocument} document
+ * @param {number} lineNumber
+ * @returns {boolean}
+ */
+function hasPendingReview(document, lineNumber) {
+  return getPending(document).some((p) => p.lineNumber === lineNumber);
+}
+
+/**
+ * Remove a pending item and return it.
+ * @param {number} id
+ * @returns {{ document: vscode.TextDocument, item: PendingReview } | null}
+ */
+function takePending(id) {
+  for (const [key, items] of pendingByDocument) {
+    const index = items.findIndex((p) => p.id === id);
+    if (index === -1) continue;
+
+    const [item] = items.splice(index, 1);
+    if (!items.length) {
+      pendingByDocument.delete(key);
+    }
+    const document = vscode.workspace.textDocuments.find(
+      (d) => d.uri.toString() === key
+    );
+    refresh();
+    return document ? { document, item } : null;
+  }
+  return null;
+}
+
+/**
+ * Whether the lines covered by a pending item still hold the original text.
+ * @param {vscode.TextDocument} document
+ * @param {PendingReview} item
+ * @returns {boolean}
+ */
+function isUnchanged(document, item) {
+  if (item.lineNumber >= document.lineCount) {
+    return false;
+  }
+  const range = new vscode.Range(
+    item.firstLine,
+    0,
+    item.lineNumber,
+    document.lineAt(item.lineNumber).text.length
+  );
+  return document.getText(range) === item.originalText;
+}
+
+/**
+ * @param {number} id
+ */
+async function acceptReview(id) {
+  const taken = takePending(id);
+  if (!taken) return;
+  const { document, item } = taken;
+
+  if (!isUnchanged(document, item)) {
+    const choice = await vscode.window.showWarningMessage(
+      'Lazy LaTeX: The line changed after this suggestion was generated, so it was not applied.',
+      'Regenerate'
+    );
+    if (choice === 'Regenerate') {
+      await item.regenerate(item);
+    }
+    return;
+  }
+
+  await item.apply(item);
+}
+
+/**
+ * @param {number} id
+ */
+function rejectReview(id) {
+  takePending(id);
+}
+
+/**
+ * @param {number} id
+ */
+async function regenerateReview(id) {
+  const taken = takePending(id);
+  if (!taken) return;
+  await taken.item.regenerate(taken.item);
+}
+
+/**
+ * Keep pending items on the right lines while the document is edited above
+ * them. Edits touching an item leave it in place; it is then rejected by the
+ * `isUnchanged` check on accept.
+ *
+ * @param {vscode.TextDocumentChangeEvent} event
+ */
+function onDocumentChanged(event) {
+  const items = getPending(event.document);
+  if (!items.length) return;
+
+  // The ranges of an event all refer to the document before it. Taken
+  // bottom-up, each change only moves items below it, which no change
+  // still to come (all of them above) looks at.
+  const ordered = [...event.contentChanges].sort((a, b) => b.rangeOffset - a.rangeOffset);
+  let shifted = false;
+  for (const change of ordered) {
+    const addedLines = (change.text.match(/\n/g) || []).length;
+    const removedLines = change.range.end.line - change.range.start.line;
+    const delta = addedLines - removedLines;
+    if (delta === 0) continue;
+
+    for (const item of items) {
+      if (change.range.end.line < item.firstLine) {
+        item.firstLine += delta;
+        item.lineNumber += delta;
+        for (const r of item.replacements) {
+          r.startLine += delta;
+          r.endLine += delta;
+        }
+        shifted = true;
+      }
+    }
+  }
+
+  if (shifted) {
+    refresh();
+  }
+}
+
+const codeLensProvider = {
+  onDidChangeCodeLenses: codeLensEmitter.event,
+
+  /**
+   * @param {vscode.TextDocument} document
+   * @returns {vscode.CodeLens[]}
+   */
+  provideCodeLenses(document) {
+    const lenses = [];
+    for (const item of getPending(document)) {
+      if (item.firstLine >= document.lineCount) continue;
+      const range = new vscode.Range(item.firstLine, 0, item.firstLine, 0);
+      lenses.push(
+        new vscode.CodeLens(range, {
+          title: '$(check) Accept',
+          command: 'lazy-latex.review.accept',
+          arguments: [item.id],
+        }),
+        new vscode.CodeLens(range, {
+          title: '$(close) Reject',
+          command: 'lazy-latex.review.reject',
+          arguments: [item.id],
+        }),
+        new vscode.CodeLens(range, {
+          title: '$(refresh) Regenerate',
+          command: 'lazy-latex.review.regenerate',
+          arguments: [item.id],
+        })
+      );
+    }
+    return lenses;
+  },
+};
+
+/**
+ * Register the review CodeLens, decorations and commands.
+ * @param {vscode.ExtensionContext} context
+ */
+function registerReview(context) {
+  context.subscriptions.push(
+    vscode.languages.registerCodeLensProvider(
+      [{ language: 'latex' }, { language: 'markdown' }],
+      codeLensProvider
+    ),
+
+    vscode.commands.registerCommand('lazy-latex.review.accept', acceptReview),
+    vscode.commands.registerCommand('lazy-latex.review.reject', rejectReview),
+    vscode.commands.registerCommand(
+      'lazy-latex.review.regenerate',
+      regenerateReview
+    ),
+
+    vscode.commands.registerCommand('lazy-latex.review.acceptAll', async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      // Bottom-up, so accepting one item never moves the ones still to come
+      const ids = [...getPending(editor.document)]
+        .sort((a, b) => b.firstLine - a.firstLine)
+        .map((p) => p.id);
+      for (const id of ids) {
+        await acceptReview(id);
+      }
+    }),
+
+    vscode.commands.registerCommand('lazy-latex.review.rejectAll', () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      pendingByDocument.delete(editor.document.uri.toString());
+      refresh();
+    }),
+
+    vscode.workspace.onDidChangeTextDocument(onDocumentChanged),
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      if (pendingByDocument.delete(document.uri.toString())) {
+        refresh();
+      }
+    }),
+    vscode.window.onDidChangeVisibleTextEditors(renderDecorations),
+    codeLensEmitter
+  );
+}
+
+module.exports = {
+  addPendingReview,
+  hasPendingReview,
+  registerReview,
+};
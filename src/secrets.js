@@ -0,0 +1,475 @@
+// secrets.js
+const vscode = require('vscode');
+const { getProvider, getProviderIds } = require('./providers');
+const {
+  DEFAULT_PROFILE,
+  getProfiles,
+  resolveProfile,
+  providerKeyName,
+  profileKeyName,
+} = require('./profiles');
+const { getOutputChannel } = require('./logging');
+
+/**
+ * API keys live in VS Code's SecretStorage (the OS keychain), not in
+ * settings.json, so they are never written to disk in plain text or synced.
+ *
+ * A key is stored either for a provider ("provider:openai"), shared by every
+ * profile of that provider, or for one named profile ("profile:strong").
+ */
+
+const SECRET_PREFIX = 'lazy-latex.apiKey.';
+
+/** @type {vscode.SecretStorage | null} */
+let secretStorage = null;
+// Set while keys are being moved; the settings updates trigger another run
+let migrating = false;
+
+/**
+ * @param {string} name  e.g. 'provider:openai'
+ * @returns {Promise<string | undefined>}
+ */
+async function getSecret(name) {
+  if (!secretStorage) return undefined;
+  return secretStorage.get(SECRET_PREFIX + name);
+}
+
+/**
+ * Find the API key for a resolved profile: SecretStorage first, then a
+ * plain-text key still in settings (e.g. when migrating it failed), then the
+ * provider's environment variables (`OPENAI_API_KEY`, ...) if the profile's
+ * endpoint is on the provider's own host.
+ *
+ * @param {import('./profiles').LlmConfig} llmConfig
+ * @returns {Promise<{ key: string, source: string }>} empty key and source
+ *   if there is none
+ */
+async function getApiKey(llmConfig) {
+  for (const name of llmConfig.apiKeyNames || []) {
+    const key = await getSecret(name);
+    if (key) {
+      return { key, source: `SecretStorage (${name})` };
+    }
+  }
+
+  if (llmConfig.settingsApiKey) {
+    return { key: llmConfig.settingsApiKey, source: 'settings' };
+  }
+
+  // Environment variables hold the provider's own key; never send it to
+  // another host (see canShareProviderKey in profiles.js)
+  const provider = getProvider(llmConfig.provider);
+  const envVariables = llmConfig.sharesProviderKey ? (provider && provider.apiKeyEnv) || [] : [];
+  for (const variable of envVariables) {
+    if (process.env[variable]) {
+      return { key: process.env[variable], source: `environment variable ${variable}` };
+    }
+  }
+
+  return { key: '', source: '' };
+}
+
+/**
+ * Key shortened for display, e.g. "sk-p…x7Qa".
+ * @param {string} key
+ * @returns {string}
+ */
+function maskKey(key) {
+  if (key.length <= 8) {
+    return '•'.repeat(key.length);
+  }
+  return `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+/**
+ * Settings scopes a value is set in, with the target to write each one.
+ *
+ * @param {vscode.WorkspaceConfiguration} config
+ * @param {string} key
+ * @returns {Array<{ target: vscode.ConfigurationTarget, value: any }>}
+ */
+function definedScopes(config, key) {
+  const inspected = config.inspect(key) || {};
+  return [
+    { target: vscode.ConfigurationTarget.Global, value: inspected.globalValue },
+    { target: vscode.ConfigurationTarget.Workspace, value: inspected.workspaceValue },
+    { target: vscode.ConfigurationTarget.WorkspaceFolder, value: inspected.workspaceFolderValue },
+  ].filter((scope) => scope.value !== undefined);
+}
+
+/**
+ * Move plain-text keys from settings (`lazy-latex.llm.apiKey` and `apiKey`
+ * in `lazy-latex.profiles`) into SecretStorage and remove them from
+ * settings. Runs on every activation, so keys added to settings later, or
+ * in another workspace, are moved too. Keys from workspace or folder
+ * settings are only moved once the user agrees (see `confirmWorkspaceKeys`).
+ *
+ * @returns {Promise<void>}
+ */
+async function migrateSettingsKeys() {
+  if (migrating) return;
+  migrating = true;
+  let result;
+  try {
+    result = await moveSettingsKeys(vscode.workspace.getConfiguration('lazy-latex'), secretStorage);
+  } finally {
+    migrating = false;
+  }
+  reportKeyMoves(result.moved, result.kept);
+  if (result.pending.length) {
+    await confirmWorkspaceKeys(result.pending);
+  }
+}
+
+/**
+ * Value of `key` that applies in the scope `target`: its own value, else the
+ * value of the scopes it overrides, else the default.
+ *
+ * @param {vscode.WorkspaceConfiguration} config
+ * @param {string} key
+ * @param {vscode.ConfigurationTarget} target
+ * @returns {any}
+ */
+function valueInScope(config, key, target) {
+  const inspected = config.inspect(key) || {};
+  const chain = [inspected.globalValue, inspected.defaultValue];
+  if (target !== vscode.ConfigurationTarget.Global) {
+    chain.unshift(inspected.workspaceValue);
+  }
+  if (target === vscode.ConfigurationTarget.WorkspaceFolder) {
+    chain.unshift(inspected.workspaceFolderValue);
+  }
+  return chain.find((value) => value !== undefined);
+}
+
+/**
+ * A key found in settings, with the SecretStorage slot it belongs in.
+ *
+ * @typedef {Object} SettingsKey
+ * @property {string} setting   e.g. 'lazy-latex.profiles.strong.apiKey'
+ * @property {vscode.ConfigurationTarget} target
+ * @property {string} slot      e.g. 'profile:strong'
+ * @property {string} value
+ * @property {() => Promise<void>} remove  delete it from its settings scope
+ */
+
+/**
+ * Every plain-text key in settings, user settings first.
+ *
+ * @param {vscode.WorkspaceConfiguration} config
+ * @returns {SettingsKey[]}
+ */
+function findSettingsKeys(config) {
+  const keys = [];
+
+  for (const scope of definedScopes(config, 'llm.apiKey')) {
+    if (!scope.value) continue;
+    keys.push({
+      setting: 'lazy-latex.llm.apiKey',
+      target: scope.target,
+      slot: providerKeyName(valueInScope(config, 'llm.provider', scope.target)),
+      value: scope.value,
+      remove: () => config.update('llm.apiKey', undefined, scope.target),
+    });
+  }
+
+  for (const scope of definedScopes(config, 'profiles')) {
+    for (const [name, profile] of Object.entries(scope.value || {})) {
+      if (!profile || !profile.apiKey || name === DEFAULT_PROFILE) continue;
+      keys.push({
+        setting: `lazy-latex.profiles.${name}.apiKey`,
+        target: scope.target,
+        slot: profileKeyName(name),
+        value: profile.apiKey,
+        // Read again: another key of the same scope may have been removed
+        remove: async () => {
+          const profiles = { ...(config.inspect('profiles') || {})[scopeValueName(scope.target)] };
+          if (!profiles[name]) return;
+          profiles[name] = { ...profiles[name] };
+          delete profiles[name].apiKey;
+          await config.update('profiles', profiles, scope.target);
+        },
+      });
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Name of the `inspect` result field holding the value of `target`.
+ *
+ * @param {vscode.ConfigurationTarget} target
+ * @returns {'globalValue' | 'workspaceValue' | 'workspaceFolderValue'}
+ */
+function scopeValueName(target) {
+  if (target === vscode.ConfigurationTarget.Global) return 'globalValue';
+  if (target === vscode.ConfigurationTarget.Workspace) return 'workspaceValue';
+  return 'workspaceFolderValue';
+}
+
+/**
+ * Implementation of `migrateSettingsKeys`.
+ *
+ * SecretStorage is shared by all workspaces and has one slot per provider /
+ * profile, so a key is only moved into an empty slot, and only from user
+ * settings: a key from a workspace's `.vscode/settings.json` would otherwise
+ * apply to every workspace. A key equal to the stored one is just removed
+ * from settings. Keys that differ from the stored one stay in settings and
+ * are listed in `kept`; workspace and folder keys for an empty slot are
+ * returned in `pending` for the user to confirm.
+ *
+ * @param {vscode.WorkspaceConfiguration} config
+ * @param {vscode.SecretStorage} storage
+ * @returns {Promise<{ moved: string[], kept: string[], pending: SettingsKey[] }>}
+ */
+async function moveSettingsKeys(config, storage) {
+  const moved = [];
+  const kept = [];
+  const pending = [];
+
+  for (const key of findSettingsKeys(config)) {
+    const where = `${key.setting} (${scopeLabel(key.target)})`;
+    const stored = await storage.get(SECRET_PREFIX + key.slot);
+    if (stored === key.value) {
+      await key.remove();
+      moved.push(`${where}: already stored in ${key.slot}, removed from settings`);
+    } else if (stored) {
+      kept.push(`${where}: ${key.slot} already holds another key`);
+    } else if (key.target !== vscode.ConfigurationTarget.Global) {
+      pending.push(key);
+    } else {
+      await storage.store(SECRET_PREFIX + key.slot, key.value);
+      await key.remove();
+      moved.push(`${where} -> ${key.slot}`);
+    }
+  }
+
+  return { moved, kept, pending };
+}
+
+// Workspace keys the user was asked about; not asked again in this session
+const askedKeys = new Set();
+
+/**
+ * Ask before moving keys from workspace or folder settings into
+ * SecretStorage, where they would apply to every workspace. Keys not moved
+ * stay in settings and are still used here (see `getApiKey`).
+ *
+ * @param {SettingsKey[]} keys
+ * @returns {Promise<void>}
+ */
+async function confirmWorkspaceKeys(keys) {
+  const moved = [];
+  const kept = [];
+  for (const key of keys) {
+    const id = `${key.setting}\0${key.target}\0${key.value}`;
+    if (askedKeys.has(id)) continue;
+    askedKeys.add(id);
+
+    const where = `${key.setting} (${scopeLabel(key.target)})`;
+    const choice = await vscode.window.showWarningMessage(
+      `Lazy LaTeX: ${where} contains an API key. Move it to secure storage as the key for ${key.slot}? ` +
+        'It will then be used in every workspace.',
+      'Move',
+      'Leave in settings'
+    );
+    if (choice !== 'Move') {
+      kept.push(`${where}: not moved to ${key.slot}, keys from workspace settings are only moved when you confirm`);
+      continue;
+    }
+    // Something may have been stored while the message was shown
+    if (await getSecret(key.slot)) {
+      kept.push(`${where}: ${key.slot} already holds another key`);
+      continue;
+    }
+    await secretStorage.store(SECRET_PREFIX + key.slot, key.value);
+    await key.remove();
+    moved.push(`${where} -> ${key.slot}`);
+  }
+  reportKeyMoves(moved, kept);
+}
+
+/**
+ * Report moved keys and keys left in settings in the output channel.
+ *
+ * @param {string[]} moved
+ * @param {string[]} kept
+ */
+function reportKeyMoves(moved, kept) {
+  const channel = getOutputChannel();
+  if (moved.length) {
+    channel.appendLine(`${new Date().toISOString()} Moved API keys from settings to SecretStorage:`);
+    moved.forEach((line) => channel.appendLine(`  ${line}`));
+    channel.appendLine('');
+    vscode.window.showInformationMessage(
+      'Lazy LaTeX: API keys were moved from settings to secure storage. Use "Lazy LaTeX: Set API key" to change them.'
+    );
+  }
+  if (kept.length) {
+    console.warn('[Lazy LaTeX] API keys left in settings:', kept);
+    channel.appendLine(`${new Date().toISOString()} API keys left in settings:`);
+    kept.forEach((line) => channel.appendLine(`  ${line}`));
+    channel.appendLine('');
+  }
+}
+
+/**
+ * @param {vscode.ConfigurationTarget} target
+ * @returns {string}
+ */
+function scopeLabel(target) {
+  if (target === vscode.ConfigurationTarget.Global) return 'user settings';
+  if (target === vscode.ConfigurationTarget.Workspace) return 'workspace settings';
+  return 'folder settings';
+}
+
+/**
+ * QuickPick of the places a key can be stored: every provider and every
+ * named profile.
+ *
+ * @param {string} title
+ * @returns {Promise<{ name: string, label: string } | undefined>}
+ */
+async function pickKeyName(title) {
+  const items = [];
+
+  const defaultProvider = resolveProfile(DEFAULT_PROFILE).provider.toLowerCase();
+  for (const id of getProviderIds()) {
+    const name = providerKeyName(id);
+    items.push({
+      label: id,
+      description: [
+        'all profiles of this provider',
+        id === defaultProvider ? 'used by the default settings' : '',
+        (await getSecret(name)) ? 'key stored' : '',
+      ]
+        .filter(Boolean)
+        .join(' · '),
+      name,
+    });
+  }
+
+  const profileNames = Object.keys(getProfiles());
+  if (profileNames.length) {
+    items.push({ label: 'Profiles', kind: vscode.QuickPickItemKind.Separator });
+  }
+  for (const profile of profileNames) {
+    const name = profileKeyName(profile);
+    items.push({
+      label: profile,
+      description: [
+        `profile (${resolveProfile(profile).provider})`,
+        (await getSecret(name)) ? 'key stored' : '',
+      ]
+        .filter(Boolean)
+        .join(' · '),
+      name,
+    });
+  }
+
+  return vscode.window.showQuickPick(items, { title });
+}
+
+/**
+ * Command: store an API key for a provider or profile.
+ */
+async function setApiKey() {
+  const picked = await pickKeyName('Lazy LaTeX: Set API key for…');
+  if (!picked) return;
+
+  const key = await vscode.window.showInputBox({
+    title: `Lazy LaTeX: API key for ${picked.label}`,
+    prompt: 'Stored in VS Code secure storage, not in settings.',
+    password: true,
+    ignoreFocusOut: true,
+  });
+  if (!key || !key.trim()) return;
+
+  await secretStorage.store(SECRET_PREFIX + picked.name, key.trim());
+  vscode.window.showInformationMessage(
+    `Lazy LaTeX: API key for ${picked.label} saved.`
+  );
+}
+
+/**
+ * Command: remove a stored API key.
+ */
+async function clearApiKey() {
+  const picked = await pickKeyName('Lazy LaTeX: Clear API key of…');
+  if (!picked) return;
+
+  if (!(await getSecret(picked.name))) {
+    vscode.window.showInformationMessage(
+      `Lazy LaTeX: No API key is stored for ${picked.label}.`
+    );
+    return;
+  }
+
+  await secretStorage.delete(SECRET_PREFIX + picked.name);
+  vscode.window.showInformationMessage(
+    `Lazy LaTeX: API key for ${picked.label} removed.`
+  );
+}
+
+/**
+ * Command: show (masked) which key each profile would use and where it
+ * comes from.
+ */
+async function showApiKey() {
+  const names = [DEFAULT_PROFILE, ...Object.keys(getProfiles())];
+  const items = [];
+  for (const name of names) {
+    const llmConfig = resolveProfile(name);
+    const { key, source } = await getApiKey(llmConfig);
+    items.push({
+      label: name,
+      description: key ? maskKey(key) : 'no key',
+      detail: key ? `${llmConfig.provider} · from ${source}` : `${llmConfig.provider}`,
+    });
+  }
+
+  await vscode.window.showQuickPick(items, {
+    title: 'Lazy LaTeX: API keys used by each profile',
+  });
+}
+
+/**
+ * Set up SecretStorage, migrate keys left in settings and register the
+ * API key commands.
+ *
+ * @param {vscode.ExtensionContext} context
+ * @returns {Promise<void>}
+ */
+async function initSecrets(context) {
+  secretStorage = context.secrets;
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('lazy-latex.setApiKey', setApiKey),
+    vscode.commands.registerCommand('lazy-latex.clearApiKey', clearApiKey),
+    vscode.commands.registerCommand('lazy-latex.showApiKey', showApiKey),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (
+        event.affectsConfiguration('lazy-latex.llm.apiKey') ||
+        event.affectsConfiguration('lazy-latex.profiles')
+      ) {
+        migrateSettingsKeys().catch((err) =>
+          console.error('[Lazy LaTeX] Failed to move API keys to SecretStorage:', err)
+        );
+      }
+    })
+  );
+
+  try {
+    await migrateSettingsKeys();
+  } catch (err) {
+    // Keys stay in settings and are still used (see getApiKey)
+    console.error('[Lazy LaTeX] Failed to move API keys to SecretStorage:', err);
+  }
+}
+
+module.exports = {
+  initSecrets,
+  getApiKey,
+  moveSettingsKeys,
+};
@@ -0,0 +1,107 @@
+// streamingPreview.js
+const vscode = require('vscode');
+
+const MAX_PREVIEW_LENGTH = 120;
+
+let decorationType = null;
+// editor -> Map<key, vscode.DecorationOptions>, shared by all live previews
+const activePreviews = new Map();
+let nextPreviewId = 0;
+
+/**
+ * Lazily create the ghost-text decoration used for streamed output.
+ * @returns {vscode.TextEditorDecorationType}
+ */
+function getDecorationType() {
+  if (!decorationType) {
+    decorationType = vscode.window.createTextEditorDecorationType({
+      after: {
+        color: new vscode.ThemeColor('editorGhostText.foreground'),
+        fontStyle: 'italic',
+        margin: '0 0 0 0.5em',
+      },
+    });
+  }
+  return decorationType;
+}
+
+/**
+ * Decorations can only show a single line, so newlines are drawn as ⏎ and
+ * long output is truncated from the front (the newest text stays visible).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function formatPreviewText(text) {
+  const flat = text.trim().replace(/\r?\n/g, ' ⏎ ');
+  if (flat.length <= MAX_PREVIEW_LENGTH) {
+    return flat;
+  }
+  return '…' + flat.slice(flat.length - MAX_PREVIEW_LENGTH);
+}
+
+/**
+ * Redraw all live previews of an editor.
+ * @param {vscode.TextEditor} editor
+ */
+function render(editor) {
+  const previews = activePreviews.get(editor);
+  const options = previews ? [...previews.values()] : [];
+  editor.setDecorations(getDecorationType(), options);
+  if (previews && previews.size === 0) {
+    activePreviews.delete(editor);
+  }
+}
+
+/**
+ * Create a live preview for one conversion in `editor`. The streamed text is
+ * shown as ghost text after the given positions; nothing is written to the
+ * document. Several previews (e.g. one per line being converted) can be
+ * active in the same editor at once.
+ *
+ * @param {vscode.TextEditor} editor
+ * @returns {{
+ *   update: (key: string, position: vscode.Position, text: string) => void,
+ *   dispose: () => void
+ * }}
+ */
+function createStreamingPreview(editor) {
+  const id = nextPreviewId++;
+  const ownKeys = new Set();
+
+  return {
+    update(key, position, text) {
+      if (!text || !text.trim()) return;
+
+      let previews = activePreviews.get(editor);
+      if (!previews) {
+        previews = new Map();
+        activePreviews.set(editor, previews);
+      }
+
+      const fullKey = `${id}:${key}`;
+      ownKeys.add(fullKey);
+      previews.set(fullKey, {
+        range: new vscode.Range(position, position),
+        renderOptions: {
+          after: { contentText: `⇒ ${formatPreviewText(text)}` },
+        },
+      });
+      render(editor);
+    },
+
+    dispose() {
+      const previews = activePreviews.get(editor);
+      if (!previews || ownKeys.size === 0) return;
+      for (const key of ownKeys) {
+        previews.delete(key);
+      }
+      ownKeys.clear();
+      render(editor);
+    },
+  };
+}
+
+module.exports = {
+  createStreamingPreview,
+};
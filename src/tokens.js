@@ -0,0 +1,30 @@
+// tokens.js
+
+/**
+ * Approximate number of tokens in `text`, for budgeting prompts without the
+ * model's own tokenizer. Runs of letters count one token per 4 characters
+ * and runs of digits one per 3. Every other visible character (backslashes,
+ * braces, operators) and every line break counts as one. Other whitespace
+ * is free. This errs on the high side for prose and is close for LaTeX.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const match of (text || '').matchAll(/[A-Za-z]+|[0-9]+|\n|[^\sA-Za-z0-9]/g)) {
+    const piece = match[0];
+    if (/^[A-Za-z]/.test(piece)) {
+      tokens += Math.ceil(piece.length / 4);
+    } else if (/^[0-9]/.test(piece)) {
+      tokens += Math.ceil(piece.length / 3);
+    } else {
+      tokens += 1;
+    }
+  }
+  return tokens;
+}
+
+module.exports = {
+  estimateTokens,
+};
@@ -1,26 +1,21 @@
 // wrappers.js
 
 /**
- * Find all ;;...;; (inline), ;;;...;;; (display), and ;;;;...;;;; (anything)
- * wrappers in a single line.
- *
- * Returns an array of:
- *   { type: 'inline' | 'display' | 'anything', inner: string, start: number, end: number }
- * where start/end are character indices in the line (end = index after closing delimiters).
+ * Whether a whole line should be ignored when looking for wrappers.
  *
  * - For LaTeX, lines whose trimmed text starts with '%' are ignored completely.
  * - For Markdown, pure HTML comment lines <!-- ... --> are ignored completely.
  *
  * @param {string} lineText
- * @param {string} languageId  e.g. 'latex' or 'markdown'
- * @returns {Array<{ type: string, inner: string, start: number, end: number }>}
+ * @param {string} languageId
+ * @returns {boolean}
  */
-function findWrappersInLine(lineText, languageId) {
+function isIgnoredLine(lineText, languageId) {
   const trimmed = lineText.trim();
 
   // LaTeX comment line
   if (languageId === 'latex' && trimmed.startsWith('%')) {
-    return [];
+    return true;
   }
 
   // Markdown / HTML-style pure comment line: <!-- ... -->
@@ -29,12 +24,89 @@ function findWrappersInLine(lineText, languageId) {
     trimmed.startsWith('<!--') &&
     trimmed.endsWith('-->')
   ) {
-    return [];
+    return true;
   }
 
-  const results = [];
+  return false;
+}
+
+// LaTeX environments whose content is printed as is
+const VERBATIM_ENVIRONMENTS = /\\begin\{(verbatim\*?|Verbatim\*?|BVerbatim|lstlisting|minted|comment)\}/;
+
+/**
+ * Lines whose text is code rather than prose: Markdown fenced code blocks
+ * and LaTeX verbatim-like environments, delimiter lines included. A `;;` in
+ * there (e.g. `for (;;)`) is not a wrapper.
+ *
+ * @param {string[]} lines
+ * @param {string} languageId
+ * @returns {Set<number>} indexes into `lines`
+ */
+function findCodeLines(lines, languageId) {
+  const code = new Set();
+  let closer = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i];
+
+    if (closer) {
+      code.add(i);
+      if (closer.test(text)) closer = null;
+      continue;
+    }
+
+    if (languageId === 'markdown') {
+      // ``` or ~~~, closed by a fence of the same character at least as long
+      const fence = text.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (fence) {
+        code.add(i);
+        closer = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      }
+    } else if (languageId === 'latex' && !isIgnoredLine(text, languageId)) {
+      const begin = text.match(VERBATIM_ENVIRONMENTS);
+      if (begin) {
+        code.add(i);
+        const name = begin[1].replace('*', '\\*');
+        const end = new RegExp(`\\\\end\\{${name}\\}`);
+        // One-line environment: nothing more to skip
+        if (!end.test(text.slice(begin.index + begin[0].length))) closer = end;
+      }
+    }
+  }
+
+  return code;
+}
+
+/**
+ * Map a delimiter run length to a wrapper type.
+ * @param {number} count
+ * @returns {'inline' | 'display' | 'anything' | null}
+ */
+function wrapperTypeForCount(count) {
+  if (count === 2) return 'inline';
+  if (count === 3) return 'display';
+  if (count === 4) return 'anything';
+  return null;
+}
+
+/**
+ * Scan a single line (starting at `from`) for complete wrappers.
+ *
+ * Also reports opening runs that have no closer on this line, so the
+ * document-level scanner can try to close them on a following line.
+ *
+ * @param {string} lineText
+ * @param {number} from
+ * @returns {{
+ *   wrappers: Array<{ type: string, inner: string, start: number, end: number }>,
+ *   unmatched: Array<{ count: number, start: number, contentStart: number }>
+ * }}
+ */
+function scanLine(lineText, from) {
+  const wrappers = [];
+  const unmatched = [];
   const n = lineText.length;
-  let i = 0;
+  let i = from;
 
   while (i < n) {
     if (lineText[i] === ';') {
@@ -44,54 +116,25 @@ function findWrappersInLine(lineText, languageId) {
         j++;
       }
       const count = j - i;
+      const type = wrapperTypeForCount(count);
 
-      if (count === 2 || count === 3 || count === 4) {
-        let type;
-        if (count === 2) {
-          type = 'inline';
-        } else if (count === 3) {
-          type = 'display';
-        } else {
-          type = 'anything';
-        }
-
+      if (type) {
         const contentStart = j;
 
         // Look for matching closing delimiter of the same length
-        let k = contentStart;
-        let found = false;
-
-        while (k < n) {
-          if (lineText[k] === ';') {
-            let m = k;
-            while (m < n && lineText[m] === ';') {
-              m++;
-            }
-            const endCount = m - k;
-
-            if (endCount === count) {
-              const contentEnd = k;
-              const inner = lineText.slice(contentStart, contentEnd);
-              results.push({
-                type,
-                inner,
-                start: i,
-                end: m, // index AFTER the closing delimiters
-              });
-
-              i = m; // continue parsing after this wrapper
-              found = true;
-              break;
-            } else {
-              k = m; // skip this run of semicolons
-            }
-          } else {
-            k++;
-          }
-        }
+        const closer = findRun(lineText, count, contentStart);
 
-        if (!found) {
+        if (closer) {
+          wrappers.push({
+            type,
+            inner: lineText.slice(contentStart, closer.start),
+            start: i,
+            end: closer.end, // index AFTER the closing delimiters
+          });
+          i = closer.end; // continue parsing after this wrapper
+        } else {
           // No closing delimiter found; just move on to avoid infinite loop
+          unmatched.push({ count, start: i, contentStart });
           i = j;
         }
       } else {
@@ -103,9 +146,227 @@ function findWrappersInLine(lineText, languageId) {
     }
   }
 
-  return results;
+  return { wrappers, unmatched };
+}
+
+/**
+ * Find the first run of exactly `count` semicolons in `text` at or after `from`.
+ *
+ * @param {string} text
+ * @param {number} count
+ * @param {number} from
+ * @returns {{ start: number, end: number } | null}
+ */
+function findRun(text, count, from) {
+  const n = text.length;
+  let k = from;
+
+  while (k < n) {
+    if (text[k] === ';') {
+      let m = k;
+      while (m < n && text[m] === ';') {
+        m++;
+      }
+      if (m - k === count) {
+        return { start: k, end: m };
+      }
+      k = m; // skip this run of semicolons
+    } else {
+      k++;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find all ;;...;; (inline), ;;;...;;; (display), and ;;;;...;;;; (anything)
+ * wrappers in a single line.
+ *
+ * Returns an array of:
+ *   { type: 'inline' | 'display' | 'anything', inner: string, start: number, end: number }
+ * where start/end are character indices in the line (end = index after closing delimiters).
+ *
+ * - For LaTeX, lines whose trimmed text starts with '%' are ignored completely.
+ * - For Markdown, pure HTML comment lines <!-- ... --> are ignored completely.
+ *
+ * @param {string} lineText
+ * @param {string} languageId  e.g. 'latex' or 'markdown'
+ * @returns {Array<{ type: string, inner: string, start: number, end: number }>}
+ */
+function findWrappersInLine(lineText, languageId) {
+  if (isIgnoredLine(lineText, languageId)) {
+    return [];
+  }
+  return scanLine(lineText, 0).wrappers;
+}
+
+/**
+ * Find all wrappers in a block of lines, including ;;;...;;; and ;;;;...;;;;
+ * wrappers whose delimiters sit on different lines, e.g.
+ *
+ *   ;;;
+ *   a + b = c
+ *     = d
+ *   ;;;
+ *
+ * A multi-line wrapper is opened by the last unclosed ;;; or ;;;; run on a
+ * line (with no complete wrapper after it) and closed by the first run of the
+ * same length on a following line. It cannot span a blank line or a comment
+ * line, so a stray delimiter never swallows more than its own paragraph.
+ * Inline ;;...;; wrappers are always single-line.
+ *
+ * Returns an array of:
+ *   { type, inner, startLine, start, endLine, end }
+ * where startLine/endLine are indices into `lines` (offset by `lineOffset`),
+ * start is the column of the opening delimiter on startLine and end is the
+ * column after the closing delimiter on endLine.
+ *
+ * @param {string[]} lines
+ * @param {string} languageId
+ * @param {number} [lineOffset]  added to every reported line index
+ * @returns {Array<{ type: string, inner: string, startLine: number, start: number, endLine: number, end: number }>}
+ */
+function findWrappersInLines(lines, languageId, lineOffset = 0) {
+  return scanWrappersInLines(lines, languageId, lineOffset).wrappers;
+}
+
+/**
+ * Like `findWrappersInLines`, but also reports delimiter runs (;; / ;;; /
+ * ;;;;) that no wrapper consumed, i.e. unterminated wrappers.
+ *
+ * Unmatched runs are reported as { count, line, start, end } with end being
+ * the column after the run.
+ *
+ * @param {string[]} lines
+ * @param {string} languageId
+ * @param {number} [lineOffset]  added to every reported line index
+ * @returns {{
+ *   wrappers: Array<{ type: string, inner: string, startLine: number, start: number, endLine: number, end: number }>,
+ *   unmatched: Array<{ count: number, line: number, start: number, end: number }>
+ * }}
+ */
+function scanWrappersInLines(lines, languageId, lineOffset = 0) {
+  const results = [];
+  const unmatchedRuns = [];
+  let line = 0;
+  let col = 0;
+
+  while (line < lines.length) {
+    const lineText = lines[line];
+
+    if (col === 0 && isIgnoredLine(lineText, languageId)) {
+      line++;
+      continue;
+    }
+
+    const { wrappers, unmatched } = scanLine(lineText, col);
+    for (const w of wrappers) {
+      results.push({
+        ...w,
+        startLine: line + lineOffset,
+        endLine: line + lineOffset,
+      });
+    }
+
+    // Only an opener with nothing converted after it can start a multi-line wrapper
+    const lastWrapperStart = wrappers.length
+      ? wrappers[wrappers.length - 1].start
+      : -1;
+    const openers = unmatched.filter(
+      (u) => u.count >= 3 && u.start > lastWrapperStart
+    );
+    const opener = openers.length ? openers[openers.length - 1] : null;
+    const scannedLine = line;
+
+    let closed = false;
+    if (opener) {
+      const innerLines = [lineText.slice(opener.contentStart)];
+
+      for (let next = line + 1; next < lines.length; next++) {
+        const nextText = lines[next];
+        if (nextText.trim() === '' || isIgnoredLine(nextText, languageId)) {
+          break;
+        }
+
+        const closer = findRun(nextText, opener.count, 0);
+        if (closer) {
+          innerLines.push(nextText.slice(0, closer.start));
+          results.push({
+            type: wrapperTypeForCount(opener.count),
+            inner: innerLines.join('\n'),
+            startLine: line + lineOffset,
+            start: opener.start,
+            endLine: next + lineOffset,
+            end: closer.end,
+          });
+
+          // Continue scanning the closing line after the wrapper
+          line = next;
+          col = closer.end;
+          closed = true;
+          break;
+        }
+
+        innerLines.push(nextText);
+      }
+    }
+
+    for (const u of unmatched) {
+      if (closed && u === opener) continue;
+      unmatchedRuns.push({
+        count: u.count,
+        line: scannedLine + lineOffset,
+        start: u.start,
+        end: u.contentStart,
+      });
+    }
+
+    if (!closed) {
+      line++;
+      col = 0;
+    }
+  }
+
+  return { wrappers: results, unmatched: unmatchedRuns };
+}
+
+/**
+ * Find all wrappers in the paragraph (block of non-blank lines) that contains
+ * `lineNumber`. Since multi-line wrappers never cross a blank line, this sees
+ * exactly the wrappers a whole-document scan would see around that line.
+ *
+ * @param {{ lineCount: number, lineAt: (line: number) => { text: string } }} document
+ * @param {number} lineNumber
+ * @param {string} languageId
+ * @returns {Array<{ type: string, inner: string, startLine: number, start: number, endLine: number, end: number }>}
+ */
+function findWrappersAroundLine(document, lineNumber, languageId) {
+  let first = lineNumber;
+  while (first > 0 && document.lineAt(first - 1).text.trim() !== '') {
+    first--;
+  }
+
+  let last = lineNumber;
+  while (
+    last < document.lineCount - 1 &&
+    document.lineAt(last + 1).text.trim() !== ''
+  ) {
+    last++;
+  }
+
+  const lines = [];
+  for (let ln = first; ln <= last; ln++) {
+    lines.push(document.lineAt(ln).text);
+  }
+
+  return findWrappersInLines(lines, languageId, first);
 }
 
 module.exports = {
+  findCodeLines,
   findWrappersInLine,
+  findWrappersInLines,
+  scanWrappersInLines,
+  findWrappersAroundLine,
 };
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const { trackEdits } = require('../src/anchors');
+
+/**
+ * Apply several edits to `document` in one workspace edit.
+ * @param {vscode.TextDocument} document
+ * @param {Array<[vscode.Range, string]>} replacements
+ */
+async function edit(document, replacements) {
+	const workspaceEdit = new vscode.WorkspaceEdit();
+	for (const [range, text] of replacements) {
+		workspaceEdit.replace(document.uri, range, text);
+	}
+	assert.ok(await vscode.workspace.applyEdit(workspaceEdit));
+}
+
+suite('trackEdits', () => {
+	let document;
+	let tracker;
+	// ;;x;; on line 1
+	const wrapper = new vscode.Range(1, 4, 1, 9);
+
+	setup(async () => {
+		document = await vscode.workspace.openTextDocument({
+			content: 'intro\nlet ;;x;; be.\na\nb\nc\nd\ne\nf\ng\n',
+			language: 'latex',
+		});
+		tracker = trackEdits(document);
+	});
+
+	teardown(() => {
+		tracker.dispose();
+	});
+
+	test('follows a range through edits above and after it', async () => {
+		await edit(document, [[new vscode.Range(0, 0, 0, 0), 'new line\n']]);
+		await edit(document, [[new vscode.Range(2, 10, 2, 10), 'now ']]);
+
+		const range = tracker.locate(wrapper);
+		assert.deepStrictEqual([range.start.line, range.start.character], [2, 4]);
+		assert.strictEqual(document.getText(range), ';;x;;');
+	});
+
+	test('maps several changes of one edit against the text before it', async () => {
+		await edit(document, [
+			[new vscode.Range(0, 0, 0, 5), 'a much longer intro'],
+			[new vscode.Range(1, 0, 1, 3), 'set'],
+			[new vscode.Range(1, 10, 1, 12), 'is'],
+		]);
+
+		const range = tracker.locate(wrapper);
+		assert.strictEqual(document.getText(range), ';;x;;');
+		assert.strictEqual(document.lineAt(1).text, 'set ;;x;; is.');
+	});
+
+	test('puts text inserted right at a position before it', async () => {
+		await edit(document, [[new vscode.Range(1, 4, 1, 4), 'so ']]);
+
+		const position = tracker.mapPosition(wrapper.start);
+		assert.deepStrictEqual([position.line, position.character], [1, 7]);
+	});
+
+	test('returns null for edited text unless asked to search', async () => {
+		await edit(document, [[new vscode.Range(1, 6, 1, 7), 'y']]);
+
+		assert.strictEqual(tracker.locate(wrapper), null);
+		assert.strictEqual(tracker.locate(wrapper, true), null);
+		assert.strictEqual(tracker.originalText(wrapper), ';;x;;');
+		assert.strictEqual(tracker.originalLine(1), 'let ;;x;; be.');
+	});
+
+	test('finds edited text again a few lines away', async () => {
+		// The line is moved down two lines and reworded
+		await edit(document, [
+			[new vscode.Range(1, 0, 2, 0), ''],
+			[new vscode.Range(3, 0, 3, 0), 'now ;;x;; is\n'],
+		]);
+
+		const range = tracker.locate(wrapper, true);
+		assert.ok(range);
+		assert.deepStrictEqual([range.start.line, range.start.character], [2, 4]);
+	});
+
+	test('does not take the same text far away for it', async () => {
+		await edit(document, [
+			[new vscode.Range(1, 0, 1, 13), 'gone'],
+			[new vscode.Range(9, 0, 9, 0), ';;x;;'],
+		]);
+
+		assert.strictEqual(tracker.locate(wrapper, true), null);
+	});
+});
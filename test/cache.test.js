@@ -0,0 +1,97 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const {
+	initCache,
+	getCacheKey,
+	getCachedResult,
+	setCachedResult,
+	clearCache,
+} = require('../src/cache');
+
+const REQUEST = {
+	provider: 'openai',
+	model: 'gpt-4o-mini',
+	systemPrompt: 'Convert to LaTeX.',
+	userPrompt: 'x squared',
+	extras: { fileExtra: '', settingExtra: '' },
+};
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+suite('getCacheKey', () => {
+	test('ignores whitespace differences and the case of the provider', () => {
+		assert.strictEqual(
+			getCacheKey(REQUEST),
+			getCacheKey({
+				...REQUEST,
+				provider: 'OpenAI',
+				systemPrompt: '  Convert   to\nLaTeX. ',
+			})
+		);
+	});
+
+	test('changes with the model, the prompts and the extra instructions', () => {
+		const key = getCacheKey(REQUEST);
+		for (const changed of [
+			{ model: 'gpt-4o' },
+			{ provider: 'anthropic' },
+			{ userPrompt: 'x cubed' },
+			{ extras: { fileExtra: 'Use \\R for the reals.', settingExtra: '' } },
+			{ extras: { fileExtra: '', settingExtra: 'Prefer \\dfrac.' } },
+		]) {
+			assert.notStrictEqual(getCacheKey({ ...REQUEST, ...changed }), key, JSON.stringify(changed));
+		}
+	});
+});
+
+suite('result cache', () => {
+	const originalGetConfiguration = vscode.workspace.getConfiguration;
+	let storage;
+
+	setup(() => {
+		storage = fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-latex-cache-'));
+		initCache({ globalStorageUri: { fsPath: storage } });
+		vscode.workspace.getConfiguration = () => ({
+			get: (key, fallback) => (key === 'cache.maxEntries' ? 2 : fallback),
+		});
+	});
+
+	teardown(async () => {
+		await clearCache();
+		vscode.workspace.getConfiguration = originalGetConfiguration;
+		fs.rmSync(storage, { recursive: true, force: true });
+	});
+
+	test('returns stored results', async () => {
+		await setCachedResult('a', 'x^2');
+
+		assert.strictEqual(await getCachedResult('a'), 'x^2');
+		assert.strictEqual(await getCachedResult('b'), undefined);
+	});
+
+	test('evicts the least recently used entries', async () => {
+		await setCachedResult('a', '1');
+		await tick();
+		await setCachedResult('b', '2');
+		await tick();
+		// Reading "a" makes "b" the oldest
+		await getCachedResult('a');
+		await tick();
+		await setCachedResult('c', '3');
+
+		assert.strictEqual(await getCachedResult('a'), '1');
+		assert.strictEqual(await getCachedResult('b'), undefined);
+		assert.strictEqual(await getCachedResult('c'), '3');
+	});
+
+	test('forgets everything on clear', async () => {
+		await setCachedResult('a', '1');
+
+		assert.strictEqual(await clearCache(), 1);
+		assert.strictEqual(await getCachedResult('a'), undefined);
+	});
+});
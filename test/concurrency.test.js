@@ -0,0 +1,47 @@
+const assert = require('assert');
+
+const { mapWithConcurrency } = require('../src/concurrency');
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+suite('mapWithConcurrency', () => {
+	test('keeps the order of the items and the concurrency limit', async () => {
+		let running = 0;
+		let mostRunning = 0;
+
+		const results = await mapWithConcurrency([5, 1, 3, 2, 4], 2, async (item, index) => {
+			running++;
+			mostRunning = Math.max(mostRunning, running);
+			for (let i = 0; i < item; i++) await tick();
+			running--;
+			return `${index}:${item}`;
+		});
+
+		assert.deepStrictEqual(results, ['0:5', '1:1', '2:3', '3:2', '4:4']);
+		assert.strictEqual(mostRunning, 2);
+	});
+
+	test('starts no new items once aborted', async () => {
+		const controller = new AbortController();
+		const started = [];
+
+		const results = await mapWithConcurrency(
+			[1, 2, 3, 4],
+			1,
+			async (item) => {
+				started.push(item);
+				if (item === 2) controller.abort();
+				await tick();
+				return item * 10;
+			},
+			controller.signal
+		);
+
+		assert.deepStrictEqual(started, [1, 2]);
+		assert.deepStrictEqual([...results], [10, 20, undefined, undefined]);
+	});
+
+	test('handles no items', async () => {
+		assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+	});
+});
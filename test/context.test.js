@@ -0,0 +1,375 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const {
+	selectByTokens,
+	formatContext,
+	HEADERS,
+	getContextBeforeLine,
+	getContextAfterLine,
+	getGlossary,
+	GLOSSARY_FILE,
+} = require('../src/context');
+const { getOutputChannel } = require('../src/logging');
+const { estimateTokens } = require('../src/tokens');
+
+/**
+ * Context parts for `lines`, with definitions read from them as
+ * findMacroDefinitions would.
+ * @param {string[]} lines
+ * @param {Partial<import('../src/context').ContextParts>} [extra]
+ */
+function partsFor(lines, extra = {}) {
+	return {
+		lines,
+		projectDefinitions: [],
+		definitions: lines
+			.map((text, line) => ({ text, line }))
+			.filter((d) => d.text.startsWith('\\newcommand')),
+		position: [],
+		labels: [],
+		...extra,
+	};
+}
+
+const filler = (count) =>
+	Array.from({ length: count }, (_, i) => `Line ${i} of the proof, with $x_{${i}}$.`);
+
+suite('document structure in the context', () => {
+	const originalGetConfiguration = vscode.workspace.getConfiguration;
+	const preamble = [
+		'\\documentclass{article}',
+		'\\newcommand{\\R}{\\mathbb{R}}',
+		'% \\newcommand{\\unused}{x}',
+		'\\DeclareMathOperator{\\tr}{tr}',
+		'\\begin{document}',
+		'\\section{Setup}',
+		'\\begin{lemma}\\label{lem:old}',
+		'\\end{lemma}',
+		'\\section{Results}',
+		'\\subsection{Bounds}',
+		'\\begin{theorem}\\label{thm:main}',
+	];
+	const body = Array.from({ length: 60 }, (_, i) => `Step ${i} of the proof.`);
+
+	/** @param {Object} settings  `lazy-latex` settings to use (no project files) */
+	const useSettings = (settings) => {
+		const all = { 'context.project': false, ...settings };
+		vscode.workspace.getConfiguration = () => ({
+			get: (key, fallback) => (key in all ? all[key] : fallback),
+		});
+	};
+
+	teardown(() => {
+		vscode.workspace.getConfiguration = originalGetConfiguration;
+	});
+
+	test('adds macro definitions, the current position and labels', async () => {
+		useSettings({ 'context.lines': 20, 'context.maxTokens': 0 });
+		const document = await vscode.workspace.openTextDocument({
+			content: [...preamble, ...body, 'so ;;x in R;;.'].join('\n'),
+			language: 'latex',
+		});
+
+		const context = await getContextBeforeLine(document, preamble.length + body.length);
+
+		assert.ok(context.includes('\\newcommand{\\R}{\\mathbb{R}}'), context);
+		assert.ok(context.includes('\\DeclareMathOperator{\\tr}{tr}'), context);
+		assert.ok(!context.includes('\\unused'), context);
+		assert.ok(
+			context.includes(
+				'Current position: \\section{Results} > \\subsection{Bounds} > \\begin{theorem}\\label{thm:main}'
+			),
+			context
+		);
+		assert.ok(context.includes('Nearby labels: lem:old, thm:main'), context);
+		assert.ok(context.includes('Step 59 of the proof.'), context);
+		assert.ok(!context.includes('Step 0 of the proof.'), context);
+	});
+
+	test('sends only the preceding lines without document structure', async () => {
+		useSettings({ 'context.lines': 20, 'context.maxTokens': 0, 'context.documentStructure': false });
+		const document = await vscode.workspace.openTextDocument({
+			content: [...preamble, ...body, 'so ;;x in R;;.'].join('\n'),
+			language: 'latex',
+		});
+
+		const context = await getContextBeforeLine(document, preamble.length + body.length);
+
+		assert.ok(!context.includes('\\newcommand'), context);
+		assert.ok(!context.includes('Current position'), context);
+		assert.ok(context.includes('Step 59 of the proof.'), context);
+	});
+});
+
+suite('selectByTokens', () => {
+	test('keeps everything when it fits', () => {
+		const lines = ['\\newcommand{\\R}{\\mathbb{R}}', ...filler(3)];
+		const parts = partsFor(lines, { position: ['\\section{Intro}'], labels: ['eq:a'] });
+
+		const selection = selectByTokens(parts, 10000);
+		const context = formatContext(selection, lines);
+
+		assert.strictEqual(selection.startLine, 0);
+		assert.deepStrictEqual(selection.position, ['\\section{Intro}']);
+		assert.deepStrictEqual(selection.labels, ['eq:a']);
+		// Definitions among the preceding lines are not repeated
+		assert.strictEqual(context.split('\\newcommand').length, 2);
+	});
+
+	test('keeps the nearest lines and stays within the budget', () => {
+		const lines = filler(200);
+		for (const budget of [50, 200, 800]) {
+			const selection = selectByTokens(partsFor(lines), budget);
+			const context = formatContext(selection, lines);
+
+			assert.ok(selection.startLine > 0, `budget ${budget}`);
+			assert.ok(context.endsWith(lines[lines.length - 1]));
+			assert.ok(
+				estimateTokens(context) <= budget,
+				`~${estimateTokens(context)} tokens for a budget of ${budget}`
+			);
+		}
+	});
+
+	test('prefers definitions used in the nearby lines', () => {
+		const lines = [
+			'\\newcommand{\\N}{\\mathbb{N}}',
+			'\\newcommand{\\R}{\\mathbb{R}}',
+			...filler(100),
+			'Let $n \\in \\N$.',
+		];
+
+		const selection = selectByTokens(partsFor(lines), 80);
+
+		assert.deepStrictEqual(
+			selection.definitions.map((d) => d.text),
+			['\\newcommand{\\N}{\\mathbb{N}}']
+		);
+	});
+
+	test('prefers definitions from the last project files', () => {
+		const parts = partsFor(filler(100), {
+			projectDefinitions: [
+				{ label: 'main.tex', definitions: ['\\newcommand{\\A}{a}'] },
+				{ label: 'chapter1.tex', definitions: ['\\newcommand{\\B}{b}'] },
+			],
+		});
+
+		const selection = selectByTokens(parts, 60);
+
+		assert.deepStrictEqual(selection.projectDefinitions, [
+			{ label: 'chapter1.tex', definitions: ['\\newcommand{\\B}{b}'] },
+		]);
+	});
+
+	test('gives the position and labels the first share of a small budget', () => {
+		const parts = partsFor(filler(50), {
+			position: ['\\section{Results}', '\\begin{theorem}'],
+			labels: ['thm:main'],
+		});
+
+		const selection = selectByTokens(parts, 60);
+
+		assert.deepStrictEqual(selection.position, parts.position);
+		assert.deepStrictEqual(selection.labels, ['thm:main']);
+		assert.ok(selection.startLine >= 48, `from line ${selection.startLine}`);
+	});
+
+	test('charges the headers of the syntax it is given', () => {
+		const lines = filler(200);
+		const parts = partsFor(lines, { position: ['# Intro'] });
+
+		const selection = selectByTokens(parts, 100, HEADERS.markdown);
+		const context = formatContext(selection, lines, HEADERS.markdown);
+
+		assert.ok(context.startsWith('<!-- Current position: # Intro -->'));
+		assert.ok(!context.includes('% '));
+		assert.ok(estimateTokens(context) <= 100, `~${estimateTokens(context)} tokens`);
+	});
+});
+
+suite('getContextBeforeLine', () => {
+	const originalGetConfiguration = vscode.workspace.getConfiguration;
+	const channel = getOutputChannel();
+	const originalAppendLine = channel.appendLine;
+	let logged;
+
+	/** @param {Object} settings  `lazy-latex` settings to use (no project files) */
+	const useSettings = (settings) => {
+		const all = { 'context.project': false, ...settings };
+		vscode.workspace.getConfiguration = () => ({
+			get: (key, fallback) => (key in all ? all[key] : fallback),
+		});
+	};
+
+	setup(() => {
+		logged = [];
+		channel.appendLine = (line) => logged.push(line);
+	});
+
+	teardown(() => {
+		vscode.workspace.getConfiguration = originalGetConfiguration;
+		channel.appendLine = originalAppendLine;
+	});
+
+	test('ignores the line limit while a token budget is set', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: [...filler(3), ';;x;;'].join('\n'),
+			language: 'latex',
+		});
+
+		useSettings({ 'context.lines': 0 });
+		assert.match(await getContextBeforeLine(document, 3), /Line 2 of the proof/);
+
+		useSettings({ 'context.lines': 0, 'context.maxTokens': 0 });
+		assert.strictEqual(await getContextBeforeLine(document, 3), '');
+	});
+
+	test('reports the context only when some of it is left out', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: [...filler(40), ';;x;;'].join('\n'),
+			language: 'latex',
+		});
+
+		useSettings({});
+		await getContextBeforeLine(document, 40);
+		assert.deepStrictEqual(logged, []);
+
+		useSettings({ 'context.maxTokens': 50 });
+		await getContextBeforeLine(document, 40);
+		assert.strictEqual(logged.length, 1);
+		assert.match(logged[0], /~\d+ tokens of 50, \d+ of 40 preceding lines/);
+	});
+});
+
+suite('getContextAfterLine', () => {
+	const originalGetConfiguration = vscode.workspace.getConfiguration;
+	let document;
+
+	/** @param {number} [followingLines]  `lazy-latex.context.followingLines` */
+	const useFollowingLines = (followingLines) => {
+		vscode.workspace.getConfiguration = () => ({
+			get: (key, fallback) =>
+				key === 'context.followingLines' && followingLines !== undefined ? followingLines : fallback,
+		});
+	};
+
+	suiteSetup(async () => {
+		document = await vscode.workspace.openTextDocument({
+			content: ['Let ;;x;; be given.', 'Then $x > 0$.', 'Hence the claim.', '', ''].join('\n'),
+			language: 'latex',
+		});
+	});
+
+	teardown(() => {
+		vscode.workspace.getConfiguration = originalGetConfiguration;
+	});
+
+	test('returns the lines after the given one', () => {
+		useFollowingLines(1);
+		assert.strictEqual(getContextAfterLine(document, 0), 'Then $x > 0$.');
+	});
+
+	test('stops at the end of the document and drops trailing blank lines', () => {
+		useFollowingLines(10);
+		assert.strictEqual(getContextAfterLine(document, 0), 'Then $x > 0$.\nHence the claim.');
+		assert.strictEqual(getContextAfterLine(document, 4), '');
+	});
+
+	test('sends no following lines unless the setting is positive', () => {
+		for (const followingLines of [undefined, 0, -3]) {
+			useFollowingLines(followingLines);
+			assert.strictEqual(getContextAfterLine(document, 0), '', String(followingLines));
+		}
+	});
+});
+
+suite('notation glossary in the context', () => {
+	const originalGetConfiguration = vscode.workspace.getConfiguration;
+	const originalFolders = vscode.workspace.workspaceFolders;
+	const channel = getOutputChannel();
+	const originalAppendLine = channel.appendLine;
+	const glossary = [
+		'# Notation glossary',
+		'## Macros',
+		'```latex',
+		...Array.from(
+			{ length: 20 },
+			(_, i) => `\\newcommand{\\op${String.fromCharCode(97 + i)}}{\\operatorname{op}_{${i}}}`
+		),
+		'```',
+		'## Earlier conversions',
+		'- inline: `x squared` → `x^2`',
+	].join('\n');
+	let dir;
+	let logged;
+
+	/** @param {Object} settings  `lazy-latex` settings to use (no project files) */
+	const useSettings = (settings) => {
+		const all = { 'context.project': false, ...settings };
+		vscode.workspace.getConfiguration = () => ({
+			get: (key, fallback) => (key in all ? all[key] : fallback),
+		});
+	};
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-latex-glossary-'));
+		fs.writeFileSync(path.join(dir, GLOSSARY_FILE), `${glossary}\n`);
+		vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(dir), name: 'paper', index: 0 }];
+		logged = [];
+		channel.appendLine = (line) => logged.push(line);
+	});
+
+	teardown(() => {
+		vscode.workspace.getConfiguration = originalGetConfiguration;
+		vscode.workspace.workspaceFolders = originalFolders;
+		channel.appendLine = originalAppendLine;
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('sends the whole glossary without a token budget', async () => {
+		useSettings({ 'context.maxTokens': 0 });
+		assert.strictEqual(await getGlossary('inline'), glossary);
+	});
+
+	test('cuts the glossary to half of the token budget and closes its code block', async () => {
+		useSettings({ 'context.maxTokens': 200 });
+		const sent = await getGlossary('inline');
+
+		assert.ok(estimateTokens(sent) <= 100, `~${estimateTokens(sent)} tokens`);
+		assert.ok(glossary.startsWith(sent.split('\n```\n\n')[0]));
+		assert.match(sent, /\n```\n\n\(The rest of the glossary was left out to fit the context budget\.\)$/);
+		assert.doesNotMatch(sent, /Earlier conversions/);
+	});
+
+	test('has no glossary without the file or a workspace folder', async () => {
+		useSettings({});
+		fs.rmSync(path.join(dir, GLOSSARY_FILE));
+		assert.strictEqual(await getGlossary('inline'), '');
+
+		vscode.workspace.workspaceFolders = undefined;
+		assert.strictEqual(await getGlossary('inline'), '');
+	});
+
+	test('leaves less of the token budget for the preceding lines', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: [...filler(40), ';;x;;'].join('\n'),
+			language: 'latex',
+		});
+		useSettings({ 'context.maxTokens': 200 });
+
+		const context = await getContextBeforeLine(document, 40);
+
+		const glossaryTokens = estimateTokens(await getGlossary('inline'));
+		assert.ok(estimateTokens(context) <= 200 - glossaryTokens, `~${estimateTokens(context)} tokens`);
+		assert.strictEqual(logged.length, 1);
+		assert.ok(
+			logged[0].includes(`of ${200 - glossaryTokens} (200 less ~${glossaryTokens} for the notation glossary)`),
+			logged[0]
+		);
+	});
+});
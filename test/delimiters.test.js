@@ -0,0 +1,68 @@
+const assert = require('assert');
+
+const { findMathBlocks } = require('../src/delimiters');
+
+/**
+ * Blocks of `text` as [kind, whole block, body] (plus the environment name).
+ * @param {string} text
+ * @param {string} [languageId]
+ */
+function blocksOf(text, languageId = 'latex') {
+	return findMathBlocks(text, languageId).map((b) => {
+		const block = [b.kind, text.slice(b.start, b.end), text.slice(b.bodyStart, b.bodyEnd)];
+		return b.name ? [...block, b.name] : block;
+	});
+}
+
+suite('findMathBlocks', () => {
+	test('finds every kind of delimiter', () => {
+		assert.deepStrictEqual(blocksOf('a $x$ b \\(y\\) c \\[z\\] d $$w$$'), [
+			['inline', '$x$', 'x'],
+			['inline', '\\(y\\)', 'y'],
+			['display', '\\[z\\]', 'z'],
+			['display', '$$w$$', 'w'],
+		]);
+	});
+
+	test('finds math environments with their name', () => {
+		const text = 'Text\n\\begin{align*}\na &= b\n\\end{align*}\n\\begin{itemize}\\end{itemize}';
+
+		assert.deepStrictEqual(blocksOf(text), [
+			['environment', '\\begin{align*}\na &= b\n\\end{align*}', '\na &= b\n', 'align*'],
+		]);
+	});
+
+	test('leaves the column count of alignat out of the body', () => {
+		const text = '\\begin{alignat}{2} a &= b \\end{alignat}';
+
+		assert.deepStrictEqual(blocksOf(text)[0][2], ' a &= b ');
+	});
+
+	test('does not nest blocks', () => {
+		const text = '\\[ \\begin{aligned} a \\end{aligned} \\]';
+
+		assert.deepStrictEqual(blocksOf(text), [
+			['display', text, ' \\begin{aligned} a \\end{aligned} '],
+		]);
+	});
+
+	test('skips escaped dollars and LaTeX comments', () => {
+		assert.deepStrictEqual(blocksOf('costs \\$5 and $x$ % not $y$\n$z$'), [
+			['inline', '$x$', 'x'],
+			['inline', '$z$', 'z'],
+		]);
+	});
+
+	test('does not let inline math span a blank line', () => {
+		assert.deepStrictEqual(blocksOf('a $x\n\ny$ b'), []);
+	});
+
+	test('skips Markdown code fences but not % in Markdown', () => {
+		const text = '100% $a$\n```\n$b$\n```\n$c$';
+
+		assert.deepStrictEqual(blocksOf(text, 'markdown'), [
+			['inline', '$a$', 'a'],
+			['inline', '$c$', 'c'],
+		]);
+	});
+});
@@ -1,15 +1,76 @@
 const assert = require('assert');
-
-// You can import and use all API from the 'vscode' module
-// as well as import your extension to test it
 const vscode = require('vscode');
-// const myExtension = require('../extension');
 
-suite('Extension Test Suite', () => {
-	vscode.window.showInformationMessage('Start all tests.');
+const { collectWrapperGroups, findWorkspaceFilesWithWrappers } = require('../src/extension');
+
+/**
+ * @param {string} path
+ */
+const fileUri = (path) => ({ path, toString: () => `file://${path}` });
+
+suite('findWorkspaceFilesWithWrappers', () => {
+	const originalFindFiles = vscode.workspace.findFiles;
+	const originalFs = vscode.workspace.fs;
+
+	teardown(() => {
+		vscode.workspace.findFiles = originalFindFiles;
+		vscode.workspace.fs = originalFs;
+		vscode.workspace.textDocuments.length = 0;
+	});
+
+	test('counts the wrappers of each file, open documents as edited', async () => {
+		const files = {
+			'/w/b.tex': 'Let ;;x;; and ;;;y;;;.\n% ;;not this;;\n',
+			'/w/a.md': 'Some ;;z;; here.',
+			'/w/none.tex': 'No wrappers; really.',
+			'/w/open.tex': 'Saved ;;a;;.',
+		};
+		vscode.workspace.findFiles = async () => Object.keys(files).map(fileUri);
+		vscode.workspace.fs = {
+			readFile: async (uri) => new TextEncoder().encode(files[uri.path]),
+		};
+		vscode.workspace.textDocuments.push({
+			uri: fileUri('/w/open.tex'),
+			getText: () => 'Unsaved ;;a;; and ;;b;;.',
+		});
+
+		const found = await findWorkspaceFilesWithWrappers();
+
+		assert.deepStrictEqual(
+			found.map((f) => [f.uri.path, f.count]),
+			[
+				['/w/a.md', 1],
+				['/w/b.tex', 2],
+				['/w/open.tex', 2],
+			]
+		);
+	});
+
+	test('skips files it cannot read', async () => {
+		vscode.workspace.findFiles = async () => [fileUri('/w/gone.tex'), fileUri('/w/ok.tex')];
+		vscode.workspace.fs = {
+			readFile: async (uri) => {
+				if (uri.path === '/w/gone.tex') throw new Error('ENOENT');
+				return new TextEncoder().encode(';;x;;');
+			},
+		};
+
+		const found = await findWorkspaceFilesWithWrappers();
+
+		assert.deepStrictEqual(found.map((f) => f.uri.path), ['/w/ok.tex']);
+	});
+});
+
+suite('collectWrapperGroups', () => {
+	test('groups wrappers by the line they close on', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: 'a ;;x;; b ;;y;;\n\n;;;\nz\n;;; c ;;w;;\nnone',
+			language: 'latex',
+		});
+
+		const { wrappers, endLines } = collectWrapperGroups(document);
 
-	test('Sample test', () => {
-		assert.strictEqual(-1, [1, 2, 3].indexOf(5));
-		assert.strictEqual(-1, [1, 2, 3].indexOf(0));
+		assert.deepStrictEqual(wrappers.map((w) => w.inner), ['x', 'y', '\nz\n', 'w']);
+		assert.deepStrictEqual(endLines, [0, 4]);
 	});
 });
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const { collectGlossary } = require('../src/glossary');
+const { registerHistory } = require('../src/history');
+
+/**
+ * Extension context whose workspace state holds `entries` as the conversion
+ * history.
+ * @param {Array<{ original: string, output: string }>} entries  newest first
+ */
+function contextWithHistory(entries) {
+	return {
+		subscriptions: [],
+		workspaceState: {
+			get: (key, fallback) => (key === 'lazy-latex.history' ? entries : fallback),
+			update: async () => {},
+		},
+	};
+}
+
+suite('collectGlossary', () => {
+	const originalFindFiles = vscode.workspace.findFiles;
+	let dir;
+
+	/**
+	 * Have `findFiles` return these files, written into a temporary directory.
+	 * @param {Record<string, string>} files  name -> text
+	 */
+	const useFiles = (files) => {
+		for (const [name, text] of Object.entries(files)) {
+			fs.writeFileSync(path.join(dir, name), text);
+		}
+		vscode.workspace.findFiles = async () =>
+			Object.keys(files).map((name) => vscode.Uri.file(path.join(dir, name)));
+	};
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-latex-glossary-'));
+		useFiles({});
+		registerHistory(contextWithHistory([]));
+	});
+
+	teardown(() => {
+		vscode.workspace.findFiles = originalFindFiles;
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('lists the macros of all files once, in file order', async () => {
+		useFiles({
+			'b.tex': '\\newcommand{\\R}{\\mathbb{R}}\n\\newcommand{\\N}{\\mathbb{N}}\n',
+			'a.tex': '\\newcommand{\\R}{ \\mathbb{R} }\n% \\newcommand{\\unused}{x}\n',
+		});
+
+		const glossary = await collectGlossary();
+
+		assert.strictEqual(glossary.files, 2);
+		assert.strictEqual(glossary.definitions, 2);
+		assert.match(
+			glossary.markdown,
+			/## Macros\n\n```latex\n\\newcommand\{\\R\}\{ \\mathbb\{R\} \}\n\\newcommand\{\\N\}\{\\mathbb\{N\}\}\n```/
+		);
+	});
+
+	test('counts symbols written the same way, outside comments', async () => {
+		useFiles({
+			'paper.tex':
+				'Let $x \\in \\mathbb R$ and $y \\in \\mathbb{ R }$, $n \\in \\mathbb{N}$.\n' +
+				'% $\\mathbb{N} \\mathbb{N}$\n' +
+				'Then $\\operatorname{rank} \\mathbf{A} = \\operatorname{rank}\\mathbf A^T$.\n',
+		});
+
+		const { markdown } = await collectGlossary();
+
+		assert.match(markdown, /## Number sets and blackboard bold\n\n- `\\mathbb\{R\}` \(2×\)\n- `\\mathbb\{N\}` \(1×\)/);
+		assert.match(markdown, /## Bold vectors and matrices\n\n- `\\mathbf\{A\}` \(2×\)/);
+		assert.match(markdown, /## Operator names\n\n- `\\operatorname\{rank\}` \(2×\)/);
+		assert.doesNotMatch(markdown, /## Calligraphic letters/);
+	});
+
+	test('lists earlier conversions by kind, without wrapper delimiters', async () => {
+		registerHistory(
+			contextWithHistory([
+				{ original: ';;x squared;;', output: '$x^2$' },
+				{ original: ';;;sum of a_i;;;', output: '\\[\n\\sum a_i\n\\]' },
+				{ original: ';;;;a `code` table;;;;', output: '\\begin{tabular}{c} a \\end{tabular}' },
+				{ original: ';;x squared;;', output: '$x \\cdot x$' },
+				{ original: 'selected text', output: '$y$' },
+				{ original: ';;y;;', output: '$a;;b$' },
+			])
+		);
+
+		const glossary = await collectGlossary();
+
+		assert.strictEqual(glossary.conversions, 3);
+		assert.ok(
+			glossary.markdown.endsWith(
+				'- inline: `x squared` → `$x^2$`\n' +
+					'- display: `sum of a_i` → `\\[ \\sum a_i \\]`\n' +
+					'- anything: `` a `code` table `` → `\\begin{tabular}{c} a \\end{tabular}`\n'
+			),
+			glossary.markdown
+		);
+		assert.doesNotMatch(glossary.markdown, /;;/);
+	});
+});
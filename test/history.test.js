@@ -0,0 +1,119 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const { getEntries, recordConversion, registerHistory } = require('../src/history');
+
+/**
+ * Extension context with an in-memory workspace state.
+ */
+function fakeContext() {
+	const state = new Map();
+	return {
+		subscriptions: [],
+		workspaceState: {
+			get: (key, fallback) => (state.has(key) ? state.get(key) : fallback),
+			update: async (key, value) => {
+				state.set(key, value);
+			},
+		},
+	};
+}
+
+/**
+ * Replace `text` in `document` with `output`, recording it like a conversion.
+ * @param {vscode.TextDocument} document
+ * @param {string} text
+ * @param {string} output
+ * @param {string} [movedText]
+ */
+async function convert(document, text, output, movedText) {
+	const start = document.positionAt(document.getText().indexOf(text));
+	// The moved text is removed along with the wrapper
+	const end = document.offsetAt(start) + text.length + (movedText || '').length;
+	const range = new vscode.Range(start, document.positionAt(end));
+	const edit = new vscode.WorkspaceEdit();
+	edit.replace(document.uri, range, output);
+	await vscode.workspace.applyEdit(edit);
+
+	const outputStart = document.offsetAt(start);
+	recordConversion(document, {
+		original: text,
+		output,
+		movedText,
+		range: new vscode.Range(start, document.positionAt(outputStart + output.length)),
+	});
+	// recordConversion saves in the background
+	await new Promise((resolve) => setImmediate(resolve));
+}
+
+suite('conversion history', () => {
+	let context;
+
+	setup(() => {
+		context = fakeContext();
+		registerHistory(context);
+	});
+
+	test('restores the original wrapper', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: 'Let ;;x squared;; be positive.',
+			language: 'latex',
+		});
+		await convert(document, ';;x squared;;', '$x^2$');
+		assert.strictEqual(document.getText(), 'Let $x^2$ be positive.');
+
+		await vscode.commands.executeCommand('lazy-latex.history.restore', getEntries()[0]);
+
+		assert.strictEqual(document.getText(), 'Let ;;x squared;; be positive.');
+		assert.deepStrictEqual(getEntries(), []);
+	});
+
+	test('puts punctuation moved into display math back after the wrapper', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: 'We get ;;;sum of a_i;;;. Then',
+			language: 'latex',
+		});
+		await convert(document, ';;;sum of a_i;;;', '\n\\[\n\\sum a_i .\n\\]\n', '. ');
+		assert.strictEqual(document.getText(), 'We get \n\\[\n\\sum a_i .\n\\]\nThen');
+
+		await vscode.commands.executeCommand('lazy-latex.history.restore', getEntries()[0]);
+
+		assert.strictEqual(document.getText(), 'We get ;;;sum of a_i;;;. Then');
+	});
+
+	test('finds moved output, taking the copy closest to where it was written', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: '$x$ is the first one here.\nLet ;;x;; be.\nthen $x$ again.',
+			language: 'latex',
+		});
+		await convert(document, ';;x;;', '$x$');
+
+		const edit = new vscode.WorkspaceEdit();
+		edit.replace(document.uri, new vscode.Range(1, 0, 1, 0), 'Inserted line.\n');
+		await vscode.workspace.applyEdit(edit);
+
+		await vscode.commands.executeCommand('lazy-latex.history.restore', getEntries()[0]);
+
+		assert.strictEqual(
+			document.getText(),
+			'$x$ is the first one here.\nInserted line.\nLet ;;x;; be.\nthen $x$ again.'
+		);
+	});
+
+	test('does not restore output that was edited', async () => {
+		const document = await vscode.workspace.openTextDocument({
+			content: 'Let ;;x;; be.',
+			language: 'latex',
+		});
+		await convert(document, ';;x;;', '$x$');
+
+		const edit = new vscode.WorkspaceEdit();
+		edit.replace(document.uri, new vscode.Range(0, 5, 0, 6), 'y');
+		await vscode.workspace.applyEdit(edit);
+
+		await vscode.commands.executeCommand('lazy-latex.history.restore', getEntries()[0]);
+
+		assert.strictEqual(document.getText(), 'Let $y$ be.');
+		assert.strictEqual(getEntries().length, 1);
+	});
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+
+const { renderLatexPreview } = require('../src/latexPreview');
+
+suite('renderLatexPreview', () => {
+	test('renders symbols, sets, bold letters and scripts', () => {
+		assert.strictEqual(renderLatexPreview('\\mathbb{R}^{n} \\to \\mathbf{v}_{i}'), 'ℝⁿ → 𝐯ᵢ');
+		assert.strictEqual(renderLatexPreview('\\alpha \\leq \\beta'), 'α ≤ β');
+		assert.strictEqual(renderLatexPreview('x^2 + y_0'), 'x² + y₀');
+	});
+
+	test('keeps scripts it has no characters for readable', () => {
+		assert.strictEqual(renderLatexPreview('e^{ix}'), 'e^(ix)');
+		assert.strictEqual(renderLatexPreview('a_b'), 'a_b');
+	});
+
+	test('writes fractions inline, innermost first', () => {
+		assert.strictEqual(renderLatexPreview('\\frac{1}{2}'), '1/2');
+		assert.strictEqual(renderLatexPreview('\\frac{a+b}{\\frac{c}{d}}'), '(a+b)/(c/d)');
+	});
+
+	test('tells alternatives of the same expression apart', () => {
+		const renderings = ['\\vec{v}', '\\mathbf{v}', '\\bar{v}', '\\hat{v}'].map(
+			renderLatexPreview
+		);
+		assert.strictEqual(new Set(renderings).size, renderings.length);
+	});
+
+	test('drops environments, sizing commands and alignment', () => {
+		assert.strictEqual(
+			renderLatexPreview('\\begin{aligned} a &= \\left( b \\right) \\\\ c &= d \\end{aligned}'),
+			'a = ( b ) ; c = d'
+		);
+		assert.strictEqual(renderLatexPreview(''), '');
+	});
+});
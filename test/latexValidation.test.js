@@ -0,0 +1,107 @@
+const assert = require('assert');
+
+const { cleanLatexOutput, findLatexProblems } = require('../src/latexValidation');
+
+suite('cleanLatexOutput', () => {
+	test('removes code fences, backticks and math delimiters', () => {
+		const cases = [
+			['```latex\n\\frac{a}{b}\n```', '\\frac{a}{b}'],
+			['```\nx^2\n```', 'x^2'],
+			['`x^2`', 'x^2'],
+			['$x^2$', 'x^2'],
+			['$$ x^2 $$', 'x^2'],
+			['\\[ x^2 \\]', 'x^2'],
+			['\\(x^2\\)', 'x^2'],
+			['  x^2  ', 'x^2'],
+		];
+		for (const [input, expected] of cases) {
+			assert.strictEqual(cleanLatexOutput(input), expected, JSON.stringify(input));
+		}
+	});
+
+	test('removes nested wrappers', () => {
+		assert.strictEqual(cleanLatexOutput('```latex\n$$\\alpha$$\n```'), '\\alpha');
+		assert.strictEqual(cleanLatexOutput('`$x$`'), 'x');
+	});
+
+	test('keeps dollars that do not wrap the whole answer', () => {
+		assert.strictEqual(cleanLatexOutput('$a$ and $b$'), '$a$ and $b$');
+		assert.strictEqual(cleanLatexOutput('\\$5'), '\\$5');
+	});
+
+	test('handles empty input', () => {
+		assert.strictEqual(cleanLatexOutput(''), '');
+		assert.strictEqual(cleanLatexOutput(undefined), '');
+	});
+});
+
+suite('findLatexProblems', () => {
+	test('accepts well-formed math', () => {
+		for (const latex of [
+			'\\frac{a}{b} + \\sqrt{x}',
+			'\\left( \\frac{1}{2} \\right)',
+			'\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}',
+			'\\{ x \\mid x > 0 \\}',
+			'\\$5',
+			'',
+		]) {
+			assert.deepStrictEqual(findLatexProblems(latex), [], latex);
+		}
+	});
+
+	test('reports unbalanced braces', () => {
+		assert.deepStrictEqual(findLatexProblems('\\frac{a}{b'), [
+			'unbalanced braces: 1 { not closed',
+		]);
+		assert.deepStrictEqual(findLatexProblems('a}'), [
+			'unbalanced braces: a } has no matching {',
+		]);
+	});
+
+	test('reports \\left without \\right', () => {
+		assert.deepStrictEqual(findLatexProblems('\\left( x'), [
+			'\\left and \\right do not match (1 \\left, 0 \\right)',
+		]);
+	});
+
+	test('reports math delimiters inside the body', () => {
+		assert.deepStrictEqual(findLatexProblems('$x$'), [
+			'contains math delimiters ($); output only the math body',
+		]);
+		assert.deepStrictEqual(findLatexProblems('\\[x\\]'), [
+			'contains math delimiters (\\[ \\]); output only the math body',
+		]);
+	});
+
+	test('allows math delimiters inside text arguments', () => {
+		for (const latex of [
+			'f(x) = \\begin{cases} 1 & \\text{if $x > 0$} \\\\ 0 & \\text{otherwise} \\end{cases}',
+			'\\mbox{for all \\(n\\)}',
+			'\\textrm {with $\\{a\\}$ given}',
+			'\\text{a {nested $b$} c}',
+		]) {
+			assert.deepStrictEqual(findLatexProblems(latex), [], latex);
+		}
+	});
+
+	test('still reports delimiters after a text argument is closed', () => {
+		assert.deepStrictEqual(findLatexProblems('\\text{if} $x$'), [
+			'contains math delimiters ($); output only the math body',
+		]);
+		assert.deepStrictEqual(findLatexProblems('\\mathrm{d}$x$'), [
+			'contains math delimiters ($); output only the math body',
+		]);
+	});
+
+	test('reports mismatched environments', () => {
+		assert.deepStrictEqual(findLatexProblems('\\begin{aligned} a \\end{cases}'), [
+			'\\end{cases} does not match \\begin{aligned}',
+		]);
+		assert.deepStrictEqual(findLatexProblems('a \\end{cases}'), [
+			'\\end{cases} without \\begin{cases}',
+		]);
+		assert.deepStrictEqual(findLatexProblems('\\begin{aligned} a'), [
+			'\\begin{aligned} without \\end{aligned}',
+		]);
+	});
+});
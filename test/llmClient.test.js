@@ -0,0 +1,105 @@
+const assert = require('assert');
+
+const {
+	parseBatchOutput,
+	parseStructuredBatch,
+	isStructuredOutputRejection,
+} = require('../src/llmClient');
+
+suite('parseStructuredBatch', () => {
+	test('reads expressions by their 1-based index', () => {
+		const result = JSON.stringify({
+			expressions: [
+				{ index: 2, latex: '\\beta' },
+				{ index: 1, latex: '\\alpha' },
+			],
+		});
+
+		assert.deepStrictEqual(parseStructuredBatch(result, 2), ['\\alpha', '\\beta']);
+	});
+
+	test('accepts bare arrays of entries or strings', () => {
+		assert.deepStrictEqual(
+			parseStructuredBatch('[{"index": 1, "latex": "x"}, {"index": 2, "latex": "y"}]', 2),
+			['x', 'y']
+		);
+		assert.deepStrictEqual(parseStructuredBatch('["x", "y"]', 2), ['x', 'y']);
+	});
+
+	test('accepts an answer inside a code fence and cleans each expression', () => {
+		const result = '```json\n{"expressions": [{"index": 1, "latex": "$x^2$"}]}\n```';
+
+		assert.deepStrictEqual(parseStructuredBatch(result, 1), ['x^2']);
+	});
+
+	test('leaves missing and out-of-range entries empty', () => {
+		const result = JSON.stringify({
+			expressions: [
+				{ index: 3, latex: 'c' },
+				{ index: 7, latex: 'ignored' },
+				{ index: 1 },
+			],
+		});
+
+		assert.deepStrictEqual(parseStructuredBatch(result, 3), ['', '', 'c']);
+	});
+
+	test('returns null for answers that are not JSON of that shape', () => {
+		for (const result of [
+			'x^2\ny^2',
+			'{"expressions": []}',
+			'{"other": [1]}',
+			'[{"index": 1}]',
+			'',
+		]) {
+			assert.strictEqual(parseStructuredBatch(result, 2), null, result);
+		}
+	});
+});
+
+suite('parseBatchOutput', () => {
+	test('takes one expression per non-empty line', () => {
+		assert.deepStrictEqual(parseBatchOutput('x^2\n\n\\frac{a}{b}\r\n', 2), [
+			'x^2',
+			'\\frac{a}{b}',
+		]);
+	});
+
+	test('removes numbering, code fences and delimiters', () => {
+		const result = '```latex\n1) $x^2$\n2. \\(y\\)\n3: z\n```';
+
+		assert.deepStrictEqual(parseBatchOutput(result, 3), ['x^2', 'y', 'z']);
+	});
+
+	test('pads missing expressions and drops extra lines', () => {
+		assert.deepStrictEqual(parseBatchOutput('a', 3), ['a', '', '']);
+		assert.deepStrictEqual(parseBatchOutput('a\nb\nc', 2), ['a', 'b']);
+	});
+});
+
+suite('isStructuredOutputRejection', () => {
+	const httpError = (status, details) => Object.assign(new Error('failed'), { status, details });
+
+	test('recognizes errors about the structured output options', () => {
+		for (const details of [
+			'{"error": {"message": "Invalid parameter: \'response_format\' of type \'json_object\' is not supported with this model.", "param": "response_format"}}',
+			'{"type": "error", "error": {"type": "invalid_request_error", "message": "tools: Input should be a valid list"}}',
+			'{"error": {"message": "Unknown name \\"responseSchema\\" at \'generation_config\'"}}',
+		]) {
+			assert.strictEqual(isStructuredOutputRejection(httpError(400, details)), true, details);
+		}
+	});
+
+	test('ignores other bad requests and other statuses', () => {
+		assert.strictEqual(
+			isStructuredOutputRejection(httpError(400, '{"error": {"message": "The model `gpt-9` does not exist"}}')),
+			false
+		);
+		assert.strictEqual(
+			isStructuredOutputRejection(httpError(400, 'This model\'s maximum context length is 8192 tokens')),
+			false
+		);
+		assert.strictEqual(isStructuredOutputRejection(httpError(500, 'response_format')), false);
+		assert.strictEqual(isStructuredOutputRejection(undefined), false);
+	});
+});
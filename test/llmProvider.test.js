@@ -0,0 +1,247 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+	callChatCompletionWithProvider,
+	callChatCompletionChoicesWithProvider,
+} = require('../src/llmProvider');
+
+const OPTIONS = {
+	provider: 'openai',
+	endpoint: 'http://localhost:1234/v1/chat/completions',
+	model: 'test-model',
+	systemPrompt: 'system',
+	userPrompt: 'user',
+};
+
+suite('callChatCompletionChoicesWithProvider', () => {
+	const originalFetch = global.fetch;
+	let requests;
+
+	/**
+	 * Answer requests with `respond(body)`: a list of choice texts, or a
+	 * status code for an error response.
+	 * @param {(body: Object) => string[] | number} respond
+	 */
+	const serve = (respond) => {
+		requests = [];
+		global.fetch = async (url, init) => {
+			const body = JSON.parse(init.body);
+			requests.push(body);
+			const answer = respond(body);
+			if (typeof answer === 'number') {
+				return new Response('{"error":"bad request"}', { status: answer });
+			}
+			return Response.json({
+				choices: answer.map((content) => ({ message: { content } })),
+			});
+		};
+	};
+
+	teardown(() => {
+		global.fetch = originalFetch;
+	});
+
+	test('asks an OpenAI-compatible endpoint for all choices at once', async () => {
+		serve((body) => Array.from({ length: body.n }, (_, i) => `x_${i}`));
+
+		const choices = await callChatCompletionChoicesWithProvider({ ...OPTIONS, n: 3 });
+
+		assert.deepStrictEqual(choices, ['x_0', 'x_1', 'x_2']);
+		assert.deepStrictEqual(requests.map((r) => r.n), [3]);
+	});
+
+	test('repeats the request when the endpoint rejects n', async () => {
+		let count = 0;
+		serve((body) => (body.n > 1 ? 400 : [`x_${count++}`]));
+
+		const choices = await callChatCompletionChoicesWithProvider({ ...OPTIONS, n: 3 });
+
+		assert.deepStrictEqual(choices, ['x_0', 'x_1', 'x_2']);
+		assert.strictEqual(requests.length, 4);
+	});
+
+	test('asks again for the choices an endpoint ignoring n left out', async () => {
+		serve(() => ['x']);
+
+		const choices = await callChatCompletionChoicesWithProvider({ ...OPTIONS, n: 2 });
+
+		assert.deepStrictEqual(choices, ['x', 'x']);
+		assert.strictEqual(requests.length, 2);
+	});
+});
+
+suite('Ollama requests', () => {
+	const originalFetch = global.fetch;
+	const originalGetConfiguration = vscode.workspace.getConfiguration;
+	let requests;
+
+	setup(() => {
+		requests = [];
+		global.fetch = async (url, init) => {
+			requests.push({ url, body: JSON.parse(init.body) });
+			return Response.json({ message: { role: 'assistant', content: 'x^2' } });
+		};
+	});
+
+	teardown(() => {
+		global.fetch = originalFetch;
+		vscode.workspace.getConfiguration = originalGetConfiguration;
+	});
+
+	/** @param {string} [endpoint] */
+	const send = (endpoint) =>
+		callChatCompletionWithProvider({ ...OPTIONS, provider: 'ollama', endpoint });
+
+	test('sends requests to the native chat API of the server', async () => {
+		for (const [endpoint, url] of [
+			[undefined, 'http://localhost:11434/api/chat'],
+			['https://api.openai.com/v1/chat/completions', 'http://localhost:11434/api/chat'],
+			['http://gpu-box:11434', 'http://gpu-box:11434/api/chat'],
+			['http://gpu-box:11434/v1/chat/completions', 'http://gpu-box:11434/api/chat'],
+			['http://gpu-box:8080/ollama/api/chat', 'http://gpu-box:8080/ollama/api/chat'],
+		]) {
+			assert.strictEqual(await send(endpoint), 'x^2');
+			assert.strictEqual(requests.pop().url, url, String(endpoint));
+		}
+	});
+
+	test('passes keep_alive and model options', async () => {
+		vscode.workspace.getConfiguration = () => ({
+			get: (key, fallback) =>
+				({
+					'llm.ollama.keepAlive': '10m',
+					'llm.ollama.options': { num_ctx: 8192 },
+				})[key] ?? fallback,
+		});
+
+		await send();
+
+		const [{ body }] = requests;
+		assert.strictEqual(body.keep_alive, '10m');
+		assert.deepStrictEqual(body.options, { temperature: 0, num_ctx: 8192 });
+		assert.deepStrictEqual(
+			body.messages.map((m) => m.role),
+			['system', 'user']
+		);
+	});
+});
+
+suite('Gemini requests', () => {
+	const originalFetch = global.fetch;
+	let requests;
+
+	setup(() => {
+		requests = [];
+		global.fetch = async (url, init) => {
+			requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+			return Response.json({
+				candidates: [{ content: { parts: [{ text: 'x' }, { text: '^2' }] } }],
+			});
+		};
+	});
+
+	teardown(() => {
+		global.fetch = originalFetch;
+	});
+
+	/** @param {string} [endpoint] */
+	const send = (endpoint) =>
+		callChatCompletionWithProvider({
+			...OPTIONS,
+			provider: 'gemini',
+			endpoint,
+			apiKey: 'key',
+			model: 'gemini-2.5-flash',
+		});
+
+	test('builds the generateContent URL of the model', async () => {
+		const method = 'models/gemini-2.5-flash:generateContent';
+		for (const [endpoint, url] of [
+			[undefined, `https://generativelanguage.googleapis.com/v1beta/${method}`],
+			['https://api.openai.com/v1/chat/completions', `https://generativelanguage.googleapis.com/v1beta/${method}`],
+			['https://generativelanguage.googleapis.com/v1beta/openai/', `https://generativelanguage.googleapis.com/v1beta/${method}`],
+			['https://proxy.example.com/v1/', `https://proxy.example.com/v1/${method}`],
+			['https://proxy.example.com/v1/models/other:streamGenerateContent?alt=sse', 'https://proxy.example.com/v1/models/other:generateContent'],
+		]) {
+			assert.strictEqual(await send(endpoint), 'x^2');
+			assert.strictEqual(requests.pop().url, url, String(endpoint));
+		}
+	});
+
+	test('sends the key in a header and the system prompt as instructions', async () => {
+		await send();
+
+		const [{ url, headers, body }] = requests;
+		assert.ok(!url.includes('key'));
+		assert.strictEqual(headers['x-goog-api-key'], 'key');
+		assert.deepStrictEqual(body.systemInstruction, { parts: [{ text: 'system' }] });
+		assert.deepStrictEqual(body.contents, [{ role: 'user', parts: [{ text: 'user' }] }]);
+	});
+
+	test('reports a blocked answer', async () => {
+		global.fetch = async () =>
+			Response.json({ promptFeedback: { blockReason: 'SAFETY' }, candidates: [] });
+
+		await assert.rejects(send(), (err) => {
+			assert.strictEqual(err.blockReason, 'SAFETY');
+			return true;
+		});
+	});
+});
+
+suite('callChatCompletionWithProvider errors', () => {
+	const originalFetch = global.fetch;
+	const originalGetConfiguration = vscode.workspace.getConfiguration;
+	let calls;
+
+	setup(() => {
+		calls = 0;
+		// No retry delays in tests
+		vscode.workspace.getConfiguration = () => ({
+			get: (key, fallback) => (key === 'llm.maxRetries' ? 0 : fallback),
+		});
+	});
+
+	teardown(() => {
+		global.fetch = originalFetch;
+		vscode.workspace.getConfiguration = originalGetConfiguration;
+	});
+
+	test('marks a fetch that fails before any response as a network error', async () => {
+		global.fetch = async () => {
+			calls++;
+			throw new TypeError('fetch failed');
+		};
+
+		await assert.rejects(callChatCompletionWithProvider(OPTIONS), (err) => {
+			assert.strictEqual(err.networkError, true);
+			assert.strictEqual(err.provider, 'openai');
+			return true;
+		});
+		assert.strictEqual(calls, 1);
+	});
+
+	test('does not mark a TypeError raised while handling the answer', async () => {
+		global.fetch = async () => {
+			calls++;
+			return new Response(
+				'data: {"choices":[{"delta":{"content":"x"}}]}\n\ndata: [DONE]\n\n',
+				{ status: 200 }
+			);
+		};
+		const onProgress = () => {
+			throw new TypeError('not a function');
+		};
+
+		await assert.rejects(
+			callChatCompletionWithProvider({ ...OPTIONS, onProgress }),
+			(err) => {
+				assert.strictEqual(err.message, 'not a function');
+				assert.strictEqual(err.networkError, undefined);
+				return true;
+			}
+		);
+		assert.strictEqual(calls, 1);
+	});
+});
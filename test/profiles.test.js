@@ -0,0 +1,214 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+	getProfileNameForMode,
+	resolveProfile,
+	getFallbackConfigs,
+} = require('../src/profiles');
+
+/**
+ * Make `vscode.workspace.getConfiguration` return these `lazy-latex` settings.
+ * @param {Object} settings
+ * @returns {() => void} restores the previous configuration
+ */
+function useSettings(settings) {
+	const original = vscode.workspace.getConfiguration;
+	vscode.workspace.getConfiguration = () => ({
+		get: (key, fallback) => (key in settings ? settings[key] : fallback),
+		inspect: () => undefined,
+	});
+	return () => {
+		vscode.workspace.getConfiguration = original;
+	};
+}
+
+const BASE = {
+	'llm.provider': 'openai',
+	'llm.endpoint': 'https://api.openai.com/v1/chat/completions',
+	'llm.model': 'gpt-4o-mini',
+};
+
+suite('resolveProfile', () => {
+	let restore;
+
+	teardown(() => {
+		restore();
+	});
+
+	test('uses the llm settings for the default profile', () => {
+		restore = useSettings({ ...BASE, profiles: { default: { model: 'ignored' } } });
+
+		const config = resolveProfile('default');
+
+		assert.deepStrictEqual(
+			[config.profile, config.provider, config.endpoint, config.model],
+			['default', 'openai', BASE['llm.endpoint'], 'gpt-4o-mini']
+		);
+	});
+
+	test('inherits endpoint and model only from the same provider', () => {
+		restore = useSettings({
+			...BASE,
+			profiles: {
+				big: { model: 'gpt-4o', temperature: 0.2, maxTokens: 500 },
+				local: { provider: 'ollama' },
+			},
+		});
+
+		const big = resolveProfile('big');
+		assert.deepStrictEqual(
+			[big.provider, big.endpoint, big.model, big.temperature, big.maxTokens],
+			['openai', BASE['llm.endpoint'], 'gpt-4o', 0.2, 500]
+		);
+
+		const local = resolveProfile('local');
+		assert.deepStrictEqual([local.provider, local.endpoint, local.model], ['ollama', '', '']);
+	});
+
+	test('falls back to the default settings for an unknown profile', () => {
+		restore = useSettings(BASE);
+
+		assert.strictEqual(resolveProfile('missing').profile, 'default');
+	});
+});
+
+suite('getProfileNameForMode', () => {
+	let restore;
+
+	teardown(() => {
+		restore();
+	});
+
+	test('uses the profile of the mode, then the active profile', () => {
+		restore = useSettings({
+			profiles: { fast: {}, strong: {} },
+			activeProfile: 'fast',
+			modeProfiles: { anything: 'strong', display: 'gone' },
+		});
+
+		assert.strictEqual(getProfileNameForMode('anything'), 'strong');
+		assert.strictEqual(getProfileNameForMode('inline'), 'fast');
+		assert.strictEqual(getProfileNameForMode('display'), 'fast');
+		assert.strictEqual(getProfileNameForMode(), 'fast');
+	});
+
+	test('ignores an active profile that no longer exists', () => {
+		restore = useSettings({ profiles: {}, activeProfile: 'gone' });
+
+		assert.strictEqual(getProfileNameForMode('inline'), 'default');
+	});
+});
+
+suite('provider keys of profiles', () => {
+	let restore;
+
+	teardown(() => {
+		restore();
+	});
+
+	test("shares the provider's key with its own hosts and the configured endpoint", () => {
+		restore = useSettings({
+			'llm.provider': 'openai',
+			'llm.endpoint': 'https://llm.internal.example.com/v1/chat/completions',
+			'llm.apiKey': 'sk-settings',
+			profiles: {
+				official: { endpoint: 'https://api.openai.com/v1/chat/completions' },
+				same: { model: 'other' },
+				claude: { provider: 'anthropic' },
+			},
+		});
+
+		for (const name of ['default', 'official', 'same']) {
+			assert.strictEqual(resolveProfile(name).sharesProviderKey, true, name);
+		}
+		assert.deepStrictEqual(resolveProfile('same').apiKeyNames, [
+			'profile:same',
+			'provider:openai',
+		]);
+		assert.strictEqual(resolveProfile('same').settingsApiKey, 'sk-settings');
+
+		// Another provider's own API gets that provider's key, never this one
+		const claude = resolveProfile('claude');
+		assert.deepStrictEqual(claude.apiKeyNames, ['profile:claude', 'provider:anthropic']);
+		assert.strictEqual(claude.settingsApiKey, '');
+	});
+
+	test('keeps shared keys away from other hosts unless referenced', () => {
+		restore = useSettings({
+			...BASE,
+			'llm.apiKey': 'sk-settings',
+			profiles: {
+				router: { endpoint: 'https://openrouter.ai/api/v1/chat/completions' },
+				routed: { endpoint: 'https://openrouter.ai/api/v1/chat/completions', apiKeyRef: 'router' },
+				explicit: { endpoint: 'https://openrouter.ai/api/v1', apiKeyRef: 'default' },
+			},
+		});
+
+		const router = resolveProfile('router');
+		assert.strictEqual(router.sharesProviderKey, false);
+		assert.deepStrictEqual(router.apiKeyNames, ['profile:router']);
+		assert.strictEqual(router.settingsApiKey, '');
+
+		assert.deepStrictEqual(resolveProfile('routed').apiKeyNames, [
+			'profile:routed',
+			'profile:router',
+		]);
+
+		const explicit = resolveProfile('explicit');
+		assert.deepStrictEqual(explicit.apiKeyNames, ['profile:explicit', 'provider:openai']);
+		assert.strictEqual(explicit.settingsApiKey, 'sk-settings');
+	});
+});
+
+suite('getFallbackConfigs', () => {
+	const originalWarning = vscode.window.showWarningMessage;
+	let warnings;
+	let restore;
+
+	setup(() => {
+		warnings = [];
+		vscode.window.showWarningMessage = (message) => {
+			warnings.push(message);
+		};
+	});
+
+	teardown(() => {
+		vscode.window.showWarningMessage = originalWarning;
+		restore();
+	});
+
+	test('resolves profile names in order, without the primary', () => {
+		restore = useSettings({
+			'llm.endpoint': 'https://api.openai.com/v1/chat/completions',
+			profiles: { backup: { model: 'b' }, local: { provider: 'ollama', model: 'l' } },
+			'llm.fallbacks': ['local', 'default', 'backup'],
+		});
+
+		const fallbacks = getFallbackConfigs(resolveProfile('backup'));
+
+		assert.deepStrictEqual(
+			fallbacks.map((c) => [c.profile, c.provider]),
+			[
+				['local', 'ollama'],
+				['default', 'openai'],
+			]
+		);
+		assert.deepStrictEqual(warnings, []);
+	});
+
+	test('skips URLs and unknown names with a warning shown once', () => {
+		restore = useSettings({
+			profiles: { backup: {} },
+			'llm.fallbacks': ['https://backup.example.com/v1', 'bakup', 'backup', ''],
+		});
+
+		const primary = resolveProfile('default');
+		assert.deepStrictEqual(getFallbackConfigs(primary).map((c) => c.profile), ['backup']);
+		assert.deepStrictEqual(getFallbackConfigs(primary).map((c) => c.profile), ['backup']);
+
+		assert.strictEqual(warnings.length, 2);
+		assert.match(warnings[0], /"https:\/\/backup\.example\.com\/v1" is a URL/);
+		assert.match(warnings[1], /"bakup" is not a profile/);
+	});
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const { findRootDocument, getProjectFiles, registerProject } = require('../src/project');
+
+/**
+ * Write `files` (relative path -> text) into a new temporary directory.
+ * @param {Record<string, string>} files
+ * @returns {string} the directory
+ */
+function writeProject(files) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazy-latex-project-'));
+	for (const [name, text] of Object.entries(files)) {
+		fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+		fs.writeFileSync(path.join(dir, name), text);
+	}
+	return dir;
+}
+
+suite('multi-file projects', () => {
+	let dir;
+
+	/** @param {string} name  path relative to the project directory */
+	const open = (name) => vscode.workspace.openTextDocument(vscode.Uri.file(path.join(dir, name)));
+
+	/** @param {string} name */
+	const filesOf = async (name) =>
+		(await getProjectFiles(await open(name))).map((file) =>
+			path.relative(dir, file.label.replace(/^file:\/\//, ''))
+		);
+
+	// Listeners of the .tex file watcher, by event
+	const watcher = { change: [], create: [], delete: [] };
+
+	suiteSetup(() => {
+		const original = vscode.workspace.createFileSystemWatcher;
+		vscode.workspace.createFileSystemWatcher = () => ({
+			onDidChange: (f) => watcher.change.push(f),
+			onDidCreate: (f) => watcher.create.push(f),
+			onDidDelete: (f) => watcher.delete.push(f),
+			dispose() {},
+		});
+		registerProject({ subscriptions: [] });
+		vscode.workspace.createFileSystemWatcher = original;
+	});
+
+	teardown(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test('follows \\input and \\include from the root named by a magic comment', async () => {
+		dir = writeProject({
+			'main.tex':
+				'\\documentclass{book}\n\\newcommand{\\R}{\\mathbb{R}}\n' +
+				'\\begin{document}\n\\include{chapters/one}\n% \\input{commented}\n\\input{chapters/two.tex}\n\\end{document}\n',
+			'chapters/one.tex': '% !TEX root = ../main.tex\n\\chapter{One}\n\\input{chapters/shared}\n',
+			'chapters/shared.tex': '\\newcommand{\\N}{\\mathbb{N}}\n',
+			'chapters/two.tex': '\\chapter{Two}\n',
+			'commented.tex': '\\newcommand{\\X}{x}\n',
+		});
+
+		assert.deepStrictEqual(await filesOf('chapters/one.tex'), [
+			'main.tex',
+			'chapters/shared.tex',
+			'chapters/two.tex',
+		]);
+	});
+
+	test('uses the main file of a subfiles document', async () => {
+		dir = writeProject({
+			'main.tex': '\\documentclass{article}\n\\subfile{parts/intro}\n\\subfile{parts/proof}\n',
+			'parts/intro.tex': '\\documentclass[../main.tex]{subfiles}\n',
+			'parts/proof.tex': '\\documentclass[../main.tex]{subfiles}\n',
+		});
+
+		const root = await findRootDocument(await open('parts/proof.tex'));
+
+		assert.strictEqual(root.fsPath, path.join(dir, 'main.tex'));
+		assert.deepStrictEqual(await filesOf('parts/proof.tex'), ['main.tex', 'parts/intro.tex']);
+	});
+
+	test('resolves \\import paths relative to the directory given', async () => {
+		dir = writeProject({
+			'main.tex': '\\documentclass{article}\n\\import{sections/}{methods}\n',
+			'sections/methods.tex': '\\subimport{figures/}{plot}\n',
+			'sections/figures/plot.tex': '\\newcommand{\\Pl}{P}\n',
+		});
+
+		assert.deepStrictEqual(await filesOf('main.tex'), [
+			'sections/methods.tex',
+			'sections/figures/plot.tex',
+		]);
+	});
+
+	test('reads each file once when includes form a cycle', async () => {
+		dir = writeProject({
+			'main.tex': '\\documentclass{article}\n\\input{a}\n',
+			'a.tex': '\\input{b}\n',
+			'b.tex': '\\input{a}\n\\input{main}\n',
+		});
+
+		assert.deepStrictEqual(await filesOf('main.tex'), ['a.tex', 'b.tex']);
+	});
+
+	test('has no project for a standalone file', async () => {
+		dir = writeProject({ 'notes.tex': 'Just notes.\n' });
+
+		assert.strictEqual(await findRootDocument(await open('notes.tex')), null);
+		assert.deepStrictEqual(await filesOf('notes.tex'), []);
+	});
+	test('reads a file again only after it changes', async () => {
+		dir = writeProject({
+			'main.tex': '\\documentclass{article}\n\\input{a}\n',
+			'a.tex': 'A\n',
+			'b.tex': 'B\n',
+		});
+		assert.deepStrictEqual(await filesOf('main.tex'), ['a.tex']);
+
+		// Not seen until the watcher reports the change
+		const main = path.join(dir, 'main.tex');
+		fs.writeFileSync(main, '\\documentclass{article}\n\\input{b}\n');
+		assert.deepStrictEqual(await filesOf('main.tex'), ['a.tex']);
+
+		await Promise.all(watcher.change.map((f) => f(vscode.Uri.file(main))));
+		assert.deepStrictEqual(await filesOf('main.tex'), ['b.tex']);
+	});
+
+	test('resolves include paths again when files are created', async () => {
+		dir = writeProject({ 'main.tex': '\\documentclass{article}\n\\input{later}\n' });
+		assert.deepStrictEqual(await filesOf('main.tex'), []);
+
+		const later = path.join(dir, 'later.tex');
+		fs.writeFileSync(later, 'Later.\n');
+		watcher.create.forEach((f) => f(vscode.Uri.file(later)));
+
+		assert.deepStrictEqual(await filesOf('main.tex'), ['later.tex']);
+	});
+});
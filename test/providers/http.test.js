@@ -0,0 +1,89 @@
+const assert = require('assert');
+
+const {
+	readServerSentEvents,
+	readJsonLines,
+	parseRetryAfter,
+} = require('../../src/providers/http');
+
+/**
+ * Response whose body arrives in the given pieces (split anywhere, even
+ * inside a multi-byte character).
+ * @param {string} text
+ * @param {number[]} cuts  byte offsets to split at
+ */
+function chunkedResponse(text, cuts) {
+	const bytes = new TextEncoder().encode(text);
+	const bounds = [0, ...cuts, bytes.length];
+	const pieces = bounds.slice(1).map((end, i) => bytes.slice(bounds[i], end));
+	return new Response(
+		new ReadableStream({
+			start(controller) {
+				pieces.forEach((piece) => controller.enqueue(piece));
+				controller.close();
+			},
+		})
+	);
+}
+
+suite('readServerSentEvents', () => {
+	test('reads events split across chunks', async () => {
+		const body =
+			'event: delta\ndata: {"a":1}\n\n' +
+			': comment\ndata: first\ndata: second\n\n' +
+			'data: αβ\r\n\r\n' +
+			'data: [DONE]';
+		const events = [];
+
+		// Cuts inside "event", inside "α" and between the two line breaks
+		await readServerSentEvents(chunkedResponse(body, [3, 71, 76]), (data, name) =>
+			events.push([data, name])
+		);
+
+		assert.deepStrictEqual(events, [
+			['{"a":1}', 'delta'],
+			['first\nsecond', ''],
+			['αβ', ''],
+			['[DONE]', ''],
+		]);
+	});
+});
+
+suite('readJsonLines', () => {
+	test('reads lines split across chunks and skips blank ones', async () => {
+		const lines = [];
+
+		await readJsonLines(
+			chunkedResponse('{"a":"é"}\n\n  {"b":2}  \n{"c":3}', [7, 12]),
+			(line) => lines.push(line)
+		);
+
+		assert.deepStrictEqual(lines, ['{"a":"é"}', '{"b":2}', '{"c":3}']);
+	});
+});
+
+suite('parseRetryAfter', () => {
+	test('reads seconds', () => {
+		assert.strictEqual(parseRetryAfter('3'), 3000);
+		assert.strictEqual(parseRetryAfter(' 0.5 '), 500);
+		assert.strictEqual(parseRetryAfter('0'), 0);
+	});
+
+	test('reads an HTTP date as the time left until it', () => {
+		const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+		const ms = parseRetryAfter(inTenSeconds);
+
+		// toUTCString drops the milliseconds
+		assert.ok(ms > 8000 && ms <= 10000, `${ms} ms`);
+	});
+
+	test('does not wait for a date in the past', () => {
+		assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+	});
+
+	test('ignores missing and unreadable values', () => {
+		for (const value of [null, undefined, '', 'soon']) {
+			assert.strictEqual(parseRetryAfter(value), undefined, String(value));
+		}
+	});
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+
+const { registerProvider, getProvider, getProviderIds } = require('../../src/providers');
+const { callChatCompletionWithProvider } = require('../../src/llmProvider');
+
+/**
+ * Minimal provider answering with the text of a JSON `{ "text": ... }` body.
+ * @param {string} id
+ */
+function echoProvider(id) {
+	return {
+		id,
+		requiresApiKey: false,
+		buildRequest: ({ endpoint, model, userPrompt }) => ({
+			url: endpoint,
+			headers: {},
+			body: { model, prompt: userPrompt },
+		}),
+		parseResponse: (data) => [data.text],
+	};
+}
+
+suite('provider registry', () => {
+	const originalFetch = global.fetch;
+
+	teardown(() => {
+		global.fetch = originalFetch;
+	});
+
+	test('has the built-in providers', () => {
+		for (const id of ['openai', 'anthropic', 'ollama', 'gemini']) {
+			assert.ok(getProviderIds().includes(id), id);
+		}
+		assert.strictEqual(getProvider(), getProvider('openai'));
+		assert.strictEqual(getProvider(' Gemini '), getProvider('gemini'));
+	});
+
+	test('routes requests to a registered provider until it is disposed', async () => {
+		const registration = registerProvider(echoProvider('Echo'));
+		let sent;
+		global.fetch = async (url, init) => {
+			sent = { url, body: JSON.parse(init.body) };
+			return Response.json({ text: ' answer ' });
+		};
+
+		const answer = await callChatCompletionWithProvider({
+			provider: 'echo',
+			endpoint: 'https://echo.example.com/chat',
+			model: 'm',
+			systemPrompt: 'system',
+			userPrompt: 'user',
+		});
+
+		assert.strictEqual(answer, 'answer');
+		assert.deepStrictEqual(sent, {
+			url: 'https://echo.example.com/chat',
+			body: { model: 'm', prompt: 'user' },
+		});
+
+		registration.dispose();
+		assert.strictEqual(getProvider('echo'), undefined);
+	});
+
+	test('rejects incomplete and duplicate providers', () => {
+		assert.throws(() => registerProvider({ id: ' ' }), /non-empty string "id"/);
+		assert.throws(
+			() => registerProvider({ id: 'half', buildRequest() {} }),
+			/"half" has no parseResponse\(\) function/
+		);
+		assert.throws(() => registerProvider(echoProvider('OpenAI')), /already registered/);
+	});
+});
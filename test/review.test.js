@@ -0,0 +1,92 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const { addPendingReview, hasPendingReview, registerReview } = require('../src/review');
+
+suite('review mode', () => {
+	let document;
+	let applied;
+
+	suiteSetup(() => {
+		registerReview({ subscriptions: [] });
+	});
+
+	setup(async () => {
+		document = await vscode.workspace.openTextDocument({
+			content: 'a\nb\nc\nd\nlet ;;x;; be.\ne\n',
+			language: 'latex',
+		});
+		vscode.workspace.textDocuments.push(document);
+		applied = [];
+		addPendingReview(document, {
+			firstLine: 4,
+			lineNumber: 4,
+			originalText: 'let ;;x;; be.',
+			commentText: null,
+			replacements: [{ startLine: 4, start: 4, endLine: 4, end: 9, text: '$x$' }],
+			apply: async (item) => {
+				applied.push(item);
+				return true;
+			},
+			regenerate: async () => {},
+		});
+	});
+
+	teardown(() => {
+		vscode.workspace.textDocuments.length = 0;
+		vscode.window.activeTextEditor = undefined;
+	});
+
+	/**
+	 * Apply several changes to the document in one edit.
+	 * @param {Array<[vscode.Range, string]>} replacements
+	 */
+	async function edit(replacements) {
+		const workspaceEdit = new vscode.WorkspaceEdit();
+		for (const [range, text] of replacements) {
+			workspaceEdit.replace(document.uri, range, text);
+		}
+		await vscode.workspace.applyEdit(workspaceEdit);
+	}
+
+	test('follows an item through several line changes of one edit', async () => {
+		await edit([
+			// Two lines added at the top, one removed further down
+			[new vscode.Range(0, 0, 0, 0), 'new\nlines\n'],
+			[new vscode.Range(2, 0, 3, 0), ''],
+		]);
+
+		assert.strictEqual(hasPendingReview(document, 5), true);
+
+		vscode.window.activeTextEditor = { document };
+		await vscode.commands.executeCommand('lazy-latex.review.acceptAll');
+
+		assert.strictEqual(applied.length, 1);
+		const [item] = applied;
+		assert.deepStrictEqual([item.firstLine, item.lineNumber], [5, 5]);
+		assert.deepStrictEqual(
+			item.replacements.map((r) => [r.startLine, r.endLine]),
+			[[5, 5]]
+		);
+	});
+
+	test('is not moved by the changes of an edit below it', async () => {
+		await edit([
+			[new vscode.Range(0, 0, 0, 0), 'new\nlines\n'],
+			// Below the item before the edit, but not after the change above
+			[new vscode.Range(5, 0, 5, 0), 'more\ntext\n'],
+		]);
+
+		assert.strictEqual(hasPendingReview(document, 6), true);
+	});
+
+	test('does not apply an item whose line was edited', async () => {
+		await edit([[new vscode.Range(4, 4, 4, 9), ';;y;;']]);
+
+		vscode.window.activeTextEditor = { document };
+		await vscode.commands.executeCommand('lazy-latex.review.acceptAll');
+
+		assert.deepStrictEqual(applied, []);
+		assert.strictEqual(hasPendingReview(document, 4), false);
+	});
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const { moveSettingsKeys } = require('../src/secrets');
+
+const PREFIX = 'lazy-latex.apiKey.';
+
+const FIELDS = {
+	[vscode.ConfigurationTarget.Global]: 'globalValue',
+	[vscode.ConfigurationTarget.Workspace]: 'workspaceValue',
+	[vscode.ConfigurationTarget.WorkspaceFolder]: 'workspaceFolderValue',
+};
+
+/**
+ * Settings with values per scope, e.g. { 'llm.apiKey': { globalValue: 'k' } }.
+ * @param {Object<string, Object<string, any>>} values
+ */
+function fakeConfig(values) {
+	const defaults = { 'llm.provider': 'openai', profiles: {} };
+	return {
+		values,
+		inspect: (key) => ({ defaultValue: defaults[key], ...values[key] }),
+		update: async (key, value, target) => {
+			values[key] = { ...values[key], [FIELDS[target]]: value };
+		},
+	};
+}
+
+/** @param {Object<string, string>} [secrets]  by slot name */
+function fakeStorage(secrets = {}) {
+	const stored = new Map(Object.entries(secrets).map(([slot, key]) => [PREFIX + slot, key]));
+	return {
+		stored,
+		get: async (name) => stored.get(name),
+		store: async (name, value) => {
+			stored.set(name, value);
+		},
+	};
+}
+
+suite('moveSettingsKeys', () => {
+	test('moves a user settings key into an empty slot', async () => {
+		const config = fakeConfig({ 'llm.apiKey': { globalValue: 'user-key' } });
+		const storage = fakeStorage();
+
+		const { moved, kept, pending } = await moveSettingsKeys(config, storage);
+
+		assert.strictEqual(storage.stored.get(PREFIX + 'provider:openai'), 'user-key');
+		assert.strictEqual(config.values['llm.apiKey'].globalValue, undefined);
+		assert.strictEqual(moved.length, 1);
+		assert.deepStrictEqual([kept, pending], [[], []]);
+	});
+
+	test('removes a key equal to the stored one', async () => {
+		const config = fakeConfig({ 'llm.apiKey': { globalValue: 'same' } });
+		const storage = fakeStorage({ 'provider:openai': 'same' });
+
+		await moveSettingsKeys(config, storage);
+
+		assert.strictEqual(config.values['llm.apiKey'].globalValue, undefined);
+		assert.strictEqual(storage.stored.get(PREFIX + 'provider:openai'), 'same');
+	});
+
+	test('never replaces a different stored key', async () => {
+		const config = fakeConfig({
+			'llm.apiKey': { globalValue: 'other', workspaceValue: 'repo-key' },
+		});
+		const storage = fakeStorage({ 'provider:openai': 'stored' });
+
+		const { moved, kept, pending } = await moveSettingsKeys(config, storage);
+
+		assert.strictEqual(storage.stored.get(PREFIX + 'provider:openai'), 'stored');
+		assert.strictEqual(config.values['llm.apiKey'].globalValue, 'other');
+		assert.strictEqual(config.values['llm.apiKey'].workspaceValue, 'repo-key');
+		assert.deepStrictEqual(moved, []);
+		assert.strictEqual(kept.length, 2);
+		assert.deepStrictEqual(pending, []);
+	});
+
+	test('does not move workspace keys into a global slot by itself', async () => {
+		const config = fakeConfig({
+			'llm.apiKey': { workspaceValue: 'repo-key' },
+			'llm.provider': { workspaceValue: 'anthropic' },
+		});
+		const storage = fakeStorage();
+
+		const { moved, pending } = await moveSettingsKeys(config, storage);
+
+		assert.strictEqual(storage.stored.size, 0);
+		assert.strictEqual(config.values['llm.apiKey'].workspaceValue, 'repo-key');
+		assert.deepStrictEqual(moved, []);
+		assert.deepStrictEqual(
+			pending.map((key) => [key.setting, key.slot, key.value]),
+			[['lazy-latex.llm.apiKey', 'provider:anthropic', 'repo-key']]
+		);
+	});
+
+	test('keeps a workspace key that differs from the user key it moved', async () => {
+		const config = fakeConfig({
+			'llm.apiKey': { globalValue: 'user-key', workspaceFolderValue: 'folder-key' },
+		});
+		const storage = fakeStorage();
+
+		const { kept, pending } = await moveSettingsKeys(config, storage);
+
+		assert.strictEqual(storage.stored.get(PREFIX + 'provider:openai'), 'user-key');
+		assert.strictEqual(config.values['llm.apiKey'].workspaceFolderValue, 'folder-key');
+		assert.strictEqual(kept.length, 1);
+		assert.deepStrictEqual(pending, []);
+	});
+
+	test('moves profile keys and keeps the rest of the profile', async () => {
+		const config = fakeConfig({
+			profiles: {
+				globalValue: {
+					strong: { model: 'big', apiKey: 'strong-key' },
+					local: { provider: 'ollama' },
+				},
+				workspaceValue: { fast: { model: 'small', apiKey: 'fast-key' } },
+			},
+		});
+		const storage = fakeStorage();
+
+		const { pending } = await moveSettingsKeys(config, storage);
+
+		assert.strictEqual(storage.stored.get(PREFIX + 'profile:strong'), 'strong-key');
+		assert.deepStrictEqual(config.values.profiles.globalValue, {
+			strong: { model: 'big' },
+			local: { provider: 'ollama' },
+		});
+		assert.deepStrictEqual(
+			pending.map((key) => key.slot),
+			['profile:fast']
+		);
+		assert.strictEqual(config.values.profiles.workspaceValue.fast.apiKey, 'fast-key');
+	});
+});
@@ -0,0 +1,23 @@
+const assert = require('assert');
+
+const { estimateTokens } = require('../src/tokens');
+
+suite('estimateTokens', () => {
+	test('counts one token per 4 letters and per 3 digits', () => {
+		assert.strictEqual(estimateTokens('word'), 1);
+		assert.strictEqual(estimateTokens('words'), 2);
+		assert.strictEqual(estimateTokens('123'), 1);
+		assert.strictEqual(estimateTokens('2024'), 2);
+	});
+
+	test('counts every symbol and line break, but no other whitespace', () => {
+		assert.strictEqual(estimateTokens('\\frac{a}{b}'), 8);
+		assert.strictEqual(estimateTokens('a   b\tc'), 3);
+		assert.strictEqual(estimateTokens('a\nb'), 3);
+	});
+
+	test('is 0 for empty text', () => {
+		assert.strictEqual(estimateTokens(''), 0);
+		assert.strictEqual(estimateTokens(undefined), 0);
+	});
+});
@@ -0,0 +1,180 @@
+const assert = require('assert');
+
+const { scanWrappersInLines, findWrappersAroundLine, findCodeLines } = require('../src/wrappers');
+
+/**
+ * Minimal stand-in for a vscode.TextDocument, enough for findWrappersAroundLine.
+ * @param {string[]} lines
+ */
+function fakeDocument(lines) {
+	return {
+		lineCount: lines.length,
+		lineAt: (line) => ({ text: lines[line] }),
+	};
+}
+
+suite('scanWrappersInLines', () => {
+	test('finds inline, display and anything wrappers on one line', () => {
+		const { wrappers, unmatched } = scanWrappersInLines(
+			['Let ;;x squared;; and ;;;sum of a_i;;; or ;;;;a table;;;;.'],
+			'latex'
+		);
+
+		assert.deepStrictEqual(
+			wrappers.map((w) => [w.type, w.inner, w.startLine, w.start, w.endLine, w.end]),
+			[
+				['inline', 'x squared', 0, 4, 0, 17],
+				['display', 'sum of a_i', 0, 22, 0, 38],
+				['anything', 'a table', 0, 42, 0, 57],
+			]
+		);
+		assert.deepStrictEqual(unmatched, []);
+	});
+
+	test('joins a display wrapper spanning several lines', () => {
+		const { wrappers } = scanWrappersInLines(
+			['Then', ';;;', 'a + b = c', '  = d', ';;; done'],
+			'latex',
+			10
+		);
+
+		assert.strictEqual(wrappers.length, 1);
+		assert.deepStrictEqual(wrappers[0], {
+			type: 'display',
+			inner: '\na + b = c\n  = d\n',
+			startLine: 11,
+			start: 0,
+			endLine: 14,
+			end: 3,
+		});
+	});
+
+	test('keeps scanning the closing line after a multi-line wrapper', () => {
+		const { wrappers } = scanWrappersInLines([';;;a', 'b;;; and ;;c;;'], 'latex');
+
+		assert.deepStrictEqual(
+			wrappers.map((w) => [w.type, w.inner, w.startLine, w.endLine]),
+			[
+				['display', 'a\nb', 0, 1],
+				['inline', 'c', 1, 1],
+			]
+		);
+	});
+
+	test('does not let a multi-line wrapper cross a blank or comment line', () => {
+		for (const separator of ['', '% a comment']) {
+			const { wrappers, unmatched } = scanWrappersInLines(
+				[';;; a', separator, 'b ;;;'],
+				'latex'
+			);
+
+			assert.deepStrictEqual(wrappers, [], `separator ${JSON.stringify(separator)}`);
+			assert.deepStrictEqual(unmatched, [
+				{ count: 3, line: 0, start: 0, end: 3 },
+				{ count: 3, line: 2, start: 2, end: 5 },
+			]);
+		}
+	});
+
+	test('never joins inline wrappers across lines', () => {
+		const { wrappers, unmatched } = scanWrappersInLines(['a ;;x', 'y;; b'], 'latex');
+
+		assert.deepStrictEqual(wrappers, []);
+		assert.deepStrictEqual(unmatched, [
+			{ count: 2, line: 0, start: 2, end: 4 },
+			{ count: 2, line: 1, start: 1, end: 3 },
+		]);
+	});
+
+	test('ignores comment lines and other semicolon runs', () => {
+		assert.deepStrictEqual(
+			scanWrappersInLines(['% ;;x;;', 'a; b;;;;;c;;;;; d'], 'latex').wrappers,
+			[]
+		);
+		assert.deepStrictEqual(
+			scanWrappersInLines(['<!-- ;;x;; -->'], 'markdown').wrappers,
+			[]
+		);
+		// '%' only starts a comment in LaTeX
+		assert.strictEqual(scanWrappersInLines(['% ;;x;;'], 'markdown').wrappers.length, 1);
+	});
+});
+
+suite('findWrappersAroundLine', () => {
+	const document = fakeDocument([
+		'First ;;a;; paragraph.',
+		'',
+		'Second paragraph',
+		';;;',
+		'x = y',
+		';;;',
+		'and ;;b;;.',
+		'',
+		'Third ;;c;;.',
+	]);
+
+	test('returns the wrappers of the paragraph around the line, with document lines', () => {
+		const wrappers = findWrappersAroundLine(document, 4, 'latex');
+
+		assert.deepStrictEqual(
+			wrappers.map((w) => [w.type, w.inner, w.startLine, w.endLine]),
+			[
+				['display', '\nx = y\n', 3, 5],
+				['inline', 'b', 6, 6],
+			]
+		);
+	});
+
+	test('sees the same wrappers from any line of the paragraph', () => {
+		for (const line of [2, 3, 5, 6]) {
+			assert.deepStrictEqual(
+				findWrappersAroundLine(document, line, 'latex'),
+				findWrappersAroundLine(document, 4, 'latex')
+			);
+		}
+	});
+
+	test('handles the first and last paragraphs', () => {
+		assert.deepStrictEqual(
+			findWrappersAroundLine(document, 0, 'latex').map((w) => w.inner),
+			['a']
+		);
+		assert.deepStrictEqual(
+			findWrappersAroundLine(document, 8, 'latex').map((w) => w.inner),
+			['c']
+		);
+	});
+});
+
+suite('findCodeLines', () => {
+	test('finds Markdown fenced code blocks, fences included', () => {
+		const lines = ['a ;;x;;', '```c', 'for (;;) {}', '```', 'b', '~~~~', '~~~', 'c;;', '~~~~'];
+
+		assert.deepStrictEqual([...findCodeLines(lines, 'markdown')], [1, 2, 3, 5, 6, 7, 8]);
+	});
+
+	test('finds LaTeX verbatim-like environments', () => {
+		const lines = [
+			'\\begin{lstlisting}',
+			'for (;;) {}',
+			'\\end{lstlisting}',
+			';;x;;',
+			'\\begin{verbatim*} ;; \\end{verbatim*}',
+			'\\begin{minted}{c}',
+			'\\end{minted}',
+		];
+
+		assert.deepStrictEqual([...findCodeLines(lines, 'latex')], [0, 1, 2, 4, 5, 6]);
+	});
+
+	test('ignores environments in comments and fences in LaTeX', () => {
+		assert.deepStrictEqual(
+			[...findCodeLines(['% \\begin{verbatim}', ';;x;;', '```', ';;y;;'], 'latex')],
+			[]
+		);
+	});
+
+	test('runs an unclosed block to the end', () => {
+		assert.deepStrictEqual([...findCodeLines(['a', '```', 'b', 'c'], 'markdown')], [1, 2, 3]);
+	});
+});